@@ -0,0 +1,16 @@
+-- Migration: Soft-delete with grace period
+-- Description: DELETE /api/users/account now only schedules the account for
+-- purge. Until purge_after the account is hidden and can be restored by
+-- signing in; afterwards the account purge cron job removes it for good.
+
+-- Add soft-delete columns to users table
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS purge_after TIMESTAMPTZ;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_users_purge_after ON users(purge_after) WHERE deleted_at IS NOT NULL;
+
+-- Add comments
+COMMENT ON COLUMN users.deleted_at IS 'When the user deleted their account; NULL for active accounts';
+COMMENT ON COLUMN users.purge_after IS 'When the account and all its data are permanently removed';
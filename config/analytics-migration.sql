@@ -0,0 +1,6 @@
+-- Migration: Platform analytics indexes
+-- Description: Indexes for the admin analytics reports (/api/admin/analytics/*),
+-- which scan sessions, activities and signups by date.
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_session_start ON user_sessions(session_start);
+CREATE INDEX IF NOT EXISTS idx_users_created_at ON users(created_at);
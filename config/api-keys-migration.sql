@@ -0,0 +1,32 @@
+-- Migration: Scoped API keys
+-- Description: Long-lived keys for server-to-server integrations. A key acts as
+-- the user who created it, limited to its scopes. Only a SHA-256 hash of each
+-- key is stored; key_prefix is kept so users can tell their keys apart.
+
+-- Create api_keys table
+CREATE TABLE IF NOT EXISTS api_keys (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  name VARCHAR(100) NOT NULL,
+  key_prefix VARCHAR(20) NOT NULL,
+  key_hash VARCHAR(64) NOT NULL UNIQUE,
+  scopes TEXT[] NOT NULL DEFAULT '{}',
+  expires_at TIMESTAMPTZ,
+  revoked_at TIMESTAMPTZ,
+  rotated_to_id INTEGER,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip VARCHAR(45),
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (rotated_to_id) REFERENCES api_keys(id) ON DELETE SET NULL
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_api_keys_user_id ON api_keys(user_id);
+
+-- Add comments
+COMMENT ON TABLE api_keys IS 'Scoped API keys for integrations; each key acts as its owner';
+COMMENT ON COLUMN api_keys.scopes IS 'Granted scopes, e.g. prayer:read, groups:write';
+COMMENT ON COLUMN api_keys.expires_at IS 'Optional expiry; also set on the old key when it is rotated';
+COMMENT ON COLUMN api_keys.rotated_to_id IS 'Key that replaced this one when it was rotated';
+COMMENT ON COLUMN api_keys.last_used_at IS 'Updated at most once a minute';
@@ -0,0 +1,28 @@
+-- Migration: Per-device session registry
+-- Description: Every sign-in creates a session row describing the device; the
+-- session id is the refresh token family id and is embedded in access tokens (sid)
+
+-- Create auth_sessions table
+CREATE TABLE IF NOT EXISTS auth_sessions (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  device_name VARCHAR(255),
+  platform VARCHAR(50),
+  user_agent TEXT,
+  ip_address VARCHAR(45),
+  login_method VARCHAR(50),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  revoked_at TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_user_id ON auth_sessions(user_id);
+CREATE INDEX IF NOT EXISTS idx_auth_sessions_active ON auth_sessions(user_id, last_used_at DESC) WHERE revoked_at IS NULL;
+
+-- Add comments
+COMMENT ON TABLE auth_sessions IS 'Signed-in devices; revoking a session ends its refresh tokens and access tokens';
+COMMENT ON COLUMN auth_sessions.id IS 'Same value as refresh_tokens.family_id and the sid claim of access tokens';
+COMMENT ON COLUMN auth_sessions.login_method IS 'How the session was started (email, google, google_mobile, ...)';
+COMMENT ON COLUMN auth_sessions.last_used_at IS 'Last time the session refreshed its access token';
@@ -0,0 +1,44 @@
+-- Migration: Refresh tokens and server-side JWT revocation
+-- Description: Short-lived access tokens are paired with rotating refresh tokens
+-- stored server-side, and access tokens can be revoked before they expire
+
+-- Access tokens issued before this timestamp are rejected (password change, sign out everywhere)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS tokens_valid_after TIMESTAMPTZ;
+
+-- Create refresh_tokens table (only a SHA-256 hash of the token is stored)
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  family_id UUID NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP,
+  replaced_by INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (replaced_by) REFERENCES refresh_tokens(id) ON DELETE SET NULL
+);
+
+-- Create revoked_tokens table (denylist of access token ids until they expire)
+CREATE TABLE IF NOT EXISTS revoked_tokens (
+  jti UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  revoked_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user_id ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family_id ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires_at ON refresh_tokens(expires_at);
+CREATE INDEX IF NOT EXISTS idx_revoked_tokens_expires_at ON revoked_tokens(expires_at);
+
+-- Add comments
+COMMENT ON TABLE refresh_tokens IS 'Rotating refresh tokens; each use revokes the token and issues a new one in the same family';
+COMMENT ON TABLE revoked_tokens IS 'Access token ids (jti) revoked before their natural expiry';
+
+COMMENT ON COLUMN users.tokens_valid_after IS 'Access tokens issued before this time are no longer accepted';
+COMMENT ON COLUMN refresh_tokens.family_id IS 'Shared by every token in one rotation chain; reuse of a revoked token revokes the whole family';
+COMMENT ON COLUMN refresh_tokens.replaced_by IS 'The token issued when this one was rotated';
@@ -0,0 +1,27 @@
+-- Migration: Personal data exports
+-- Description: "Download my data" jobs. Each job gathers everything tied to a
+-- user into a zip archive (JSON + CSV) kept on disk until expires_at.
+
+-- Create data_exports table
+CREATE TABLE IF NOT EXISTS data_exports (
+  id UUID PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'processing', 'completed', 'failed', 'expired')),
+  file_path TEXT,
+  file_size BIGINT,
+  error TEXT,
+  requested_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  expires_at TIMESTAMPTZ,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_data_exports_user_id ON data_exports(user_id, requested_at DESC);
+CREATE INDEX IF NOT EXISTS idx_data_exports_status ON data_exports(status);
+
+-- Add comments
+COMMENT ON TABLE data_exports IS 'Personal data export jobs and the archives they produce';
+COMMENT ON COLUMN data_exports.file_path IS 'Archive location under DATA_EXPORT_DIR; removed when the export expires';
+COMMENT ON COLUMN data_exports.expires_at IS 'When the archive is deleted and the export can no longer be downloaded';
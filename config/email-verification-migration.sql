@@ -0,0 +1,39 @@
+-- Migration: Email verification
+-- Description: Tracks whether a user has proven ownership of their email address
+-- and holds a requested email change until the new address is verified
+
+-- Accounts created before verification existed are grandfathered in as verified when
+-- the column is first added; they were never sent a verification email and would
+-- otherwise lose prayer responses and public requests on deploy. Checking for the
+-- column keeps a re-run from verifying accounts created since.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'users' AND column_name = 'email_verified'
+  ) THEN
+    ALTER TABLE users ADD COLUMN email_verified BOOLEAN DEFAULT FALSE;
+    ALTER TABLE users ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP;
+
+    UPDATE users
+    SET email_verified = TRUE,
+        email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP);
+  END IF;
+END $$;
+
+-- Add email verification columns
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS email_verified_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS pending_email VARCHAR(255);
+
+-- Google sign-in already proves ownership of the address
+UPDATE users
+SET email_verified = TRUE,
+    email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP)
+WHERE google_id IS NOT NULL
+  AND email_verified IS NOT TRUE;
+
+-- Add comments
+COMMENT ON COLUMN users.email_verified IS 'Whether the user has confirmed ownership of their email address';
+COMMENT ON COLUMN users.email_verified_at IS 'When the current email address was verified';
+COMMENT ON COLUMN users.pending_email IS 'Requested new email address, applied once it is verified';
@@ -0,0 +1,27 @@
+-- Migration: Follow graph between members
+-- Description: Following someone starts as a request they accept or decline.
+-- Two accepted follows in opposite directions make the users friends.
+-- Accepted follows power the friends views of the streak leaderboard and prayer feed.
+
+-- Create user_follows table
+CREATE TABLE IF NOT EXISTS user_follows (
+  id SERIAL PRIMARY KEY,
+  follower_id INTEGER NOT NULL,
+  following_id INTEGER NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  accepted_at TIMESTAMPTZ,
+  FOREIGN KEY (follower_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (following_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (follower_id, following_id),
+  CHECK (follower_id <> following_id),
+  CHECK (status IN ('pending', 'accepted'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_follows_following ON user_follows(following_id, status);
+CREATE INDEX IF NOT EXISTS idx_user_follows_follower ON user_follows(follower_id, status);
+
+-- Add comments
+COMMENT ON TABLE user_follows IS 'Who follows whom; declined requests are deleted rather than kept';
+COMMENT ON COLUMN user_follows.status IS 'pending until the followed user accepts, then accepted';
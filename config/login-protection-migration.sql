@@ -0,0 +1,35 @@
+-- Migration: Login brute-force protection
+-- Description: Audits every password sign-in attempt and tracks consecutive
+-- failures per account for progressive delays and temporary lockouts
+
+-- Add lockout columns to users
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS failed_login_count INTEGER DEFAULT 0,
+ADD COLUMN IF NOT EXISTS last_failed_login_at TIMESTAMPTZ,
+ADD COLUMN IF NOT EXISTS locked_until TIMESTAMPTZ;
+
+-- Create login_attempts table
+CREATE TABLE IF NOT EXISTS login_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER,
+  email VARCHAR(255),
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  success BOOLEAN NOT NULL,
+  failure_reason VARCHAR(50),
+  suspicious BOOLEAN DEFAULT FALSE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_login_attempts_ip_created ON login_attempts(ip_address, created_at DESC) WHERE success = FALSE;
+CREATE INDEX IF NOT EXISTS idx_login_attempts_user_created ON login_attempts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_login_attempts_suspicious ON login_attempts(created_at DESC) WHERE suspicious = TRUE;
+
+-- Add comments
+COMMENT ON TABLE login_attempts IS 'Audit log of password sign-in attempts (purged after LOGIN_ATTEMPT_RETENTION_DAYS)';
+COMMENT ON COLUMN login_attempts.failure_reason IS 'unknown_email, wrong_password, no_password, locked, ip_blocked or throttled';
+COMMENT ON COLUMN login_attempts.suspicious IS 'Attempt matched a credential stuffing or lockout pattern';
+COMMENT ON COLUMN users.failed_login_count IS 'Consecutive failed password sign-ins; reset on success or unlock';
+COMMENT ON COLUMN users.locked_until IS 'Password sign-in is refused until this time (or until unlocked by email)';
@@ -0,0 +1,12 @@
+-- Migration: Profile pictures in media storage
+-- Description: Uploaded profile pictures are resized and stored through the
+-- media storage driver (local disk or S3-compatible). users.custom_picture now
+-- holds a URL; custom_picture_key is the storage prefix of its size variants.
+-- Run scripts/run-media-storage-migration.js to move existing base64 pictures.
+
+-- Add storage key column to users table
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS custom_picture_key VARCHAR(255);
+
+-- Add comments
+COMMENT ON COLUMN users.custom_picture_key IS 'Media storage prefix of the uploaded picture (variants at <key>/<size>.webp); NULL for external URLs';
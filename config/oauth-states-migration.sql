@@ -0,0 +1,31 @@
+-- Migration: OAuth state and PKCE
+-- Description: Every Google redirect flow starts with a server-issued, single-use
+-- state. The row holds the PKCE code verifier so it never leaves the server.
+
+-- Create oauth_states table
+CREATE TABLE IF NOT EXISTS oauth_states (
+  id UUID PRIMARY KEY,
+  flow VARCHAR(20) NOT NULL CHECK (flow IN ('signin', 'calendar')),
+  platform VARCHAR(20),
+  user_id INTEGER,
+  code_verifier VARCHAR(128) NOT NULL,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Web flows are also tied to the browser that started them: the /url response sets
+-- an HttpOnly cookie holding a nonce, and the callback must present it
+ALTER TABLE oauth_states
+ADD COLUMN IF NOT EXISTS nonce_hash VARCHAR(64);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_oauth_states_expires_at ON oauth_states(expires_at);
+
+-- Add comments
+COMMENT ON TABLE oauth_states IS 'Pending Google OAuth redirects; the state parameter is a signed token naming a row';
+COMMENT ON COLUMN oauth_states.flow IS 'signin (Google sign-in) or calendar (connect Google Calendar)';
+COMMENT ON COLUMN oauth_states.user_id IS 'User who started a calendar connection; NULL for sign-in';
+COMMENT ON COLUMN oauth_states.code_verifier IS 'PKCE verifier sent with the code exchange';
+COMMENT ON COLUMN oauth_states.nonce_hash IS 'SHA-256 of the nonce cookie set in the browser that started a web flow';
@@ -0,0 +1,16 @@
+-- Migration: Versioned user preferences
+-- Description: Preferences are validated against the schema in utils/preferences.js.
+-- preferences_version records which shape a row was written in; older rows are
+-- upgraded when they are next read (or all at once by scripts/run-preferences-migration.js).
+
+-- Add preferences_version column to users table (existing rows predate the schema)
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS preferences_version INTEGER NOT NULL DEFAULT 1;
+
+-- Users created from now on start on the current version (keep in step with
+-- PREFERENCES_VERSION in utils/preferences.js)
+ALTER TABLE users
+ALTER COLUMN preferences_version SET DEFAULT 2;
+
+-- Add comment for documentation
+COMMENT ON COLUMN users.preferences_version IS 'Schema version of the stored preferences (notification_settings, profile_visibility, ...)';
@@ -0,0 +1,12 @@
+-- Migration: Public profiles with privacy controls
+-- Description: Adds per-field visibility settings used by GET /api/users/:userId/profile.
+-- Each field (name, picture, denomination, streak, groups) is public,
+-- group_members (people sharing an active study group) or private.
+-- Fields missing from the object use the defaults in utils/profileVisibility.js.
+
+-- Add profile_visibility column to users table
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS profile_visibility JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+-- Add comment for documentation
+COMMENT ON COLUMN users.profile_visibility IS 'Who can see each public profile field: public, group_members or private';
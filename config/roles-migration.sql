@@ -0,0 +1,20 @@
+-- Migration: Roles
+-- Description: Platform role for each user; what each role may do is defined in
+-- middleware/permissions.js
+
+-- Add role column to users
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'member';
+
+DO $$
+BEGIN
+  IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conname = 'users_role_check') THEN
+    ALTER TABLE users ADD CONSTRAINT users_role_check CHECK (role IN ('member', 'moderator', 'admin'));
+  END IF;
+END $$;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_users_role ON users(role) WHERE role <> 'member';
+
+-- Add comments
+COMMENT ON COLUMN users.role IS 'member, moderator or admin; grant the first admin with scripts/set-user-role.js';
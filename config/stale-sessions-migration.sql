@@ -0,0 +1,35 @@
+-- Migration: Stale usage sessions
+-- Description: Sessions opened with POST /api/usage/session/start are kept alive by
+-- heartbeats (POST /api/usage/session/heartbeat). A job closes sessions that have
+-- had no heartbeat for USAGE_SESSION_IDLE_MINUTES (app killed or crashed) so they
+-- stop staying open forever.
+
+-- Before this migration /session/end never saved its update, so every older session
+-- is still open. Close them as 'abandoned' (no known length) when the columns are
+-- first added, so the job does not count them as zero-second sessions. Checking for
+-- the column keeps a re-run from closing sessions opened since.
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM information_schema.columns
+    WHERE table_name = 'user_sessions' AND column_name = 'closed_reason'
+  ) THEN
+    ALTER TABLE user_sessions ADD COLUMN closed_reason VARCHAR(20);
+
+    UPDATE user_sessions
+    SET session_end = session_start, closed_reason = 'abandoned'
+    WHERE session_end IS NULL;
+  END IF;
+END $$;
+
+-- Add last_heartbeat_at column to user_sessions table
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS last_heartbeat_at TIMESTAMP;
+
+-- Open sessions, scanned by the stale session job
+CREATE INDEX IF NOT EXISTS idx_user_sessions_open
+ON user_sessions(COALESCE(last_heartbeat_at, session_start)) WHERE session_end IS NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN user_sessions.last_heartbeat_at IS 'Last heartbeat from the app while the session was open';
+COMMENT ON COLUMN user_sessions.closed_reason IS 'ended (by the app), timeout (closed after no heartbeat) or abandoned (left open before heartbeats existed)';
@@ -0,0 +1,24 @@
+-- Migration: Study group ownership transfers
+-- Description: Groups can be handed to another member, either explicitly by the
+-- owner or automatically when the owner deletes their account. Every change of
+-- owner is recorded here.
+
+-- Create study_group_ownership_transfers table
+CREATE TABLE IF NOT EXISTS study_group_ownership_transfers (
+  id SERIAL PRIMARY KEY,
+  group_id INTEGER NOT NULL,
+  from_user_id INTEGER,
+  to_user_id INTEGER,
+  reason VARCHAR(30) NOT NULL CHECK (reason IN ('manual', 'account_deletion')),
+  transferred_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (group_id) REFERENCES study_groups(id) ON DELETE CASCADE,
+  FOREIGN KEY (from_user_id) REFERENCES users(id) ON DELETE SET NULL,
+  FOREIGN KEY (to_user_id) REFERENCES users(id) ON DELETE SET NULL
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_study_group_ownership_transfers_group_id ON study_group_ownership_transfers(group_id);
+
+-- Add comments
+COMMENT ON TABLE study_group_ownership_transfers IS 'History of study group owner changes';
+COMMENT ON COLUMN study_group_ownership_transfers.reason IS 'manual (POST /:groupId/transfer-ownership) or account_deletion (owner deleted their account)';
@@ -0,0 +1,23 @@
+-- Migration: Per-user timezone
+-- Description: "Today" (streaks, daily goals, usage time, daily verse/prayer/reflection)
+-- follows each user's local day. The daily reset jobs run every 15 minutes and
+-- handle the users whose local date has moved on since their last reset.
+
+-- Add timezone column to users table (IANA name, e.g. 'America/Chicago')
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS timezone VARCHAR(64) NOT NULL DEFAULT 'UTC';
+
+CREATE INDEX IF NOT EXISTS idx_users_timezone ON users(timezone);
+
+-- Local date of the last daily reset, so each user is reset once per local day
+ALTER TABLE user_streaks
+ADD COLUMN IF NOT EXISTS last_reset_date DATE;
+
+-- Existing rows were last reset by the midnight UTC job
+UPDATE user_streaks
+SET last_reset_date = (NOW() AT TIME ZONE 'UTC')::date
+WHERE last_reset_date IS NULL;
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.timezone IS 'IANA timezone the user''s day starts in';
+COMMENT ON COLUMN user_streaks.last_reset_date IS 'Local date of the last daily streak/goals reset';
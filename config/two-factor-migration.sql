@@ -0,0 +1,31 @@
+-- Migration: TOTP two-factor authentication
+-- Description: Optional RFC 6238 authenticator codes for email/password accounts,
+-- with single-use recovery codes (stored as SHA-256 hashes)
+
+-- Add two-factor columns to users
+ALTER TABLE users
+ADD COLUMN IF NOT EXISTS totp_enabled BOOLEAN DEFAULT FALSE,
+ADD COLUMN IF NOT EXISTS totp_secret VARCHAR(255),
+ADD COLUMN IF NOT EXISTS totp_pending_secret VARCHAR(255),
+ADD COLUMN IF NOT EXISTS totp_enabled_at TIMESTAMP,
+ADD COLUMN IF NOT EXISTS totp_last_used_step BIGINT;
+
+-- Create user_recovery_codes table
+CREATE TABLE IF NOT EXISTS user_recovery_codes (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  code_hash VARCHAR(64) NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (user_id, code_hash)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_recovery_codes_user_id ON user_recovery_codes(user_id);
+
+-- Add comments
+COMMENT ON COLUMN users.totp_secret IS 'Base32 TOTP secret, set once enrollment is confirmed';
+COMMENT ON COLUMN users.totp_pending_secret IS 'Secret shown during enrollment, not active until a code is verified';
+COMMENT ON COLUMN users.totp_last_used_step IS 'Last accepted 30-second time step; codes from it or earlier are rejected as replays';
+COMMENT ON TABLE user_recovery_codes IS 'Single-use backup codes for signing in without the authenticator app';
@@ -0,0 +1,55 @@
+-- Migration: Usage rollups
+-- Description: Per-user daily, weekly and monthly usage totals behind the
+-- "Your Time With God" charts. Days are the user's local days. A job rolls up
+-- sessions whose rolled_up_at is NULL (new, or changed since the last rollup).
+
+-- Sessions waiting to be rolled up have no rolled_up_at
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS rolled_up_at TIMESTAMP;
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_pending_rollup
+ON user_sessions(user_id) WHERE rolled_up_at IS NULL;
+
+-- Create usage_daily_rollups table
+CREATE TABLE IF NOT EXISTS usage_daily_rollups (
+  user_id INTEGER NOT NULL,
+  day DATE NOT NULL,
+  total_seconds INTEGER NOT NULL DEFAULT 0,
+  session_count INTEGER NOT NULL DEFAULT 0,
+  -- Index 0-23 is the local hour sessions started in
+  hourly_seconds INTEGER[] NOT NULL DEFAULT array_fill(0, ARRAY[24]),
+  hourly_sessions INTEGER[] NOT NULL DEFAULT array_fill(0, ARRAY[24]),
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, day),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create usage_weekly_rollups table (weeks start on Monday)
+CREATE TABLE IF NOT EXISTS usage_weekly_rollups (
+  user_id INTEGER NOT NULL,
+  week_start DATE NOT NULL,
+  total_seconds INTEGER NOT NULL DEFAULT 0,
+  session_count INTEGER NOT NULL DEFAULT 0,
+  active_days INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, week_start),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create usage_monthly_rollups table
+CREATE TABLE IF NOT EXISTS usage_monthly_rollups (
+  user_id INTEGER NOT NULL,
+  month_start DATE NOT NULL,
+  total_seconds INTEGER NOT NULL DEFAULT 0,
+  session_count INTEGER NOT NULL DEFAULT 0,
+  active_days INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (user_id, month_start),
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Add comments for documentation
+COMMENT ON COLUMN user_sessions.rolled_up_at IS 'When the session was last counted in the usage rollups (NULL = pending)';
+COMMENT ON TABLE usage_daily_rollups IS 'Usage per user per local day, rebuilt from user_sessions';
+COMMENT ON TABLE usage_weekly_rollups IS 'Usage per user per week (Monday start), rebuilt from usage_daily_rollups';
+COMMENT ON TABLE usage_monthly_rollups IS 'Usage per user per month, rebuilt from usage_daily_rollups';
@@ -0,0 +1,17 @@
+-- Migration: Offline usage session sync
+-- Description: The app records sessions while offline and uploads them in batches
+-- (POST /api/usage/sessions/batch). Each record carries a UUID generated on the
+-- device, so a batch that is sent again after a lost response is not counted twice.
+
+-- Add client_session_id column to user_sessions table
+ALTER TABLE user_sessions
+ADD COLUMN IF NOT EXISTS client_session_id UUID;
+
+-- One row per device-generated session (NULL for sessions started online)
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_sessions_client_session
+ON user_sessions(user_id, client_session_id);
+
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user_start ON user_sessions(user_id, session_start);
+
+-- Add comments for documentation
+COMMENT ON COLUMN user_sessions.client_session_id IS 'UUID the app generated for a session synced in a batch; replays are ignored';
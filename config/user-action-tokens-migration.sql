@@ -0,0 +1,25 @@
+-- Migration: Single-use action tokens
+-- Description: Expiring, single-use tokens sent by email (password reset and
+-- other account actions). Only a SHA-256 hash of each token is stored.
+
+-- Create user_action_tokens table
+CREATE TABLE IF NOT EXISTS user_action_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  purpose VARCHAR(50) NOT NULL,
+  token_hash VARCHAR(64) NOT NULL UNIQUE,
+  metadata JSONB DEFAULT '{}'::jsonb,
+  expires_at TIMESTAMP NOT NULL,
+  used_at TIMESTAMP,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_action_tokens_user_purpose ON user_action_tokens(user_id, purpose);
+CREATE INDEX IF NOT EXISTS idx_user_action_tokens_expires_at ON user_action_tokens(expires_at);
+
+-- Add comments
+COMMENT ON TABLE user_action_tokens IS 'Single-use, expiring tokens delivered by email';
+COMMENT ON COLUMN user_action_tokens.purpose IS 'What the token authorizes (password_reset, ...)';
+COMMENT ON COLUMN user_action_tokens.used_at IS 'Set when the token is consumed; used tokens are never accepted again';
@@ -0,0 +1,26 @@
+-- Migration: Block and mute lists
+-- Description: A block hides both users from each other in prayer feeds,
+-- responses and leaderboards, and stops the blocked user from responding to
+-- prayers, following, or joining the blocker's study groups. A mute only hides
+-- the muted user from the person who muted them and silences their notifications.
+
+-- Create user_blocks table
+CREATE TABLE IF NOT EXISTS user_blocks (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  blocked_user_id INTEGER NOT NULL,
+  type VARCHAR(10) NOT NULL DEFAULT 'block',
+  created_at TIMESTAMPTZ DEFAULT CURRENT_TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  FOREIGN KEY (blocked_user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (user_id, blocked_user_id),
+  CHECK (user_id <> blocked_user_id),
+  CHECK (type IN ('block', 'mute'))
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked_user ON user_blocks(blocked_user_id);
+
+-- Add comments
+COMMENT ON TABLE user_blocks IS 'Users someone has blocked or muted; one entry per pair';
+COMMENT ON COLUMN user_blocks.type IS 'block (both directions, no interaction) or mute (one-way, hide and silence)';
@@ -0,0 +1,40 @@
+-- Migration: Linked login identities
+-- Description: One user can sign in with several providers. Each row is a login
+-- method; users.google_id and users.password_hash are kept in sync with it.
+
+-- Create user_identities table
+CREATE TABLE IF NOT EXISTS user_identities (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER NOT NULL,
+  provider VARCHAR(20) NOT NULL CHECK (provider IN ('email', 'google')),
+  provider_user_id VARCHAR(255),
+  provider_email VARCHAR(255),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  last_used_at TIMESTAMP,
+  FOREIGN KEY (user_id) REFERENCES users(id) ON DELETE CASCADE,
+  UNIQUE (user_id, provider)
+);
+
+-- A provider account can only belong to one user
+CREATE UNIQUE INDEX IF NOT EXISTS idx_user_identities_provider_user
+  ON user_identities(provider, provider_user_id)
+  WHERE provider_user_id IS NOT NULL;
+
+-- Backfill identities for existing users
+INSERT INTO user_identities (user_id, provider, provider_user_id, provider_email)
+SELECT id, 'google', google_id, email
+FROM users
+WHERE google_id IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+INSERT INTO user_identities (user_id, provider)
+SELECT id, 'email'
+FROM users
+WHERE password_hash IS NOT NULL
+ON CONFLICT DO NOTHING;
+
+-- Add comments
+COMMENT ON TABLE user_identities IS 'Login methods linked to a user; a user always keeps at least one';
+COMMENT ON COLUMN user_identities.provider IS 'email (password sign-in with users.email) or google';
+COMMENT ON COLUMN user_identities.provider_user_id IS 'Subject id at the provider (Google sub); NULL for email';
+COMMENT ON COLUMN user_identities.provider_email IS 'Email reported by the provider when the identity was linked';
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const { pool } = require('../config/database');
+const { isAccessTokenRevoked } = require('../utils/authTokens');
+const { verifyApiKey } = require('../utils/apiKeys');
 
 const authenticateToken = async (req, res, next) => {
   const authHeader = req.headers['authorization'];
@@ -12,12 +14,18 @@ const authenticateToken = async (req, res, next) => {
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
     const result = await pool.query('SELECT * FROM users WHERE id = $1', [decoded.userId]);
-    
+
     if (result.rows.length === 0) {
       return res.status(401).json({ error: 'Invalid token' });
     }
 
+    // Reject tokens ended by logout, password change or "sign out everywhere"
+    if (await isAccessTokenRevoked(decoded, result.rows[0])) {
+      return res.status(401).json({ error: 'Token has been revoked' });
+    }
+
     req.user = result.rows[0];
+    req.auth = decoded;
     next();
   } catch (err) {
     console.error('Token verification failed:', err);
@@ -25,5 +33,49 @@ const authenticateToken = async (req, res, next) => {
   }
 };
 
-module.exports = { authenticateToken };
+// Accepts either a user JWT or an integration API key (X-API-Key header).
+// API keys act as their owner but must carry the given scope; JWTs are not scoped.
+const authenticateTokenOrApiKey = (scope) => async (req, res, next) => {
+  const apiKey = req.headers['x-api-key'];
+
+  if (!apiKey) {
+    return authenticateToken(req, res, next);
+  }
+
+  try {
+    const verified = await verifyApiKey(apiKey, req.ip);
+
+    if (!verified) {
+      return res.status(401).json({ error: 'Invalid API key' });
+    }
+
+    if (!verified.apiKey.scopes.includes(scope)) {
+      return res.status(403).json({
+        success: false,
+        error: 'Insufficient scope',
+        message: `This API key needs the ${scope} scope`
+      });
+    }
+
+    req.user = verified.user;
+    req.apiKey = verified.apiKey;
+    next();
+  } catch (err) {
+    console.error('API key verification failed:', err);
+    return res.status(500).json({ error: 'Failed to verify API key' });
+  }
+};
+
+// Use after authenticateToken on features that need a proven email address
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.email_verified) {
+    return res.status(403).json({
+      success: false,
+      error: 'Email not verified',
+      message: 'Please verify your email address to use this feature.'
+    });
+  }
+  next();
+};
 
+module.exports = { authenticateToken, authenticateTokenOrApiKey, requireVerifiedEmail };
@@ -0,0 +1,58 @@
+// What each platform role may do. Roles are cumulative: moderators can do
+// everything members can, admins everything moderators can.
+const ROLE_PERMISSIONS = {
+  member: [],
+  moderator: [
+    'prayer:moderate',
+    'groups:moderate',
+    'users:read'
+  ],
+  admin: [
+    'prayer:moderate',
+    'groups:moderate',
+    'users:read',
+    'users:manage',
+    'content:manage',
+    'analytics:read'
+  ]
+};
+
+const ROLES = Object.keys(ROLE_PERMISSIONS);
+
+/**
+ * Permissions granted to a role
+ * @param {string} role - users.role value
+ * @returns {string[]}
+ */
+const getPermissions = (role) => ROLE_PERMISSIONS[role] || [];
+
+/**
+ * Whether a user has a permission
+ * @param {object} user - User row (needs role)
+ * @param {string} permission - Permission name, e.g. 'prayer:moderate'
+ * @returns {boolean}
+ */
+const hasPermission = (user, permission) => !!user && getPermissions(user.role).includes(permission);
+
+// Use after authenticateToken; the user needs every listed permission
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    console.log('⛔ Permission denied:', {
+      userId: req.user && req.user.id,
+      role: req.user && req.user.role,
+      missing,
+      path: req.originalUrl
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Forbidden',
+      message: 'You do not have permission to perform this action'
+    });
+  }
+
+  next();
+};
+
+module.exports = { ROLES, getPermissions, hasPermission, requirePermission };
@@ -0,0 +1,241 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { ROLES, requirePermission } = require('../middleware/permissions');
+const { toCsv } = require('../utils/dataExport');
+const { DEFAULT_TIMEZONE } = require('../utils/timezone');
+const { parseDateRange } = require('../utils/usageRollups');
+const {
+  parseRetentionDays,
+  getActiveUsers,
+  getRetentionCohorts,
+  getOnboardingFunnel
+} = require('../utils/platformAnalytics');
+
+const router = express.Router();
+
+// List users, optionally filtered by role (e.g. ?role=moderator)
+router.get('/users', authenticateToken, requirePermission('users:read'), async (req, res) => {
+  try {
+    const { role } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 200);
+    const offset = parseInt(req.query.offset) || 0;
+
+    if (role && !ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role. Must be one of: ' + ROLES.join(', ')
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT id, email, name, picture, role, created_at
+       FROM users
+       WHERE ($1::varchar IS NULL OR role = $1)
+       ORDER BY created_at DESC
+       LIMIT $2 OFFSET $3`,
+      [role || null, limit, offset]
+    );
+
+    res.json({
+      success: true,
+      users: result.rows.map(user => ({
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        role: user.role,
+        createdAt: user.created_at
+      })),
+      pagination: { limit, offset }
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list users',
+      message: error.message
+    });
+  }
+});
+
+// Change a user's role
+router.put('/users/:id/role', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const userId = parseInt(req.params.id);
+    const { role } = req.body;
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid role. Must be one of: ' + ROLES.join(', ')
+      });
+    }
+
+    // Admins cannot demote themselves, so there is always someone left to manage roles
+    if (userId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'You cannot change your own role'
+      });
+    }
+
+    const result = await pool.query(
+      `UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $2
+       RETURNING id, email, name, role`,
+      [role, userId]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    console.log('🛡️ User role changed:', {
+      userId,
+      role,
+      changedBy: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Role updated successfully',
+      user: result.rows[0]
+    });
+
+  } catch (error) {
+    console.error('❌ Error changing user role:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to change role',
+      message: error.message
+    });
+  }
+});
+
+// Read ?from=&to= for an analytics report (UTC days); sends the 400 itself
+function getReportRange(req, res, defaultDays) {
+  const range = parseDateRange(req.query, DEFAULT_TIMEZONE, defaultDays);
+
+  if (range.error) {
+    res.status(400).json({
+      success: false,
+      error: range.error
+    });
+    return null;
+  }
+
+  return range;
+}
+
+// Send a report as JSON, or as a CSV download with ?format=csv
+function sendReport(req, res, name, range, report, csvRows) {
+  if (req.query.format === 'csv') {
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${name}-${range.from}-to-${range.to}.csv"`);
+    return res.send(toCsv(csvRows));
+  }
+
+  res.json({
+    success: true,
+    from: range.from,
+    to: range.to,
+    ...report
+  });
+}
+
+// Daily, weekly and monthly active users for each day (?from=&to=, default last 30 days)
+router.get('/analytics/active-users', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const range = getReportRange(req, res, 30);
+    if (!range) return;
+
+    const days = await getActiveUsers(range.from, range.to);
+
+    sendReport(req, res, 'active-users', range, {
+      latest: days[days.length - 1],
+      days
+    }, days);
+
+  } catch (error) {
+    console.error('❌ Error loading active users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load active users',
+      message: error.message
+    });
+  }
+});
+
+// Weekly signup cohorts with N-day retention (?from=&to= signup days, default last
+// 12 weeks; ?days=1,7,30)
+router.get('/analytics/retention', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const range = getReportRange(req, res, 84);
+    if (!range) return;
+
+    const days = parseRetentionDays(req.query.days);
+    if (!days) {
+      return res.status(400).json({
+        success: false,
+        error: 'days must be up to 10 comma-separated whole numbers between 1 and 365'
+      });
+    }
+
+    const cohorts = await getRetentionCohorts(range.from, range.to, days);
+
+    sendReport(req, res, 'retention', range, { days, cohorts }, cohorts.map(cohort => {
+      const row = { cohort_week: cohort.cohortWeek, users: cohort.users };
+      for (const day of days) {
+        const retention = cohort.retention[`day${day}`];
+        row[`day_${day}_retained`] = retention.retained;
+        row[`day_${day}_eligible`] = retention.eligible;
+        row[`day_${day}_rate`] = retention.rate;
+      }
+      return row;
+    }));
+
+  } catch (error) {
+    console.error('❌ Error loading retention cohorts:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load retention cohorts',
+      message: error.message
+    });
+  }
+});
+
+// Onboarding funnel: signup -> profile completion -> first prayer -> first group
+// (?from=&to= signup days, default last 30 days)
+router.get('/analytics/funnel', authenticateToken, requirePermission('analytics:read'), async (req, res) => {
+  try {
+    const range = getReportRange(req, res, 30);
+    if (!range) return;
+
+    const steps = await getOnboardingFunnel(range.from, range.to);
+
+    sendReport(req, res, 'onboarding-funnel', range, { steps }, steps);
+
+  } catch (error) {
+    console.error('❌ Error loading onboarding funnel:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to load onboarding funnel',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,192 @@
+const express = require('express');
+const { authenticateToken, requireVerifiedEmail } = require('../middleware/auth');
+const {
+  API_KEY_SCOPES,
+  MAX_KEYS_PER_USER,
+  validateScopes,
+  createApiKey,
+  countActiveApiKeys,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey
+} = require('../utils/apiKeys');
+
+const router = express.Router();
+
+// Key management is only available to signed-in users, never to API keys themselves
+
+// List the current user's API keys
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const apiKeys = await listApiKeys(req.user.id);
+
+    res.json({
+      success: true,
+      apiKeys,
+      availableScopes: API_KEY_SCOPES
+    });
+
+  } catch (error) {
+    console.error('❌ Error listing API keys:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list API keys',
+      message: error.message
+    });
+  }
+});
+
+// Create an API key; the raw key is only shown in this response
+router.post('/', authenticateToken, requireVerifiedEmail, async (req, res) => {
+  try {
+    const { name, scopes, expiresInDays } = req.body;
+
+    if (!name || typeof name !== 'string' || name.trim().length === 0 || name.length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Name is required (max 100 characters)'
+      });
+    }
+
+    const scopeError = validateScopes(scopes);
+    if (scopeError) {
+      return res.status(400).json({
+        success: false,
+        error: scopeError
+      });
+    }
+
+    let expiresAt = null;
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = parseInt(expiresInDays);
+      if (isNaN(days) || days < 1 || days > 365) {
+        return res.status(400).json({
+          success: false,
+          error: 'expiresInDays must be between 1 and 365'
+        });
+      }
+      expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    }
+
+    if (await countActiveApiKeys(req.user.id) >= MAX_KEYS_PER_USER) {
+      return res.status(400).json({
+        success: false,
+        error: `You can have at most ${MAX_KEYS_PER_USER} active API keys. Revoke one first.`
+      });
+    }
+
+    const { key, apiKey } = await createApiKey(req.user.id, { name: name.trim(), scopes, expiresAt });
+
+    console.log('🔑 API key created:', {
+      userId: req.user.id,
+      apiKeyId: apiKey.id,
+      scopes: apiKey.scopes,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'API key created. Copy it now, it will not be shown again.',
+      key,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('❌ Error creating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to create API key',
+      message: error.message
+    });
+  }
+});
+
+// Replace a key with a new one; the old key keeps working for a short grace period
+router.post('/:id/rotate', authenticateToken, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key ID'
+      });
+    }
+
+    const rotated = await rotateApiKey(req.user.id, keyId);
+
+    if (!rotated) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or no longer active'
+      });
+    }
+
+    console.log('🔑 API key rotated:', {
+      userId: req.user.id,
+      oldApiKeyId: keyId,
+      apiKeyId: rotated.apiKey.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'API key rotated. Copy the new key now, it will not be shown again.',
+      key: rotated.key,
+      apiKey: rotated.apiKey,
+      oldKeyExpiresAt: rotated.oldKeyExpiresAt
+    });
+
+  } catch (error) {
+    console.error('❌ Error rotating API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to rotate API key',
+      message: error.message
+    });
+  }
+});
+
+// Revoke a key immediately
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    const keyId = parseInt(req.params.id);
+
+    if (isNaN(keyId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid API key ID'
+      });
+    }
+
+    const revoked = await revokeApiKey(req.user.id, keyId);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        error: 'API key not found or already revoked'
+      });
+    }
+
+    console.log('🔑 API key revoked:', {
+      userId: req.user.id,
+      apiKeyId: keyId,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'API key revoked'
+    });
+
+  } catch (error) {
+    console.error('❌ Error revoking API key:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to revoke API key',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,10 +1,63 @@
 const express = require('express');
 const { OAuth2Client } = require('google-auth-library');
 const { google } = require('googleapis');
-const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getPermissions } = require('../middleware/permissions');
+const {
+  issueAuthTokens,
+  getDeviceContext,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  listUserSessions,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserTokens
+} = require('../utils/authTokens');
+const { createActionToken, consumeActionToken } = require('../utils/actionTokens');
+const { sendPasswordResetEmail, sendMagicLinkEmail } = require('../utils/mailer');
+const { sendVerificationEmail, verifyEmailToken } = require('../utils/emailVerification');
+const {
+  PROVIDERS,
+  listIdentities,
+  findUserByIdentity,
+  addIdentity,
+  touchIdentity,
+  verifyReauthentication,
+  unlinkIdentity
+} = require('../utils/identities');
+const {
+  checkIpThrottle,
+  checkAccountThrottle,
+  recordLoginAttempt,
+  isStuffingPattern,
+  claimLoginAttempt,
+  releaseLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockAccount,
+  listLoginActivity
+} = require('../utils/loginProtection');
+const {
+  generateTotpSetup,
+  matchTotpStep,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  createMfaChallenge,
+  verifyMfaChallenge
+} = require('../utils/twoFactor');
+const {
+  createOAuthState,
+  setOAuthNonceCookie,
+  takeOAuthNonceCookie,
+  consumeOAuthState
+} = require('../utils/oauthState');
+const { encryptToken } = require('../utils/tokenEncryption');
+const { isPurgeDue, restoreDeletedAccount } = require('../utils/accountDeletion');
 
 const router = express.Router();
 
@@ -40,6 +93,23 @@ const getCallbackUrl = () => {
   return callbackUrl;
 };
 
+// Password reset links open this page with ?token=...
+const getPasswordResetUrl = () => {
+  return process.env.PASSWORD_RESET_URL || `${getFrontendUrl()}/reset-password`;
+};
+
+const PASSWORD_RESET_TTL_MINUTES = parseInt(process.env.PASSWORD_RESET_TTL_MINUTES) || 60;
+
+// Magic links point at GET /magic-link/open, which forwards ?token=... to the app or web page
+const getMagicLinkRedirectUrl = (platform) => {
+  if (platform === 'mobile') {
+    return process.env.MAGIC_LINK_MOBILE_URL || 'faithfulcompanion://magic-link';
+  }
+  return process.env.MAGIC_LINK_WEB_URL || `${getFrontendUrl()}/magic-link`;
+};
+
+const MAGIC_LINK_TTL_MINUTES = parseInt(process.env.MAGIC_LINK_TTL_MINUTES) || 15;
+
 // Create separate OAuth clients for web and mobile
 const createOAuthClient = (callbackUrl) => {
   return new OAuth2Client(
@@ -56,7 +126,7 @@ const webOAuthClient = createOAuthClient(getCallbackUrl());
 const mobileOAuthClient = createOAuthClient(`${getBackendUrl()}/api/auth/google/mobile-callback`);
 
 // Common function to handle user authentication and token generation
-const handleUserAuth = async (userInfo, tokens) => {
+const handleUserAuth = async (userInfo, tokens, device = {}) => {
   console.log('🔍 UserInfo received:', userInfo);
   
   // Extract Google ID - try different possible fields
@@ -69,6 +139,10 @@ const handleUserAuth = async (userInfo, tokens) => {
   const email = userInfo.email;
   const name = userInfo.name;
   const picture = userInfo.picture;
+  // ID token claims use email_verified, the v2 userinfo endpoint uses verified_email
+  const googleEmailVerified = userInfo.email_verified === true ||
+    userInfo.email_verified === 'true' ||
+    userInfo.verified_email === true;
   
   console.log('✅ Extracted user data:', { 
     googleId: googleId.substring(0, 10) + '...', 
@@ -80,81 +154,77 @@ const handleUserAuth = async (userInfo, tokens) => {
   console.log('🔍 Checking if user exists in database...');
   const dbStartTime = Date.now();
   
-  // Check if user exists by google_id first
-  let result = await pool.query('SELECT * FROM users WHERE google_id = $1', [googleId]);
-  let user;
+  // Find the user this Google account is linked to
+  let user = await findUserByIdentity('google', googleId);
+  let accountRestored = false;
+
+  if (user && isPurgeDue(user)) {
+    throw new Error('This account has been deleted.');
+  }
   
   const dbQueryTime = Date.now() - dbStartTime;
-  console.log('📊 Database Query Result (by google_id):', {
-    userFound: result.rows.length > 0,
+  console.log('📊 Database Query Result (by google identity):', {
+    userFound: !!user,
     queryTime: `${dbQueryTime}ms`,
     timestamp: new Date().toISOString()
   });
 
-  if (result.rows.length === 0) {
-    // Check if user exists by email (could be email signup user)
-    console.log('🔍 User not found by google_id, checking by email...');
-    const emailResult = await pool.query('SELECT * FROM users WHERE email = $1', [email]);
+  if (!user) {
+    // Never merge into an existing account by email: linking is explicit (POST /identities/google)
+    const emailResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
     
     if (emailResult.rows.length > 0) {
-      // User exists with email but no google_id - link Google account to existing user
-      console.log('🔗 Found existing user by email, linking Google account...');
-      const linkStartTime = Date.now();
-      
-      const updateResult = await pool.query(
-        `UPDATE users 
-         SET google_id = $1, name = $2, picture = $3, google_picture = $4, google_access_token = $5, google_refresh_token = $6, updated_at = CURRENT_TIMESTAMP 
-         WHERE email = $7 
-         RETURNING *`,
-        [googleId, name, picture, picture, tokens.access_token || null, tokens.refresh_token || null, email]
-      );
-      
-      const linkTime = Date.now() - linkStartTime;
-      user = updateResult.rows[0];
-      
-      console.log('✅ Google account linked to existing user:', {
-        userId: user.id,
-        email: user.email,
-        linkTime: `${linkTime}ms`,
-        timestamp: new Date().toISOString()
-      });
-    } else {
-      // Create new user
-      console.log('🆕 Creating new user in database...');
-      const insertStartTime = Date.now();
-      
-      const insertResult = await pool.query(
-        `INSERT INTO users (google_id, email, name, picture, google_picture, google_access_token, google_refresh_token) 
-         VALUES ($1, $2, $3, $4, $5, $6, $7) 
-         RETURNING *`,
-        [googleId, email, name, picture, picture, tokens.access_token || null, tokens.refresh_token || null]
-      );
-      
-      const insertTime = Date.now() - insertStartTime;
-      user = insertResult.rows[0];
-      
-      console.log('✅ New user created:', {
-        userId: user.id,
-        email: user.email,
-        insertTime: `${insertTime}ms`,
-        timestamp: new Date().toISOString()
+      console.log('⛔ Google account not linked to existing user with this email:', {
+        userId: emailResult.rows[0].id
       });
+      throw new Error('An account with this email already exists. Sign in with your email and password, then link Google from your account settings.');
     }
+
+    // Create new user
+    console.log('🆕 Creating new user in database...');
+    const insertStartTime = Date.now();
+    
+    const insertResult = await pool.query(
+      `INSERT INTO users (google_id, email, name, picture, google_picture, google_access_token, google_refresh_token, email_verified, email_verified_at) 
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, CASE WHEN $8 THEN CURRENT_TIMESTAMP END) 
+       RETURNING *`,
+      [googleId, email, name, picture, picture, encryptToken(tokens.access_token), encryptToken(tokens.refresh_token), googleEmailVerified]
+    );
+    
+    user = insertResult.rows[0];
+    await addIdentity(user.id, 'google', { providerUserId: googleId, providerEmail: email });
+    
+    const insertTime = Date.now() - insertStartTime;
+    
+    console.log('✅ New user created:', {
+      userId: user.id,
+      email: user.email,
+      insertTime: `${insertTime}ms`,
+      timestamp: new Date().toISOString()
+    });
   } else {
-    // Update existing user (including email in case it changed in Google account)
+    // Update existing user. The email follows the Google account only for users without
+    // a password login, since a linked Google account may use a different address.
     console.log('🔄 Updating existing user in database...');
     const updateStartTime = Date.now();
     
     const updateResult = await pool.query(
       `UPDATE users 
-       SET email = $1, name = $2, picture = $3, google_picture = $4, google_access_token = $5, google_refresh_token = $6, updated_at = CURRENT_TIMESTAMP 
-       WHERE google_id = $7 
+       SET email = CASE WHEN password_hash IS NULL THEN $1 ELSE email END,
+           name = $2, picture = $3, google_picture = $4, google_access_token = $5, google_refresh_token = $6,
+           email_verified = CASE WHEN $8 AND (password_hash IS NULL OR email = $1) THEN TRUE ELSE email_verified END,
+           email_verified_at = CASE WHEN $8 AND (password_hash IS NULL OR email = $1) THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END,
+           updated_at = CURRENT_TIMESTAMP 
+       WHERE id = $7 
        RETURNING *`,
-      [email, name, picture, picture, tokens.access_token || null, tokens.refresh_token || null, googleId]
+      [email, name, picture, picture, encryptToken(tokens.access_token), encryptToken(tokens.refresh_token), user.id, googleEmailVerified]
     );
     
-    const updateTime = Date.now() - updateStartTime;
     user = updateResult.rows[0];
+    await touchIdentity(user.id, 'google');
+    accountRestored = await restoreDeletedAccount(user);
+    
+    const updateTime = Date.now() - updateStartTime;
     
     console.log('✅ Existing user updated:', {
       userId: user.id,
@@ -167,12 +237,8 @@ const handleUserAuth = async (userInfo, tokens) => {
   console.log('🔐 Generating JWT token...');
   const jwtStartTime = Date.now();
   
-  // Generate JWT token
-  const token = jwt.sign(
-    { userId: user.id, email: user.email },
-    process.env.JWT_SECRET,
-    { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-  );
+  // Generate access token and refresh token
+  const { token, refreshToken, expiresIn } = await issueAuthTokens(user, device);
   
   const jwtTime = Date.now() - jwtStartTime;
   console.log('✅ JWT token generated:', {
@@ -183,11 +249,15 @@ const handleUserAuth = async (userInfo, tokens) => {
 
   const authResult = {
     token,
+    refreshToken,
+    expiresIn,
+    accountRestored,
     userData: {
       id: user.id,
       email: user.email,
       name: user.name,
       picture: user.picture,
+      emailVerified: !!user.email_verified,
       googleMeetAccess: user.google_meet_access
     }
   };
@@ -204,7 +274,7 @@ const handleUserAuth = async (userInfo, tokens) => {
 };
 
 // Get Google OAuth URL
-router.get('/google/url', (req, res) => {
+router.get('/google/url', async (req, res) => {
   const { platform } = req.query;
   
   console.log('🚀 OAuth URL Request:', {
@@ -225,6 +295,22 @@ router.get('/google/url', (req, res) => {
       getCallbackUrl()
   });
 
+  let oauthState;
+  try {
+    // Server-issued state and PKCE challenge; the callback rejects anything else
+    oauthState = await createOAuthState(oauthClient, {
+      flow: 'signin',
+      platform: platform === 'mobile' ? 'mobile' : 'web'
+    });
+  } catch (error) {
+    console.error('❌ Failed to create OAuth state:', error);
+    return res.status(500).json({ error: 'Failed to start Google sign-in' });
+  }
+
+  if (oauthState.nonce) {
+    setOAuthNonceCookie(res, 'signin', oauthState.nonce);
+  }
+
   const url = oauthClient.generateAuthUrl({
     access_type: 'offline',
     scope: [
@@ -232,7 +318,10 @@ router.get('/google/url', (req, res) => {
       'https://www.googleapis.com/auth/userinfo.profile',
       'https://www.googleapis.com/auth/calendar.events'
     ],
-    prompt: 'consent'
+    prompt: 'consent',
+    state: oauthState.state,
+    code_challenge: oauthState.codeChallenge,
+    code_challenge_method: 'S256'
   });
   
   console.log('🔗 Generated OAuth URL:', {
@@ -249,10 +338,19 @@ router.get('/google/url', (req, res) => {
 // Web OAuth callback
 router.get('/google/callback', async (req, res) => {
   try {
-    const { code } = req.query;
+    const { code, state } = req.query;
     console.log('Web auth callback received:', { code });
+
+    const nonce = takeOAuthNonceCookie(req, res, 'signin');
+    const oauthState = await consumeOAuthState(state, 'signin', nonce);
+    if (!oauthState || oauthState.platform !== 'web') {
+      console.log('❌ Missing or invalid OAuth state on web callback');
+      const redirectUrl = new URL(getFrontendUrl());
+      redirectUrl.searchParams.set('error', 'Sign-in request expired. Please try again.');
+      return res.redirect(redirectUrl.toString());
+    }
     
-    const { tokens } = await webOAuthClient.getToken(code);
+    const { tokens } = await webOAuthClient.getToken({ code, codeVerifier: oauthState.codeVerifier });
     webOAuthClient.setCredentials(tokens);
     console.log('🔑 Tokens received:', { access_token: tokens.access_token ? 'present' : 'missing', refresh_token: tokens.refresh_token ? 'present' : 'missing' });
 
@@ -260,7 +358,7 @@ router.get('/google/callback', async (req, res) => {
     const { data: userInfo } = await oauth2.userinfo.get();
     console.log('👤 Raw userInfo from Google:', userInfo);
     
-    const user = await handleUserAuth(userInfo, tokens);
+    const user = await handleUserAuth(userInfo, tokens, getDeviceContext(req, 'google'));
 
     console.log('✅ Web Auth Successful:', {
       email: user.userData.email
@@ -270,9 +368,13 @@ router.get('/google/callback', async (req, res) => {
     
     const redirectUrl = new URL(frontendUrl + '/dashboard');
     redirectUrl.searchParams.set('token', user.token);
+    redirectUrl.searchParams.set('refreshToken', user.refreshToken);
     redirectUrl.searchParams.set('name', user.userData.name);
     redirectUrl.searchParams.set('email', user.userData.email);
     redirectUrl.searchParams.set('picture', user.userData.picture);
+    if (user.accountRestored) {
+      redirectUrl.searchParams.set('accountRestored', 'true');
+    }
 
     console.log('🔄 Redirect Debug:', {
       frontendUrl: frontendUrl,
@@ -342,11 +444,17 @@ router.get('/google/mobile-callback', async (req, res) => {
       return res.redirect(302, `${EXPO_RETURN_URL}?error=InvalidCode`);
     }
 
+    const oauthState = await consumeOAuthState(state, 'signin');
+    if (!oauthState || oauthState.platform !== 'mobile') {
+      console.log('❌ Missing or invalid OAuth state, redirecting with error');
+      return res.redirect(302, `${EXPO_RETURN_URL}?error=InvalidState`);
+    }
+
     // Exchange code for tokens and generate JWT
     console.log('🔄 Starting token exchange with Google...');
     const startTime = Date.now();
     
-    const { tokens } = await mobileOAuthClient.getToken(code);
+    const { tokens } = await mobileOAuthClient.getToken({ code, codeVerifier: oauthState.codeVerifier });
     const tokenTime = Date.now() - startTime;
     
     console.log('🔑 Google Tokens Received:', {
@@ -380,7 +488,7 @@ router.get('/google/mobile-callback', async (req, res) => {
     console.log('💾 Processing user authentication...');
     const userAuthStartTime = Date.now();
     
-    const user = await handleUserAuth(userInfo, tokens);
+    const user = await handleUserAuth(userInfo, tokens, getDeviceContext(req, 'google_mobile'));
     
     const userAuthTime = Date.now() - userAuthStartTime;
     console.log('✅ User Authentication Complete:', {
@@ -408,6 +516,9 @@ router.get('/google/mobile-callback', async (req, res) => {
       const jsonResponse = {
         success: true,
         token: user.token,
+        refreshToken: user.refreshToken,
+        expiresIn: user.expiresIn,
+        accountRestored: user.accountRestored,
         user: user.userData,
         message: 'Authentication successful'
       };
@@ -418,7 +529,7 @@ router.get('/google/mobile-callback', async (req, res) => {
     // Direct 302 redirect to deep link
     console.log('✅ Authentication successful, redirecting to app with deep link');
     
-    const redirectUrl = `${EXPO_RETURN_URL}?token=${encodeURIComponent(user.token)}&name=${encodeURIComponent(user.userData.name)}&email=${encodeURIComponent(user.userData.email)}&picture=${encodeURIComponent(user.userData.picture || '')}&userId=${user.userData.id}`;
+    const redirectUrl = `${EXPO_RETURN_URL}?token=${encodeURIComponent(user.token)}&refreshToken=${encodeURIComponent(user.refreshToken)}&name=${encodeURIComponent(user.userData.name)}&email=${encodeURIComponent(user.userData.email)}&picture=${encodeURIComponent(user.userData.picture || '')}&userId=${user.userData.id}`;
     
     console.log('🔄 Full redirect URL with token:', redirectUrl);
     console.log('🔄 Redirect URL Length:', redirectUrl.length);
@@ -468,27 +579,39 @@ router.post('/google/mobile', async (req, res) => {
   });
 
   try {
-    const { code } = req.body;
+    const { code, state } = req.body;
     
     console.log('🔍 Request Body Analysis:', {
       hasCode: !!code,
+      hasState: !!state,
       codeLength: code ? code.length : 0,
       codePreview: code ? `${code.substring(0, 10)}...` : 'missing',
       bodyKeys: Object.keys(req.body)
     });
     
-    if (!code) {
-      console.log('❌ Missing authorization code');
+    if (!code || !state) {
+      console.log('❌ Missing authorization code or state');
+      return res.status(400).json({
+        success: false,
+        error: 'Authorization code and state are required'
+      });
+    }
+
+    // Same protection as the redirect flow: the code must come from a flow this
+    // server started with GET /google/url?platform=mobile
+    const oauthState = await consumeOAuthState(state, 'signin');
+    if (!oauthState || oauthState.platform !== 'mobile') {
+      console.log('❌ Missing or invalid OAuth state on mobile sign-in');
       return res.status(400).json({
         success: false,
-        error: 'Authorization code is required'
+        error: 'Sign-in request expired. Please try again.'
       });
     }
 
     console.log('🔄 Starting token exchange with Google...');
     const startTime = Date.now();
     
-    const { tokens } = await mobileOAuthClient.getToken(code);
+    const { tokens } = await mobileOAuthClient.getToken({ code, codeVerifier: oauthState.codeVerifier });
     const tokenTime = Date.now() - startTime;
     
     console.log('🔑 Google Tokens Received:', {
@@ -522,7 +645,7 @@ router.post('/google/mobile', async (req, res) => {
     console.log('💾 Processing user authentication...');
     const userAuthStartTime = Date.now();
     
-    const user = await handleUserAuth(userInfo, tokens);
+    const user = await handleUserAuth(userInfo, tokens, getDeviceContext(req, 'google_mobile'));
     
     const userAuthTime = Date.now() - userAuthStartTime;
     console.log('✅ User Authentication Complete:', {
@@ -539,6 +662,9 @@ router.post('/google/mobile', async (req, res) => {
     const response = {
       success: true,
       token: user.token,
+      refreshToken: user.refreshToken,
+      expiresIn: user.expiresIn,
+      accountRestored: user.accountRestored,
       user: user.userData
     };
     
@@ -584,49 +710,73 @@ router.post('/google', async (req, res) => {
 
     const payload = ticket.getPayload();
     const { sub: googleId, email, name, picture } = payload;
+    const googleEmailVerified = payload.email_verified === true;
 
-    // Check if user exists
-    let result = await pool.query('SELECT * FROM users WHERE google_id = $1', [googleId]);
-    let user;
+    // Find the user this Google account is linked to
+    let user = await findUserByIdentity('google', googleId);
+    let accountRestored = false;
+
+    if (user && isPurgeDue(user)) {
+      return res.status(401).json({
+        error: 'Account deleted',
+        message: 'This account has been deleted.'
+      });
+    }
+
+    if (!user) {
+      const emailResult = await pool.query('SELECT id FROM users WHERE email = $1', [email]);
+
+      if (emailResult.rows.length > 0) {
+        return res.status(409).json({
+          error: 'Account exists',
+          message: 'An account with this email already exists. Sign in with your email and password, then link Google from your account settings.'
+        });
+      }
 
-    if (result.rows.length === 0) {
       // Create new user
       const insertResult = await pool.query(
-        `INSERT INTO users (google_id, email, name, picture, google_picture, google_access_token) 
-         VALUES ($1, $2, $3, $4, $5, $6) 
+        `INSERT INTO users (google_id, email, name, picture, google_picture, google_access_token, email_verified, email_verified_at) 
+         VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $7 THEN CURRENT_TIMESTAMP END) 
          RETURNING *`,
-        [googleId, email, name, picture, picture, accessToken || null]
+        [googleId, email, name, picture, picture, encryptToken(accessToken), googleEmailVerified]
       );
       user = insertResult.rows[0];
+      await addIdentity(user.id, 'google', { providerUserId: googleId, providerEmail: email });
       console.log('New user created:', email);
     } else {
-      // Update existing user (including email in case it changed)
+      // Update existing user (the email follows Google only for users without a password login)
       const updateResult = await pool.query(
         `UPDATE users 
-         SET email = $1, name = $2, picture = $3, google_picture = $4, google_access_token = $5, updated_at = CURRENT_TIMESTAMP 
-         WHERE google_id = $6 
+         SET email = CASE WHEN password_hash IS NULL THEN $1 ELSE email END,
+             name = $2, picture = $3, google_picture = $4, google_access_token = $5,
+             email_verified = CASE WHEN $7 AND (password_hash IS NULL OR email = $1) THEN TRUE ELSE email_verified END,
+             email_verified_at = CASE WHEN $7 AND (password_hash IS NULL OR email = $1) THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END,
+             updated_at = CURRENT_TIMESTAMP 
+         WHERE id = $6 
          RETURNING *`,
-        [email, name, picture, picture, accessToken || null, googleId]
+        [email, name, picture, picture, encryptToken(accessToken), user.id, googleEmailVerified]
       );
       user = updateResult.rows[0];
+      await touchIdentity(user.id, 'google');
+      accountRestored = await restoreDeletedAccount(user);
       console.log('Existing user updated:', email);
     }
 
-    // Generate JWT token
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN }
-    );
+    // Generate access token and refresh token
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, getDeviceContext(req, 'google'));
 
     res.json({
       success: true,
       token,
+      refreshToken,
+      expiresIn,
+      accountRestored,
       user: {
         id: user.id,
         email: user.email,
         name: user.name,
         picture: user.picture,
+        emailVerified: !!user.email_verified,
         googleMeetAccess: user.google_meet_access
       }
     });
@@ -654,7 +804,7 @@ router.post('/google-meet-access', authenticateToken, async (req, res) => {
       `UPDATE users 
        SET google_access_token = $1, google_refresh_token = $2, google_meet_access = TRUE, updated_at = CURRENT_TIMESTAMP 
        WHERE id = $3`,
-      [accessToken, refreshToken, req.user.id]
+      [encryptToken(accessToken), encryptToken(refreshToken), req.user.id]
     );
 
     res.json({
@@ -674,13 +824,35 @@ router.post('/google-meet-access', authenticateToken, async (req, res) => {
 // Logout
 router.post('/logout', authenticateToken, async (req, res) => {
   try {
-    // In a more complete implementation, you might want to blacklist the token
-    // For now, we'll just clear the Google tokens from the database
+    const { refreshToken, allDevices } = req.body || {};
+
+    // Revoke the access token used for this request
+    await revokeAccessToken(req.auth);
+
+    if (allDevices === true) {
+      // End every session, including access tokens held by other devices
+      await revokeAllUserTokens(req.user.id);
+    } else if (req.auth.sid) {
+      // End this device's session
+      await revokeSession(req.user.id, req.auth.sid);
+    } else if (refreshToken) {
+      // Tokens issued before device sessions existed carry no sid
+      await revokeRefreshToken(req.user.id, refreshToken);
+    }
+
+    // Clear the Google tokens from the database
     await pool.query(
       'UPDATE users SET google_access_token = NULL, google_refresh_token = NULL WHERE id = $1',
       [req.user.id]
     );
 
+    console.log('👋 User logged out:', {
+      userId: req.user.id,
+      allDevices: allDevices === true,
+      refreshTokenRevoked: !!refreshToken,
+      timestamp: new Date().toISOString()
+    });
+
     res.json({ success: true, message: 'Logged out successfully' });
   } catch (error) {
     console.error('Logout error:', error);
@@ -688,232 +860,1411 @@ router.post('/logout', authenticateToken, async (req, res) => {
   }
 });
 
-// Email signup endpoint
-router.post('/signup', async (req, res) => {
+// List devices the user is signed in on
+router.get('/sessions', authenticateToken, async (req, res) => {
   try {
-    const { name, email, password } = req.body;
+    const sessions = await listUserSessions(req.user.id);
 
-    // Validate required fields
-    if (!name || !email || !password) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields',
-        message: 'Name, email, and password are required'
-      });
-    }
+    res.json({
+      success: true,
+      sessions: sessions.map(session => ({
+        id: session.id,
+        deviceName: session.device_name,
+        platform: session.platform,
+        userAgent: session.user_agent,
+        ipAddress: session.ip_address,
+        loginMethod: session.login_method,
+        createdAt: session.created_at,
+        lastUsedAt: session.last_used_at,
+        current: session.id === req.auth.sid
+      }))
+    });
 
-    // Validate email format
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid email format',
-        message: 'Please provide a valid email address'
-      });
-    }
+  } catch (error) {
+    console.error('❌ Error listing sessions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list sessions',
+      message: error.message
+    });
+  }
+});
 
-    // Validate password strength (minimum 6 characters)
-    if (password.length < 6) {
-      return res.status(400).json({
-        success: false,
-        error: 'Weak password',
-        message: 'Password must be at least 6 characters long'
-      });
-    }
+// Sign out a device remotely
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    const sessionId = req.params.id;
 
-    // Validate name (not empty, reasonable length)
-    if (name.trim().length < 2 || name.trim().length > 100) {
+    // Session ids are UUIDs; reject anything else before it reaches the database
+    if (!/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(sessionId)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid name',
-        message: 'Name must be between 2 and 100 characters'
+        error: 'Invalid session ID'
       });
     }
 
-    console.log('🔍 Email signup attempt:', {
-      email: email,
-      name: name,
-      passwordLength: password.length,
-      timestamp: new Date().toISOString()
-    });
+    const revoked = await revokeSession(req.user.id, sessionId);
 
-    // Check if user already exists
-    const existingUser = await pool.query('SELECT id, email FROM users WHERE email = $1', [email.toLowerCase()]);
-    
-    if (existingUser.rows.length > 0) {
-      console.log('❌ User already exists:', email);
-      return res.status(409).json({
+    if (!revoked) {
+      return res.status(404).json({
         success: false,
-        error: 'User already exists',
-        message: 'An account with this email already exists'
+        error: 'Session not found'
       });
     }
 
-    console.log('🔐 Hashing password...');
-    const saltRounds = 12;
-    const passwordHash = await bcrypt.hash(password, saltRounds);
-    
-    console.log('✅ Password hashed successfully');
-
-    // Create new user
-    console.log('💾 Creating new user in database...');
-    const insertResult = await pool.query(
-      `INSERT INTO users (email, name, password_hash, created_at, updated_at) 
-       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) 
-       RETURNING id, email, name, created_at`,
-      [email.toLowerCase(), name.trim(), passwordHash]
-    );
-
-    const user = insertResult.rows[0];
-    console.log('✅ New user created:', {
-      userId: user.id,
-      email: user.email,
-      name: user.name,
+    console.log('🔌 Session revoked:', {
+      userId: req.user.id,
+      sessionId,
+      current: sessionId === req.auth.sid,
       timestamp: new Date().toISOString()
     });
 
-    // Generate JWT token
-    console.log('🔐 Generating JWT token...');
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
-    );
-
-    console.log('✅ JWT token generated successfully');
-
-    const response = {
+    res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        picture: null, // No picture for email signup
-        googleMeetAccess: false // No Google Meet access for email signup
-      },
-      message: 'Account created successfully'
-    };
+      message: 'Device signed out successfully'
+    });
 
-    console.log('🎯 Email signup completed successfully:', {
-      userId: response.user.id,
-      email: response.user.email,
-      hasToken: !!response.token,
-      timestamp: new Date().toISOString()
+  } catch (error) {
+    console.error('❌ Error revoking session:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sign out device',
+      message: error.message
     });
+  }
+});
 
-    res.status(201).json(response);
+// List the login methods linked to the current user
+router.get('/identities', authenticateToken, async (req, res) => {
+  try {
+    const identities = await listIdentities(req.user.id);
 
-  } catch (error) {
-    console.error('❌ Email signup error:', {
-      error: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
+    res.json({
+      success: true,
+      identities: identities.map(identity => ({
+        provider: identity.provider,
+        email: identity.provider === 'email' ? req.user.email : identity.provider_email,
+        linkedAt: identity.created_at,
+        lastUsedAt: identity.last_used_at
+      })),
+      canUnlink: identities.length > 1
     });
 
+  } catch (error) {
+    console.error('❌ Error fetching identities:', error);
     res.status(500).json({
       success: false,
-      error: 'Signup failed',
-      message: 'An error occurred while creating your account. Please try again.'
+      error: 'Failed to fetch login methods',
+      message: error.message
     });
   }
 });
 
-// Email login endpoint
-router.post('/login', async (req, res) => {
+// Link a Google account to the current user (requires re-authentication)
+router.post('/identities/google', authenticateToken, async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const { idToken, currentPassword } = req.body;
 
-    // Validate required fields
-    if (!email || !password) {
+    if (!idToken) {
       return res.status(400).json({
         success: false,
-        error: 'Missing credentials',
-        message: 'Email and password are required'
+        error: 'Google ID token is required'
       });
     }
 
-    console.log('🔍 Email login attempt:', {
-      email: email,
-      timestamp: new Date().toISOString()
-    });
+    // Linking lets the Google account sign in here, so the account email must be proven first
+    if (!req.user.email_verified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email not verified',
+        message: 'Please verify your email address before linking a Google account.'
+      });
+    }
 
-    // Find user by email
-    const result = await pool.query(
-      'SELECT id, email, name, password_hash, picture, google_meet_access FROM users WHERE email = $1',
-      [email.toLowerCase()]
-    );
+    const reauth = await verifyReauthentication(req.user, req.auth, currentPassword);
+    if (!reauth.success) {
+      return res.status(403).json(reauth);
+    }
 
-    if (result.rows.length === 0) {
-      console.log('❌ User not found:', email);
-      return res.status(401).json({
+    if (req.user.google_id) {
+      return res.status(409).json({
         success: false,
-        error: 'Invalid credentials',
-        message: 'Invalid email or password'
+        error: 'Already linked',
+        message: 'A Google account is already linked. Unlink it first to link a different one.'
       });
     }
 
-    const user = result.rows[0];
+    // Verify the Google ID token
+    const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
+    const ticket = await client.verifyIdToken({
+      idToken: idToken,
+      audience: process.env.GOOGLE_CLIENT_ID,
+    });
+    const { sub: googleId, email, picture, email_verified: googleEmailVerified } = ticket.getPayload();
 
-    // Check if user has a password (email signup user)
-    if (!user.password_hash) {
-      console.log('❌ User has no password (Google auth user):', email);
-      return res.status(401).json({
+    if (googleEmailVerified !== true) {
+      return res.status(403).json({
         success: false,
-        error: 'Invalid credentials',
-        message: 'This account was created with Google. Please use Google sign-in.'
+        error: 'Google email not verified',
+        message: 'Verify the email address on your Google account before linking it.'
       });
     }
 
-    // Verify password
-    console.log('🔐 Verifying password...');
-    const isValidPassword = await bcrypt.compare(password, user.password_hash);
-
-    if (!isValidPassword) {
-      console.log('❌ Invalid password for user:', email);
-      return res.status(401).json({
+    const existingUser = await findUserByIdentity('google', googleId);
+    if (existingUser) {
+      return res.status(409).json({
         success: false,
-        error: 'Invalid credentials',
-        message: 'Invalid email or password'
+        error: 'Google account in use',
+        message: 'This Google account is already linked to another user'
       });
     }
 
-    console.log('✅ Password verified successfully');
+    await pool.query(
+      `UPDATE users
+       SET google_id = $1, google_picture = $2, picture = COALESCE(picture, $2), updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [googleId, picture || null, req.user.id]
+    );
+    await addIdentity(req.user.id, 'google', { providerUserId: googleId, providerEmail: email });
 
-    // Generate JWT token
+    console.log('🔗 Google account linked:', {
+      userId: req.user.id,
+      googleEmail: email,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Google account linked successfully',
+      identity: { provider: 'google', email }
+    });
+
+  } catch (error) {
+    console.error('❌ Error linking Google account:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to link Google account',
+      message: error.message
+    });
+  }
+});
+
+// Add email and password sign-in to a Google-only account (requires re-authentication)
+router.post('/identities/email', authenticateToken, async (req, res) => {
+  try {
+    const { password } = req.body;
+
+    if (req.user.password_hash) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already linked',
+        message: 'Email sign-in is already set up. Use change password instead.'
+      });
+    }
+
+    if (!password || password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weak password',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    // Password sign-in uses the account email, so it must be proven first
+    if (!req.user.email_verified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email not verified',
+        message: 'Please verify your email address before adding a password.'
+      });
+    }
+
+    const reauth = await verifyReauthentication(req.user, req.auth);
+    if (!reauth.success) {
+      return res.status(403).json(reauth);
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+
+    await pool.query(
+      'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [passwordHash, req.user.id]
+    );
+    await addIdentity(req.user.id, 'email');
+
+    console.log('🔗 Email sign-in linked:', {
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Email sign-in added successfully',
+      identity: { provider: 'email', email: req.user.email }
+    });
+
+  } catch (error) {
+    console.error('❌ Error linking email sign-in:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to add email sign-in',
+      message: error.message
+    });
+  }
+});
+
+// Unlink a login method (the last remaining method can never be removed)
+router.delete('/identities/:provider', authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { currentPassword } = req.body || {};
+
+    if (!PROVIDERS.includes(provider)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid provider. Must be one of: ' + PROVIDERS.join(', ')
+      });
+    }
+
+    const reauth = await verifyReauthentication(req.user, req.auth, currentPassword);
+    if (!reauth.success) {
+      return res.status(403).json(reauth);
+    }
+
+    const result = await unlinkIdentity(req.user.id, provider);
+
+    if (!result.success) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error,
+        message: result.message
+      });
+    }
+
+    console.log('✂️ Login method unlinked:', {
+      userId: req.user.id,
+      provider,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Login method removed successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Error unlinking login method:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove login method',
+      message: error.message
+    });
+  }
+});
+
+// Email signup endpoint
+router.post('/signup', async (req, res) => {
+  try {
+    const { name, email, password } = req.body;
+
+    // Validate required fields
+    if (!name || !email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Name, email, and password are required'
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid email format',
+        message: 'Please provide a valid email address'
+      });
+    }
+
+    // Validate password strength (minimum 6 characters)
+    if (password.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weak password',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    // Validate name (not empty, reasonable length)
+    if (name.trim().length < 2 || name.trim().length > 100) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid name',
+        message: 'Name must be between 2 and 100 characters'
+      });
+    }
+
+    console.log('🔍 Email signup attempt:', {
+      email: email,
+      name: name,
+      passwordLength: password.length,
+      timestamp: new Date().toISOString()
+    });
+
+    // Check if user already exists
+    const existingUser = await pool.query('SELECT id, email FROM users WHERE email = $1', [email.toLowerCase()]);
+    
+    if (existingUser.rows.length > 0) {
+      console.log('❌ User already exists:', email);
+      return res.status(409).json({
+        success: false,
+        error: 'User already exists',
+        message: 'An account with this email already exists'
+      });
+    }
+
+    console.log('🔐 Hashing password...');
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(password, saltRounds);
+    
+    console.log('✅ Password hashed successfully');
+
+    // Create new user
+    console.log('💾 Creating new user in database...');
+    const insertResult = await pool.query(
+      `INSERT INTO users (email, name, password_hash, created_at, updated_at) 
+       VALUES ($1, $2, $3, CURRENT_TIMESTAMP, CURRENT_TIMESTAMP) 
+       RETURNING id, email, name, created_at`,
+      [email.toLowerCase(), name.trim(), passwordHash]
+    );
+
+    const user = insertResult.rows[0];
+    await addIdentity(user.id, 'email');
+    console.log('✅ New user created:', {
+      userId: user.id,
+      email: user.email,
+      name: user.name,
+      timestamp: new Date().toISOString()
+    });
+
+    // Ask the user to prove they own the address; signup succeeds even if the email fails to send
+    const verificationResult = await sendVerificationEmail(user, user.email);
+    if (!verificationResult.success) {
+      console.error('❌ Failed to send verification email after signup:', user.email);
+    }
+
+    // Generate access token and refresh token
     console.log('🔐 Generating JWT token...');
-    const token = jwt.sign(
-      { userId: user.id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: process.env.JWT_EXPIRES_IN || '7d' }
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, getDeviceContext(req, 'email'));
+
+    console.log('✅ JWT token generated successfully');
+
+    const response = {
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        picture: null, // No picture for email signup
+        emailVerified: false,
+        googleMeetAccess: false // No Google Meet access for email signup
+      },
+      message: 'Account created successfully. Please check your email to verify your address.'
+    };
+
+    console.log('🎯 Email signup completed successfully:', {
+      userId: response.user.id,
+      email: response.user.email,
+      hasToken: !!response.token,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(201).json(response);
+
+  } catch (error) {
+    console.error('❌ Email signup error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Signup failed',
+      message: 'An error occurred while creating your account. Please try again.'
+    });
+  }
+});
+
+// Email login endpoint
+router.post('/login', async (req, res) => {
+  try {
+    const { email, password } = req.body;
+
+    // Validate required fields
+    if (!email || !password) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing credentials',
+        message: 'Email and password are required'
+      });
+    }
+
+    console.log('🔍 Email login attempt:', {
+      email: email,
+      timestamp: new Date().toISOString()
+    });
+
+    const normalizedEmail = email.toLowerCase();
+    const device = getDeviceContext(req, 'email');
+
+    // Refuse IPs with too many recent failures before touching any password hash
+    const ipCheck = await checkIpThrottle(device.ipAddress);
+    if (!ipCheck.allowed) {
+      await recordLoginAttempt({ email: normalizedEmail, device, success: false, reason: 'ip_blocked', suspicious: true });
+      res.set('Retry-After', String(ipCheck.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts',
+        message: 'Too many failed sign-in attempts from this network. Please try again later.',
+        retryAfterSeconds: ipCheck.retryAfterSeconds
+      });
+    }
+
+    // Find user by email
+    const result = await pool.query(
+      `SELECT id, email, name, password_hash, picture, google_meet_access, email_verified,
+              failed_login_count, last_failed_login_at, locked_until, totp_enabled, deleted_at, purge_after
+       FROM users WHERE email = $1`,
+      [normalizedEmail]
     );
 
-    console.log('✅ JWT token generated successfully');
+    // Accounts past their deletion grace period are treated as gone
+    if (result.rows.length === 0 || isPurgeDue(result.rows[0])) {
+      console.log('❌ User not found:', email);
+      await recordLoginAttempt({
+        email: normalizedEmail,
+        device,
+        success: false,
+        reason: 'unknown_email',
+        suspicious: isStuffingPattern(ipCheck)
+      });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Invalid email or password'
+      });
+    }
+
+    const user = result.rows[0];
+
+    // Check if user has a password (email signup user)
+    if (!user.password_hash) {
+      console.log('❌ User has no password (Google auth user):', email);
+      await recordLoginAttempt({ email: normalizedEmail, user, device, success: false, reason: 'no_password' });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'This account was created with Google. Please use Google sign-in.'
+      });
+    }
+
+    // Locked accounts and accounts inside their progressive delay are refused without
+    // checking the password. Otherwise the attempt is counted before bcrypt runs, so
+    // parallel guesses cannot all get past the limit.
+    const accountCheck = await claimLoginAttempt(user);
+    if (!accountCheck.allowed) {
+      await recordLoginAttempt({
+        email: normalizedEmail,
+        user,
+        device,
+        success: false,
+        reason: accountCheck.reason,
+        suspicious: accountCheck.reason === 'locked' || isStuffingPattern(ipCheck)
+      });
+      res.set('Retry-After', String(accountCheck.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: accountCheck.reason === 'locked' ? 'Account locked' : 'Too many attempts',
+        message: accountCheck.reason === 'locked'
+          ? 'Your account is temporarily locked after too many failed attempts. Check your email for an unlock link or try again later.'
+          : 'Please wait a moment before trying again.',
+        retryAfterSeconds: accountCheck.retryAfterSeconds
+      });
+    }
+
+    // Verify password
+    console.log('🔐 Verifying password...');
+    const isValidPassword = await bcrypt.compare(password, user.password_hash);
+
+    if (!isValidPassword) {
+      console.log('❌ Invalid password for user:', email);
+      const failure = await registerFailedLogin(user, accountCheck);
+      await recordLoginAttempt({
+        email: normalizedEmail,
+        user,
+        device,
+        success: false,
+        reason: 'wrong_password',
+        suspicious: failure.locked || isStuffingPattern(ipCheck)
+      });
+
+      if (failure.locked) {
+        return res.status(429).json({
+          success: false,
+          error: 'Account locked',
+          message: 'Too many failed attempts. Your account is temporarily locked and we have emailed you an unlock link.'
+        });
+      }
+
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Invalid email or password'
+      });
+    }
+
+    console.log('✅ Password verified successfully');
+
+    // Accounts with 2FA get a short-lived challenge instead of tokens (see POST /login/2fa).
+    // The right password does not clear earlier failures until the code is checked.
+    if (user.totp_enabled) {
+      await releaseLoginAttempt(user, accountCheck);
+      const { challengeToken, expiresIn: challengeExpiresIn } = createMfaChallenge(user);
+
+      console.log('🔐 Two-factor code required:', {
+        userId: user.id,
+        timestamp: new Date().toISOString()
+      });
+
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        challengeToken,
+        challengeExpiresIn,
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    // Clears the attempt claimLoginAttempt counted, along with any earlier failures
+    await resetFailedLogins(user.id);
+    await recordLoginAttempt({ email: normalizedEmail, user, device, success: true });
+    await touchIdentity(user.id, 'email');
+    const accountRestored = await restoreDeletedAccount(user);
+
+    // Generate access token and refresh token
+    console.log('🔐 Generating JWT token...');
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, device);
+
+    console.log('✅ JWT token generated successfully');
+
+    const response = {
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      accountRestored,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        emailVerified: !!user.email_verified,
+        googleMeetAccess: user.google_meet_access
+      },
+      message: 'Login successful'
+    };
+
+    console.log('🎯 Email login completed successfully:', {
+      userId: response.user.id,
+      email: response.user.email,
+      hasToken: !!response.token,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('❌ Email login error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: 'An error occurred while logging in. Please try again.'
+    });
+  }
+});
+
+// Second login step for accounts with 2FA: exchange the challenge token and a code for tokens
+router.post('/login/2fa', async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Challenge token and an authenticator or recovery code are required'
+      });
+    }
+
+    const userId = verifyMfaChallenge(challengeToken);
+    if (!userId) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge',
+        message: 'Your sign-in expired. Please enter your email and password again.'
+      });
+    }
+
+    const result = await pool.query(
+      `SELECT id, email, name, picture, google_meet_access, email_verified,
+              failed_login_count, last_failed_login_at, locked_until, totp_enabled, totp_secret,
+              deleted_at, purge_after
+       FROM users WHERE id = $1`,
+      [userId]
+    );
+    const user = result.rows[0];
+
+    if (!user || !user.totp_enabled || isPurgeDue(user)) {
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired challenge',
+        message: 'Your sign-in expired. Please enter your email and password again.'
+      });
+    }
+
+    const device = getDeviceContext(req, 'email');
+
+    // Codes are guessed against the same limits as passwords
+    const ipCheck = await checkIpThrottle(device.ipAddress);
+    const accountCheck = ipCheck.allowed
+      ? await claimLoginAttempt(user)
+      : { allowed: false, reason: 'ip_blocked', retryAfterSeconds: ipCheck.retryAfterSeconds };
+    if (!accountCheck.allowed) {
+      await recordLoginAttempt({
+        email: user.email,
+        user,
+        device,
+        success: false,
+        reason: accountCheck.reason,
+        suspicious: accountCheck.reason !== 'throttled'
+      });
+      res.set('Retry-After', String(accountCheck.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: accountCheck.reason === 'locked' ? 'Account locked' : 'Too many attempts',
+        message: 'Too many failed attempts. Please try again later.',
+        retryAfterSeconds: accountCheck.retryAfterSeconds
+      });
+    }
+
+    const method = await verifySecondFactor(user, { code, recoveryCode });
+
+    if (!method) {
+      console.log('❌ Invalid two-factor code for user:', user.id);
+      const failure = await registerFailedLogin(user, accountCheck);
+      await recordLoginAttempt({
+        email: user.email,
+        user,
+        device,
+        success: false,
+        reason: 'wrong_2fa_code',
+        suspicious: failure.locked
+      });
+
+      return res.status(failure.locked ? 429 : 401).json({
+        success: false,
+        error: failure.locked ? 'Account locked' : 'Invalid code',
+        message: failure.locked
+          ? 'Too many failed attempts. Your account is temporarily locked and we have emailed you an unlock link.'
+          : 'The code is incorrect or has already been used'
+      });
+    }
+
+    await resetFailedLogins(user.id);
+    await recordLoginAttempt({ email: user.email, user, device, success: true });
+    await touchIdentity(user.id, 'email');
+    const accountRestored = await restoreDeletedAccount(user);
+
+    const { token, refreshToken, expiresIn } = await issueAuthTokens(user, device);
+
+    const response = {
+      success: true,
+      token,
+      refreshToken,
+      expiresIn,
+      accountRestored,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        emailVerified: !!user.email_verified,
+        googleMeetAccess: user.google_meet_access
+      },
+      message: 'Login successful'
+    };
+
+    if (method === 'recovery_code') {
+      response.remainingRecoveryCodes = await countRecoveryCodes(user.id);
+    }
+
+    console.log('🎯 Two-factor login completed successfully:', {
+      userId: user.id,
+      method,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('❌ Two-factor login error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: 'An error occurred while logging in. Please try again.'
+    });
+  }
+});
+
+// Request a passwordless sign-in link (always answers the same way so emails cannot be probed)
+router.post('/magic-link', async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a sign-in link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+    const platform = req.body.platform === 'mobile' ? 'mobile' : 'web';
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing email',
+        message: 'Email is required'
+      });
+    }
+
+    const normalizedEmail = email.toLowerCase();
+    const device = getDeviceContext(req, 'magic_link');
+
+    const ipCheck = await checkIpThrottle(device.ipAddress);
+    if (!ipCheck.allowed) {
+      res.set('Retry-After', String(ipCheck.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Too many attempts',
+        message: 'Too many failed sign-in attempts from this network. Please try again later.',
+        retryAfterSeconds: ipCheck.retryAfterSeconds
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, name, deleted_at, purge_after FROM users WHERE email = $1',
+      [normalizedEmail]
+    );
+
+    if (result.rows.length === 0 || isPurgeDue(result.rows[0])) {
+      console.log('ℹ️ Magic link requested for unknown account:', email);
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+    const token = await createActionToken(user.id, 'magic_link', MAGIC_LINK_TTL_MINUTES, { email: user.email });
+
+    const signInUrl = new URL(`${getBackendUrl()}/api/auth/magic-link/open`);
+    signInUrl.searchParams.set('token', token);
+    signInUrl.searchParams.set('platform', platform);
+
+    await sendMagicLinkEmail(user.email, {
+      name: user.name,
+      signInUrl: signInUrl.toString(),
+      expiresInMinutes: MAGIC_LINK_TTL_MINUTES
+    });
+
+    console.log('📧 Magic sign-in link sent:', {
+      userId: user.id,
+      platform,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json(genericResponse);
+
+  } catch (error) {
+    console.error('❌ Magic link request error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Magic link request failed',
+      message: 'An error occurred while sending your sign-in link. Please try again.'
+    });
+  }
+});
+
+// Emailed links land here and are forwarded to the app (deep link) or web page.
+// The token is not used up here, so mail scanners that open links cannot spend it.
+router.get('/magic-link/open', (req, res) => {
+  const { token, platform } = req.query;
+  const redirectUrl = new URL(getMagicLinkRedirectUrl(platform));
+
+  if (token) {
+    redirectUrl.searchParams.set('token', token);
+  } else {
+    redirectUrl.searchParams.set('error', 'This sign-in link is invalid.');
+  }
+
+  res.redirect(redirectUrl.toString());
+});
+
+// Exchange a magic link token for tokens (same response as POST /login, including the 2FA step)
+router.post('/magic-link/verify', async (req, res) => {
+  try {
+    const { token } = req.body;
+
+    if (!token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing token',
+        message: 'Sign-in token is required'
+      });
+    }
+
+    const device = getDeviceContext(req, 'magic_link');
+    const client = await pool.connect();
+    let user;
+
+    try {
+      await client.query('BEGIN');
+
+      const linkToken = await consumeActionToken(token, 'magic_link', client);
+
+      // The link only counts if it went to the address the account still uses
+      const result = linkToken && await client.query(
+        `UPDATE users
+         SET email_verified = TRUE,
+             email_verified_at = COALESCE(email_verified_at, CURRENT_TIMESTAMP),
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1 AND email = $2
+         RETURNING id, email, name, picture, google_meet_access, email_verified,
+                   failed_login_count, last_failed_login_at, locked_until, totp_enabled,
+                   deleted_at, purge_after`,
+        [linkToken.userId, linkToken.metadata.email || null]
+      );
+
+      if (!result || result.rows.length === 0 || isPurgeDue(result.rows[0])) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired token',
+          message: 'This sign-in link is invalid or has expired. Please request a new one.'
+        });
+      }
+
+      user = result.rows[0];
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    const accountCheck = checkAccountThrottle(user);
+    if (!accountCheck.allowed && accountCheck.reason === 'locked') {
+      await recordLoginAttempt({ email: user.email, user, device, success: false, reason: 'locked', suspicious: true });
+      res.set('Retry-After', String(accountCheck.retryAfterSeconds));
+      return res.status(429).json({
+        success: false,
+        error: 'Account locked',
+        message: 'Your account is temporarily locked after too many failed attempts. Check your email for an unlock link or try again later.',
+        retryAfterSeconds: accountCheck.retryAfterSeconds
+      });
+    }
+
+    // The link replaces the password, not the second factor
+    if (user.totp_enabled) {
+      const { challengeToken, expiresIn: challengeExpiresIn } = createMfaChallenge(user);
+
+      console.log('🔐 Two-factor code required after magic link:', {
+        userId: user.id,
+        timestamp: new Date().toISOString()
+      });
+
+      return res.json({
+        success: true,
+        mfaRequired: true,
+        challengeToken,
+        challengeExpiresIn,
+        message: 'Enter the code from your authenticator app'
+      });
+    }
+
+    if (user.failed_login_count > 0 || user.locked_until) {
+      await resetFailedLogins(user.id);
+    }
+    await recordLoginAttempt({ email: user.email, user, device, success: true });
+    const accountRestored = await restoreDeletedAccount(user);
+
+    const { token: accessToken, refreshToken, expiresIn } = await issueAuthTokens(user, device);
+
+    const response = {
+      success: true,
+      token: accessToken,
+      refreshToken,
+      expiresIn,
+      accountRestored,
+      user: {
+        id: user.id,
+        email: user.email,
+        name: user.name,
+        picture: user.picture,
+        emailVerified: !!user.email_verified,
+        googleMeetAccess: user.google_meet_access
+      },
+      message: 'Login successful'
+    };
+
+    console.log('🎯 Magic link login completed successfully:', {
+      userId: user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json(response);
+
+  } catch (error) {
+    console.error('❌ Magic link login error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Login failed',
+      message: 'An error occurred while logging in. Please try again.'
+    });
+  }
+});
+
+// Exchange a refresh token for a new access token (refresh tokens rotate on every use)
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing refresh token',
+        message: 'Refresh token is required'
+      });
+    }
+
+    const result = await rotateRefreshToken(refreshToken, req.ip);
+
+    if (!result) {
+      console.log('❌ Refresh token rejected');
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid refresh token',
+        message: 'Your session has expired. Please sign in again.'
+      });
+    }
+
+    console.log('🔄 Access token refreshed:', {
+      userId: result.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      token: result.token,
+      refreshToken: result.refreshToken,
+      expiresIn: result.expiresIn
+    });
+
+  } catch (error) {
+    console.error('❌ Token refresh error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Token refresh failed',
+      message: 'An error occurred while refreshing your session. Please try again.'
+    });
+  }
+});
+
+// Change password (ends every existing session and starts a new one)
+router.put('/password', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+
+    if (!currentPassword || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Current password and new password are required'
+      });
+    }
+
+    if (!req.user.password_hash) {
+      return res.status(400).json({
+        success: false,
+        error: 'No password set',
+        message: 'This account was created with Google. Please use Google sign-in.'
+      });
+    }
+
+    // Validate password strength (minimum 6 characters)
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weak password',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const isValidPassword = await bcrypt.compare(currentPassword, req.user.password_hash);
+
+    if (!isValidPassword) {
+      console.log('❌ Invalid current password for user:', req.user.id);
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid credentials',
+        message: 'Current password is incorrect'
+      });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'UPDATE users SET password_hash = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+        [passwordHash, req.user.id]
+      );
+      await revokeAllUserTokens(req.user.id, client);
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    // Keep the current device signed in with a fresh token pair
+    const tokens = await issueAuthTokens(req.user, getDeviceContext(req, 'email'));
+
+    console.log('✅ Password changed, all other sessions ended:', {
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      token: tokens.token,
+      refreshToken: tokens.refreshToken,
+      expiresIn: tokens.expiresIn,
+      message: 'Password changed successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Change password error:', {
+      userId: req.user.id,
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Password change failed',
+      message: 'An error occurred while changing your password. Please try again.'
+    });
+  }
+});
+
+// Start 2FA enrollment: returns a new secret as an otpauth URI and QR code
+router.post('/2fa/setup', authenticateToken, async (req, res) => {
+  try {
+    if (!req.user.password_hash) {
+      return res.status(400).json({
+        success: false,
+        error: 'Password required',
+        message: 'Two-factor authentication is available for email and password sign-in. Add a password first.'
+      });
+    }
+
+    if (req.user.totp_enabled) {
+      return res.status(409).json({
+        success: false,
+        error: 'Already enabled',
+        message: 'Two-factor authentication is already enabled'
+      });
+    }
+
+    const { secret, otpauthUrl, qrCode } = await generateTotpSetup(req.user);
+
+    await pool.query(
+      'UPDATE users SET totp_pending_secret = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2',
+      [secret, req.user.id]
+    );
+
+    console.log('🔐 Two-factor enrollment started:', {
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      secret,
+      otpauthUrl,
+      qrCode,
+      message: 'Scan the QR code with your authenticator app, then confirm with a code'
+    });
+
+  } catch (error) {
+    console.error('❌ Error starting 2FA setup:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start two-factor setup',
+      message: error.message
+    });
+  }
+});
+
+// Finish 2FA enrollment with a code from the app; returns recovery codes once
+router.post('/2fa/enable', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.totp_pending_secret) {
+      return res.status(400).json({
+        success: false,
+        error: 'No setup in progress',
+        message: 'Start two-factor setup first'
+      });
+    }
+
+    const step = matchTotpStep(req.user.totp_pending_secret, code);
+    if (step === null) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code',
+        message: 'The code is incorrect. Check the time on your phone and try again.'
+      });
+    }
+
+    const client = await pool.connect();
+    let recoveryCodes;
+
+    try {
+      await client.query('BEGIN');
+
+      await client.query(
+        `UPDATE users
+         SET totp_secret = totp_pending_secret, totp_pending_secret = NULL, totp_enabled = TRUE,
+             totp_enabled_at = CURRENT_TIMESTAMP, totp_last_used_step = $2, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [req.user.id, step]
+      );
+      recoveryCodes = await generateRecoveryCodes(req.user.id, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log('✅ Two-factor authentication enabled:', {
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      recoveryCodes,
+      message: 'Two-factor authentication enabled. Save these recovery codes somewhere safe.'
+    });
+
+  } catch (error) {
+    console.error('❌ Error enabling 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to enable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// Turn off 2FA (requires the password and a current or recovery code)
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { currentPassword, code, recoveryCode } = req.body;
+
+    if (!req.user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    const reauth = await verifyReauthentication(req.user, req.auth, currentPassword);
+    if (!reauth.success) {
+      return res.status(403).json(reauth);
+    }
+
+    if (!await verifySecondFactor(req.user, { code, recoveryCode })) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code',
+        message: 'The code is incorrect or has already been used'
+      });
+    }
+
+    await disableTwoFactor(req.user.id);
+
+    console.log('🔓 Two-factor authentication disabled:', {
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Two-factor authentication disabled'
+    });
 
-    const response = {
+  } catch (error) {
+    console.error('❌ Error disabling 2FA:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to disable two-factor authentication',
+      message: error.message
+    });
+  }
+});
+
+// Replace recovery codes (requires a current authenticator code)
+router.post('/2fa/recovery-codes', authenticateToken, async (req, res) => {
+  try {
+    const { code } = req.body;
+
+    if (!req.user.totp_enabled) {
+      return res.status(400).json({
+        success: false,
+        error: 'Not enabled',
+        message: 'Two-factor authentication is not enabled'
+      });
+    }
+
+    if (!await verifyTotpCode(req.user, code)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid code',
+        message: 'The code is incorrect or has already been used'
+      });
+    }
+
+    const recoveryCodes = await generateRecoveryCodes(req.user.id);
+
+    console.log('🔑 Recovery codes regenerated:', {
+      userId: req.user.id,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
       success: true,
-      token,
-      user: {
-        id: user.id,
-        email: user.email,
-        name: user.name,
-        picture: user.picture,
-        googleMeetAccess: user.google_meet_access
-      },
-      message: 'Login successful'
-    };
+      recoveryCodes,
+      message: 'New recovery codes generated. Your old codes no longer work.'
+    });
 
-    console.log('🎯 Email login completed successfully:', {
-      userId: response.user.id,
-      email: response.user.email,
-      hasToken: !!response.token,
+  } catch (error) {
+    console.error('❌ Error regenerating recovery codes:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to regenerate recovery codes',
+      message: error.message
+    });
+  }
+});
+
+// Request a password reset link (always answers the same way so emails cannot be probed)
+router.post('/password/forgot', async (req, res) => {
+  const genericResponse = {
+    success: true,
+    message: 'If an account exists for this email, a password reset link has been sent.'
+  };
+
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing email',
+        message: 'Email is required'
+      });
+    }
+
+    const result = await pool.query(
+      'SELECT id, email, name, password_hash FROM users WHERE email = $1',
+      [email.toLowerCase()]
+    );
+
+    if (result.rows.length === 0 || !result.rows[0].password_hash) {
+      console.log('ℹ️ Password reset requested for unknown or Google-only account:', email);
+      return res.json(genericResponse);
+    }
+
+    const user = result.rows[0];
+    const token = await createActionToken(user.id, 'password_reset', PASSWORD_RESET_TTL_MINUTES, { email: user.email });
+
+    const resetUrl = new URL(getPasswordResetUrl());
+    resetUrl.searchParams.set('token', token);
+
+    await sendPasswordResetEmail(user.email, {
+      name: user.name,
+      resetUrl: resetUrl.toString(),
+      expiresInMinutes: PASSWORD_RESET_TTL_MINUTES
+    });
+
+    console.log('📧 Password reset link sent:', {
+      userId: user.id,
       timestamp: new Date().toISOString()
     });
 
-    res.json(response);
+    res.json(genericResponse);
 
   } catch (error) {
-    console.error('❌ Email login error:', {
+    console.error('❌ Forgot password error:', {
       error: error.message,
       stack: error.stack,
       timestamp: new Date().toISOString()
@@ -921,8 +2272,96 @@ router.post('/login', async (req, res) => {
 
     res.status(500).json({
       success: false,
-      error: 'Login failed',
-      message: 'An error occurred while logging in. Please try again.'
+      error: 'Password reset request failed',
+      message: 'An error occurred while requesting a password reset. Please try again.'
+    });
+  }
+});
+
+// Set a new password with a reset token (ends every existing session)
+router.post('/password/reset', async (req, res) => {
+  try {
+    const { token, newPassword } = req.body;
+
+    if (!token || !newPassword) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields',
+        message: 'Reset token and new password are required'
+      });
+    }
+
+    // Validate password strength (minimum 6 characters)
+    if (newPassword.length < 6) {
+      return res.status(400).json({
+        success: false,
+        error: 'Weak password',
+        message: 'Password must be at least 6 characters long'
+      });
+    }
+
+    const saltRounds = 12;
+    const passwordHash = await bcrypt.hash(newPassword, saltRounds);
+
+    const client = await pool.connect();
+    let resetToken;
+
+    try {
+      await client.query('BEGIN');
+
+      resetToken = await consumeActionToken(token, 'password_reset', client);
+
+      if (!resetToken) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid or expired token',
+          message: 'This reset link is invalid or has expired. Please request a new one.'
+        });
+      }
+
+      // Receiving the reset link also proves ownership of the address it was sent to
+      await client.query(
+        `UPDATE users
+         SET password_hash = $1,
+             email_verified = CASE WHEN email = $3 THEN TRUE ELSE email_verified END,
+             email_verified_at = CASE WHEN email = $3 THEN COALESCE(email_verified_at, CURRENT_TIMESTAMP) ELSE email_verified_at END,
+             updated_at = CURRENT_TIMESTAMP
+         WHERE id = $2`,
+        [passwordHash, resetToken.userId, resetToken.metadata.email || null]
+      );
+      await resetFailedLogins(resetToken.userId, client);
+      await revokeAllUserTokens(resetToken.userId, client);
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+    console.log('✅ Password reset, all sessions ended:', {
+      userId: resetToken.userId,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Password reset successfully. Please sign in with your new password.'
+    });
+
+  } catch (error) {
+    console.error('❌ Reset password error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Password reset failed',
+      message: 'An error occurred while resetting your password. Please try again.'
     });
   }
 });
@@ -936,15 +2375,205 @@ router.get('/verify', authenticateToken, (req, res) => {
       email: req.user.email,
       name: req.user.name,
       picture: req.user.picture,
+      emailVerified: !!req.user.email_verified,
+      pendingEmail: req.user.pending_email || null,
+      twoFactorEnabled: !!req.user.totp_enabled,
+      role: req.user.role,
+      permissions: getPermissions(req.user.role),
       googleMeetAccess: req.user.google_meet_access
     }
   });
 });
 
+// Confirm an email address from the emailed link (opened in a browser, so it redirects by default)
+router.get('/email/verify', async (req, res) => {
+  const wantsJson = req.headers['accept'] && req.headers['accept'].includes('application/json');
+  const redirectBase = process.env.EMAIL_VERIFICATION_REDIRECT_URL || `${getFrontendUrl()}/email-verified`;
+
+  try {
+    const { token } = req.query;
+    const result = token
+      ? await verifyEmailToken(token)
+      : { success: false, error: 'Verification token is required' };
+
+    if (result.success) {
+      console.log('✅ Email verified:', {
+        userId: result.userId,
+        email: result.email,
+        timestamp: new Date().toISOString()
+      });
+    } else {
+      console.log('❌ Email verification failed:', result.error);
+    }
+
+    if (wantsJson) {
+      return res.status(result.success ? 200 : 400).json(result.success
+        ? { success: true, email: result.email, message: 'Email verified successfully' }
+        : { success: false, error: 'Verification failed', message: result.error });
+    }
+
+    const redirectUrl = new URL(redirectBase);
+    if (result.success) {
+      redirectUrl.searchParams.set('success', 'true');
+    } else {
+      redirectUrl.searchParams.set('error', result.error);
+    }
+    res.redirect(redirectUrl.toString());
+
+  } catch (error) {
+    console.error('❌ Email verification error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    if (wantsJson) {
+      return res.status(500).json({
+        success: false,
+        error: 'Verification failed',
+        message: 'An error occurred while verifying your email. Please try again.'
+      });
+    }
+
+    const redirectUrl = new URL(redirectBase);
+    redirectUrl.searchParams.set('error', 'Verification failed');
+    res.redirect(redirectUrl.toString());
+  }
+});
+
+// Resend the verification link (to the pending new address if an email change is in progress)
+router.post('/email/resend', authenticateToken, async (req, res) => {
+  try {
+    const user = req.user;
+    const email = user.pending_email || (!user.email_verified ? user.email : null);
+
+    if (!email) {
+      return res.status(400).json({
+        success: false,
+        error: 'Already verified',
+        message: 'Your email address is already verified'
+      });
+    }
+
+    const result = await sendVerificationEmail(user, email);
+
+    if (!result.success) {
+      return res.status(502).json({
+        success: false,
+        error: 'Email not sent',
+        message: 'We could not send the verification email. Please try again later.'
+      });
+    }
+
+    console.log('📧 Verification email resent:', {
+      userId: user.id,
+      pendingChange: !!user.pending_email,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      email,
+      message: 'Verification email sent'
+    });
+
+  } catch (error) {
+    console.error('❌ Resend verification error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    res.status(500).json({
+      success: false,
+      error: 'Resend failed',
+      message: 'An error occurred while sending the verification email. Please try again.'
+    });
+  }
+});
+
+// Unlock an account from the link emailed when it was locked
+router.get('/unlock', async (req, res) => {
+  const wantsJson = req.headers['accept'] && req.headers['accept'].includes('application/json');
+  const redirectBase = process.env.ACCOUNT_UNLOCK_REDIRECT_URL || `${getFrontendUrl()}/account-unlocked`;
+
+  try {
+    const { token } = req.query;
+    const userId = token ? await unlockAccount(token) : null;
+
+    if (userId) {
+      console.log('🔓 Account unlocked by email:', {
+        userId,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (wantsJson) {
+      return res.status(userId ? 200 : 400).json(userId
+        ? { success: true, message: 'Account unlocked. You can sign in again.' }
+        : { success: false, error: 'Unlock failed', message: 'This unlock link is invalid or has expired.' });
+    }
+
+    const redirectUrl = new URL(redirectBase);
+    if (userId) {
+      redirectUrl.searchParams.set('success', 'true');
+    } else {
+      redirectUrl.searchParams.set('error', 'This unlock link is invalid or has expired.');
+    }
+    res.redirect(redirectUrl.toString());
+
+  } catch (error) {
+    console.error('❌ Account unlock error:', {
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
+
+    if (wantsJson) {
+      return res.status(500).json({
+        success: false,
+        error: 'Unlock failed',
+        message: 'An error occurred while unlocking your account. Please try again.'
+      });
+    }
+
+    const redirectUrl = new URL(redirectBase);
+    redirectUrl.searchParams.set('error', 'Unlock failed');
+    res.redirect(redirectUrl.toString());
+  }
+});
+
+// Recent sign-in attempts on the current user's account
+router.get('/login-activity', authenticateToken, async (req, res) => {
+  try {
+    const attempts = await listLoginActivity(req.user.id);
+
+    res.json({
+      success: true,
+      attempts: attempts.map(attempt => ({
+        success: attempt.success,
+        failureReason: attempt.failure_reason,
+        suspicious: attempt.suspicious,
+        ipAddress: attempt.ip_address,
+        userAgent: attempt.user_agent,
+        createdAt: attempt.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Error fetching login activity:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch login activity',
+      message: error.message
+    });
+  }
+});
+
 // ========== GOOGLE CALENDAR AUTHENTICATION ENDPOINTS (Separate from Sign Up) ==========
 
 // Get Google Calendar OAuth URL - SEPARATE from signup
-router.get('/google-calendar/url', authenticateToken, (req, res) => {
+router.get('/google-calendar/url', authenticateToken, async (req, res) => {
   const { platform } = req.query;
   
   console.log('📅 Google Calendar OAuth URL Request:', {
@@ -968,6 +2597,27 @@ router.get('/google-calendar/url', authenticateToken, (req, res) => {
     userId: req.user.id
   });
 
+  // The state names a server-side record of who is connecting, so the callback
+  // never trusts a user id from the URL
+  let oauthState;
+  try {
+    oauthState = await createOAuthState(calendarOAuthClient, {
+      flow: 'calendar',
+      platform: platform === 'mobile' ? 'mobile' : 'web',
+      userId: req.user.id
+    });
+  } catch (error) {
+    console.error('❌ Failed to create OAuth state:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to start calendar connection'
+    });
+  }
+
+  if (oauthState.nonce) {
+    setOAuthNonceCookie(res, 'calendar', oauthState.nonce);
+  }
+
   // Generate OAuth URL with calendar and Gmail scopes
   const url = calendarOAuthClient.generateAuthUrl({
     access_type: 'offline',
@@ -977,7 +2627,9 @@ router.get('/google-calendar/url', authenticateToken, (req, res) => {
       'https://www.googleapis.com/auth/calendar.events'
     ],
     prompt: 'consent',
-    state: req.user.id.toString() // Pass user ID in state to link calendar to existing user
+    state: oauthState.state,
+    code_challenge: oauthState.codeChallenge,
+    code_challenge_method: 'S256'
   });
   
   console.log('🔗 Generated Calendar OAuth URL:', {
@@ -1018,7 +2670,15 @@ router.get('/google-calendar/callback', async (req, res) => {
       return res.redirect(`${frontendUrl}/settings?calendarError=Missing authorization code`);
     }
 
-    const userId = parseInt(state);
+    const nonce = takeOAuthNonceCookie(req, res, 'calendar');
+    const oauthState = await consumeOAuthState(state, 'calendar', nonce);
+    if (!oauthState || oauthState.platform !== 'web') {
+      console.log('❌ Invalid or expired OAuth state in callback');
+      const frontendUrl = getFrontendUrl();
+      return res.redirect(`${frontendUrl}/settings?calendarError=${encodeURIComponent('Connection request expired. Please try again.')}`);
+    }
+
+    const userId = oauthState.userId;
     console.log('🔍 Linking calendar to user:', userId);
 
     // Create OAuth client with calendar callback URL
@@ -1027,7 +2687,7 @@ router.get('/google-calendar/callback', async (req, res) => {
     
     // Exchange code for tokens
     console.log('🔄 Exchanging code for tokens...');
-    const { tokens } = await calendarOAuthClient.getToken(code);
+    const { tokens } = await calendarOAuthClient.getToken({ code, codeVerifier: oauthState.codeVerifier });
     calendarOAuthClient.setCredentials(tokens);
     
     console.log('🔑 Calendar Tokens Received:', { 
@@ -1055,7 +2715,7 @@ router.get('/google-calendar/callback', async (req, res) => {
            google_meet_access = TRUE,
            updated_at = CURRENT_TIMESTAMP 
        WHERE id = $4`,
-      [tokens.access_token, tokens.refresh_token, userInfo.email, userId]
+      [encryptToken(tokens.access_token), encryptToken(tokens.refresh_token), userInfo.email, userId]
     );
 
     console.log('✅ Calendar Connected Successfully:', {
@@ -1104,7 +2764,13 @@ router.get('/google-calendar/mobile-callback', async (req, res) => {
       return res.redirect(302, `${MOBILE_RETURN_URL}?error=MissingParameters`);
     }
 
-    const userId = parseInt(state);
+    const oauthState = await consumeOAuthState(state, 'calendar');
+    if (!oauthState || oauthState.platform !== 'mobile') {
+      console.log('❌ Invalid or expired OAuth state');
+      return res.redirect(302, `${MOBILE_RETURN_URL}?error=InvalidState`);
+    }
+
+    const userId = oauthState.userId;
     console.log('🔍 Linking calendar to user:', userId);
 
     // Create OAuth client with calendar mobile callback URL
@@ -1114,7 +2780,7 @@ router.get('/google-calendar/mobile-callback', async (req, res) => {
     // Exchange code for tokens
     console.log('🔄 Exchanging code for tokens...');
     const startTime = Date.now();
-    const { tokens } = await calendarOAuthClient.getToken(code);
+    const { tokens } = await calendarOAuthClient.getToken({ code, codeVerifier: oauthState.codeVerifier });
     
     console.log('🔑 Calendar Tokens Received:', {
       hasAccessToken: !!tokens.access_token,
@@ -1147,7 +2813,7 @@ router.get('/google-calendar/mobile-callback', async (req, res) => {
            google_meet_access = TRUE,
            updated_at = CURRENT_TIMESTAMP 
        WHERE id = $4`,
-      [tokens.access_token, tokens.refresh_token, userInfo.email, userId]
+      [encryptToken(tokens.access_token), encryptToken(tokens.refresh_token), userInfo.email, userId]
     );
 
     console.log('✅ Calendar Connected Successfully:', {
@@ -1208,20 +2874,32 @@ router.post('/google-calendar/connect', authenticateToken, async (req, res) => {
   });
 
   try {
-    const { code } = req.body;
+    const { code, state } = req.body;
     
     console.log('🔍 Request Body Analysis:', {
       hasCode: !!code,
+      hasState: !!state,
       codeLength: code ? code.length : 0,
       codePreview: code ? `${code.substring(0, 10)}...` : 'missing',
       userId: req.user.id
     });
     
-    if (!code) {
-      console.log('❌ Missing authorization code');
+    if (!code || !state) {
+      console.log('❌ Missing authorization code or state');
+      return res.status(400).json({
+        success: false,
+        error: 'Authorization code and state are required'
+      });
+    }
+
+    // The state must come from GET /google-calendar/url?platform=mobile called by
+    // this same user, so a code from someone else's flow cannot be linked here
+    const oauthState = await consumeOAuthState(state, 'calendar');
+    if (!oauthState || oauthState.platform !== 'mobile' || oauthState.userId !== req.user.id) {
+      console.log('❌ Invalid or expired OAuth state on calendar connect');
       return res.status(400).json({
         success: false,
-        error: 'Authorization code is required'
+        error: 'Connection request expired. Please try again.'
       });
     }
 
@@ -1232,7 +2910,7 @@ router.post('/google-calendar/connect', authenticateToken, async (req, res) => {
     console.log('🔄 Starting token exchange with Google...');
     const startTime = Date.now();
     
-    const { tokens } = await calendarOAuthClient.getToken(code);
+    const { tokens } = await calendarOAuthClient.getToken({ code, codeVerifier: oauthState.codeVerifier });
     const tokenTime = Date.now() - startTime;
     
     console.log('🔑 Google Tokens Received:', {
@@ -1265,7 +2943,7 @@ router.post('/google-calendar/connect', authenticateToken, async (req, res) => {
            google_meet_access = TRUE,
            updated_at = CURRENT_TIMESTAMP 
        WHERE id = $4`,
-      [tokens.access_token, tokens.refresh_token, userInfo.email, req.user.id]
+      [encryptToken(tokens.access_token), encryptToken(tokens.refresh_token), userInfo.email, req.user.id]
     );
 
     console.log('✅ Calendar Connected Successfully:', {
@@ -3,6 +3,7 @@ const axios = require('axios');
 const router = express.Router();
 const { authenticateToken } = require('../middleware/auth');
 const { pool } = require('../config/database');
+const { getLocalDate, getLocalDayBounds, getUserTimezone } = require('../utils/timezone');
 const { GoogleGenerativeAI } = require('@google/generative-ai');
 
 // New Bible GO API - Open Source REST API
@@ -882,11 +883,8 @@ router.get('/daily-prayer', authenticateToken, async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // Check if user already has a prayer for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(today.getDate() + 1);
+    // Check if user already has a prayer for today (their local day)
+    const { start: today, end: tomorrow } = getLocalDayBounds(await getUserTimezone(userId));
 
     console.log('🔍 Checking for existing prayer today...', {
       userId: userId,
@@ -1242,11 +1240,8 @@ router.get('/daily-verse', authenticateToken, async (req, res) => {
       timestamp: new Date().toISOString()
     });
 
-    // Check if user already has a daily verse for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(today.getDate() + 1);
+    // Check if user already has a daily verse for today (their local day)
+    const { start: today, end: tomorrow } = getLocalDayBounds(await getUserTimezone(userId));
 
     console.log('🔍 Checking for existing verse today...', {
       userId: userId,
@@ -2055,11 +2050,8 @@ router.get('/daily-reflection', authenticateToken, async (req, res) => {
     const themeData = reflectionThemes[theme] || reflectionThemes['gratitude'];
     const availableVerses = themeData.verses;
 
-    // Check if user already has a reflection for today
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    const tomorrow = new Date(today);
-    tomorrow.setDate(today.getDate() + 1);
+    // Check if user already has a reflection for today (their local day)
+    const { start: today, end: tomorrow } = getLocalDayBounds(await getUserTimezone(userId));
 
     const todayReflectionResult = await pool.query(
       `SELECT * FROM user_reflection_history 
@@ -3517,13 +3509,14 @@ router.post('/daily-activity', authenticateToken, async (req, res) => {
 
   try {
     const userId = req.user.id;
+    const userTimezone = await getUserTimezone(userId);
     const {
       versesRead = 0,
       prayersSaid = 0,
       reflectionsCompleted = 0,
       studyHours = 0,
       notesCreated = 0,
-      date = new Date().toISOString().split('T')[0]
+      date = getLocalDate(userTimezone)
     } = req.body;
 
     // Validate inputs
@@ -3596,9 +3589,10 @@ router.get('/daily-activity/stats', authenticateToken, async (req, res) => {
 
   try {
     const userId = req.user.id;
+    const userTimezone = await getUserTimezone(userId);
     const {
       period = '30', // days
-      date = new Date().toISOString().split('T')[0]
+      date = getLocalDate(userTimezone)
     } = req.query;
 
     const daysBack = parseInt(period);
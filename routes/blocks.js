@@ -0,0 +1,130 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  BLOCK_TYPES,
+  blockUser,
+  unblockUser,
+  listBlockedUsers
+} = require('../utils/userBlocks');
+
+const router = express.Router();
+
+// GET /api/blocks - Users I have blocked or muted (?type=block|mute to filter)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const { type } = req.query;
+
+    if (type !== undefined && !BLOCK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type. Must be one of: ' + BLOCK_TYPES.join(', ')
+      });
+    }
+
+    const users = await listBlockedUsers(req.user.id, type || null);
+
+    res.json({
+      success: true,
+      users
+    });
+  } catch (error) {
+    console.error('❌ Error listing blocked users:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list blocked users',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/blocks/:userId - Block or mute a user (an existing entry is replaced)
+router.post('/:userId', authenticateToken, async (req, res) => {
+  try {
+    const blockedUserId = parseInt(req.params.userId);
+    const { type = 'block' } = req.body;
+
+    if (isNaN(blockedUserId) || blockedUserId === req.user.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    if (!BLOCK_TYPES.includes(type)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid type. Must be one of: ' + BLOCK_TYPES.join(', ')
+      });
+    }
+
+    const entry = await blockUser(req.user.id, blockedUserId, type);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    console.log('🚫 User blocked:', {
+      userId: req.user.id,
+      blockedUserId,
+      type,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: type === 'block' ? 'User blocked' : 'User muted',
+      block: {
+        userId: entry.blocked_user_id,
+        type: entry.type,
+        createdAt: entry.created_at
+      }
+    });
+  } catch (error) {
+    console.error('❌ Error blocking user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to block user',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/blocks/:userId - Unblock or unmute a user
+router.delete('/:userId', authenticateToken, async (req, res) => {
+  try {
+    const blockedUserId = parseInt(req.params.userId);
+
+    if (isNaN(blockedUserId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const removed = await unblockUser(req.user.id, blockedUserId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'This user is not blocked or muted'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'User unblocked'
+    });
+  } catch (error) {
+    console.error('❌ Error unblocking user:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unblock user',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,351 @@
+const express = require('express');
+const { pool } = require('../config/database');
+const { authenticateToken } = require('../middleware/auth');
+const { sendFollowRequestNotification } = require('../utils/pushNotifications');
+const { isBlockedBetween, isSilencedBy } = require('../utils/userBlocks');
+const {
+  requestFollow,
+  respondToFollowRequest,
+  removeFollow,
+  listFollowers,
+  listFollowing,
+  listFriends,
+  listMutualFriends
+} = require('../utils/follows');
+
+const router = express.Router();
+
+// Parse :userId and reject bad ids or the caller's own id
+function getOtherUserId(req, res) {
+  const userId = parseInt(req.params.userId);
+
+  if (isNaN(userId)) {
+    res.status(400).json({
+      success: false,
+      error: 'Invalid user ID'
+    });
+    return null;
+  }
+
+  if (userId === req.user.id) {
+    res.status(400).json({
+      success: false,
+      error: 'You cannot do this with your own account'
+    });
+    return null;
+  }
+
+  return userId;
+}
+
+// Let the other user know about a new request (best effort, respects their push settings and mutes)
+async function notifyFollowRequest(followerId, followingId) {
+  try {
+    const result = await pool.query(
+      `SELECT target.push_token, target.notification_settings, follower.name AS follower_name
+       FROM users target, users follower
+       WHERE target.id = $1 AND follower.id = $2`,
+      [followingId, followerId]
+    );
+
+    const row = result.rows[0];
+    const notificationSettings = row?.notification_settings || {};
+
+    if (row?.push_token &&
+        notificationSettings.pushEnabled !== false &&
+        notificationSettings.followRequests !== false &&
+        !(await isSilencedBy(followingId, followerId))) {
+      await sendFollowRequestNotification(row.push_token, {
+        followerName: row.follower_name,
+        followerId
+      });
+    }
+  } catch (error) {
+    console.error('⚠️ Failed to send follow request notification:', error.message);
+  }
+}
+
+// GET /api/follows/followers - People following me
+router.get('/followers', authenticateToken, async (req, res) => {
+  try {
+    const followers = await listFollowers(req.user.id);
+
+    res.json({
+      success: true,
+      followers
+    });
+  } catch (error) {
+    console.error('❌ Error listing followers:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list followers',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/follows/following - People I follow (pending requests included, see status)
+router.get('/following', authenticateToken, async (req, res) => {
+  try {
+    const following = await listFollowing(req.user.id);
+
+    res.json({
+      success: true,
+      following
+    });
+  } catch (error) {
+    console.error('❌ Error listing following:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list following',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/follows/friends - People who follow me and whom I follow back
+router.get('/friends', authenticateToken, async (req, res) => {
+  try {
+    const friends = await listFriends(req.user.id);
+
+    res.json({
+      success: true,
+      friends
+    });
+  } catch (error) {
+    console.error('❌ Error listing friends:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list friends',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/follows/mutual/:userId - Friends I have in common with another member
+router.get('/mutual/:userId', authenticateToken, async (req, res) => {
+  try {
+    const otherUserId = getOtherUserId(req, res);
+    if (!otherUserId) return;
+
+    // A block hides the friend graph too, the same as the profile
+    if (await isBlockedBetween(req.user.id, otherUserId)) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    const mutualFriends = await listMutualFriends(req.user.id, otherUserId);
+
+    res.json({
+      success: true,
+      mutualFriends
+    });
+  } catch (error) {
+    console.error('❌ Error listing mutual friends:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list mutual friends',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/follows/requests - Follow requests waiting for my answer
+router.get('/requests', authenticateToken, async (req, res) => {
+  try {
+    const requests = await listFollowers(req.user.id, 'pending');
+
+    res.json({
+      success: true,
+      requests
+    });
+  } catch (error) {
+    console.error('❌ Error listing follow requests:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list follow requests',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/follows/requests/:userId/accept - Accept a follow request
+router.post('/requests/:userId/accept', authenticateToken, async (req, res) => {
+  try {
+    const followerId = getOtherUserId(req, res);
+    if (!followerId) return;
+
+    const accepted = await respondToFollowRequest(req.user.id, followerId, true);
+
+    if (!accepted) {
+      return res.status(404).json({
+        success: false,
+        error: 'Follow request not found'
+      });
+    }
+
+    console.log('🤝 Follow request accepted:', {
+      userId: req.user.id,
+      followerId,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      message: 'Follow request accepted'
+    });
+  } catch (error) {
+    console.error('❌ Error accepting follow request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to accept follow request',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/follows/requests/:userId/decline - Decline a follow request
+router.post('/requests/:userId/decline', authenticateToken, async (req, res) => {
+  try {
+    const followerId = getOtherUserId(req, res);
+    if (!followerId) return;
+
+    const declined = await respondToFollowRequest(req.user.id, followerId, false);
+
+    if (!declined) {
+      return res.status(404).json({
+        success: false,
+        error: 'Follow request not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follow request declined'
+    });
+  } catch (error) {
+    console.error('❌ Error declining follow request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to decline follow request',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/follows/followers/:userId - Stop someone from following me
+router.delete('/followers/:userId', authenticateToken, async (req, res) => {
+  try {
+    const followerId = getOtherUserId(req, res);
+    if (!followerId) return;
+
+    const removed = await removeFollow(followerId, req.user.id);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'This user does not follow you'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Follower removed'
+    });
+  } catch (error) {
+    console.error('❌ Error removing follower:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to remove follower',
+      message: error.message
+    });
+  }
+});
+
+// POST /api/follows/:userId - Ask to follow a member
+router.post('/:userId', authenticateToken, async (req, res) => {
+  try {
+    const followingId = getOtherUserId(req, res);
+    if (!followingId) return;
+
+    if (await isBlockedBetween(req.user.id, followingId)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot follow this user'
+      });
+    }
+
+    const follow = await requestFollow(req.user.id, followingId);
+
+    if (!follow) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    if (!follow.created) {
+      return res.status(409).json({
+        success: false,
+        error: follow.status === 'accepted'
+          ? 'You already follow this user'
+          : 'Follow request already sent',
+        status: follow.status
+      });
+    }
+
+    console.log('👋 Follow request sent:', {
+      followerId: req.user.id,
+      followingId,
+      timestamp: new Date().toISOString()
+    });
+
+    notifyFollowRequest(req.user.id, followingId);
+
+    res.status(201).json({
+      success: true,
+      message: 'Follow request sent',
+      status: follow.status
+    });
+  } catch (error) {
+    console.error('❌ Error sending follow request:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to send follow request',
+      message: error.message
+    });
+  }
+});
+
+// DELETE /api/follows/:userId - Unfollow, or cancel a pending request
+router.delete('/:userId', authenticateToken, async (req, res) => {
+  try {
+    const followingId = getOtherUserId(req, res);
+    if (!followingId) return;
+
+    const removed = await removeFollow(req.user.id, followingId);
+
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        error: 'You do not follow this user'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Unfollowed'
+    });
+  } catch (error) {
+    console.error('❌ Error unfollowing:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to unfollow',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
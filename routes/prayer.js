@@ -1,12 +1,13 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateTokenOrApiKey, requireVerifiedEmail } = require('../middleware/auth');
 const { sendPrayerResponseNotification } = require('../utils/pushNotifications');
+const { hiddenUsersCondition, isBlockedBetween, isSilencedBy } = require('../utils/userBlocks');
 
 const router = express.Router();
 
 // Get all prayer requests (public feed)
-router.get('/requests', authenticateToken, async (req, res) => {
+router.get('/requests', authenticateTokenOrApiKey('prayer:read'), async (req, res) => {
   console.log('🙏 Get Prayer Requests Request:', {
     userId: req.user.id,
     query: req.query,
@@ -20,13 +21,20 @@ router.get('/requests', authenticateToken, async (req, res) => {
       category, 
       status = 'Active',
       sort = 'newest',
-      search 
+      search,
+      scope = 'all'
     } = req.query;
 
     const offset = (page - 1) * limit;
-    let whereConditions = ['pr.is_public = true'];
-    let queryParams = [];
-    let paramCount = 1;
+    // Requests from accounts scheduled for deletion are hidden straight away, as are
+    // requests from users the viewer blocked or muted and from users who blocked the viewer
+    let whereConditions = [
+      'pr.is_public = true',
+      'NOT EXISTS (SELECT 1 FROM users du WHERE du.id = pr.user_id AND du.deleted_at IS NOT NULL)',
+      hiddenUsersCondition('pr.user_id', '$1')
+    ];
+    let queryParams = [req.user.id];
+    let paramCount = 2;
 
     // Add category filter
     if (category && category !== 'all') {
@@ -49,6 +57,15 @@ router.get('/requests', authenticateToken, async (req, res) => {
       paramCount++;
     }
 
+    // Friends feed: requests from people the user follows. Anonymous requests are
+    // left out, since showing them here would reveal they came from a friend.
+    if (scope === 'friends') {
+      whereConditions.push('pr.is_anonymous IS NOT TRUE');
+      whereConditions.push(`pr.user_id IN (
+        SELECT following_id FROM user_follows WHERE follower_id = $1 AND status = 'accepted'
+      )`);
+    }
+
     // Add sorting
     let orderBy = 'pr.created_at DESC';
     if (sort === 'oldest') {
@@ -144,7 +161,7 @@ router.get('/requests', authenticateToken, async (req, res) => {
 });
 
 // Get single prayer request with responses
-router.get('/requests/:id', authenticateToken, async (req, res) => {
+router.get('/requests/:id', authenticateTokenOrApiKey('prayer:read'), async (req, res) => {
   console.log('🙏 Get Single Prayer Request:', {
     userId: req.user.id,
     requestId: req.params.id,
@@ -190,8 +207,9 @@ router.get('/requests/:id', authenticateToken, async (req, res) => {
          END as display_age_group
        FROM prayer_requests pr
        INNER JOIN users u ON pr.user_id = u.id
-       WHERE pr.id = $1 AND pr.is_public = true`,
-      [requestId]
+       WHERE pr.id = $1 AND pr.is_public = true AND u.deleted_at IS NULL
+         AND ${hiddenUsersCondition('pr.user_id', '$2')}`,
+      [requestId, req.user.id]
     );
 
     if (requestResult.rows.length === 0) {
@@ -230,12 +248,13 @@ router.get('/requests/:id', authenticateToken, async (req, res) => {
          END as display_age_group
        FROM prayer_responses pr
        INNER JOIN users u ON pr.user_id = u.id
-       WHERE pr.prayer_request_id = $1
+       WHERE pr.prayer_request_id = $1 AND u.deleted_at IS NULL
+         AND ${hiddenUsersCondition('pr.user_id', '$2')}
        ORDER BY 
          CASE WHEN pr.parent_response_id IS NULL THEN pr.created_at END ASC,
          pr.parent_response_id ASC,
          pr.created_at ASC`,
-      [requestId]
+      [requestId, req.user.id]
     );
 
     // Organize responses into nested structure
@@ -290,7 +309,7 @@ router.get('/requests/:id', authenticateToken, async (req, res) => {
 });
 
 // Create prayer request
-router.post('/requests', authenticateToken, async (req, res) => {
+router.post('/requests', authenticateTokenOrApiKey('prayer:write'), async (req, res) => {
   console.log('🙏 Create Prayer Request:', {
     userId: req.user.id,
     body: req.body,
@@ -307,6 +326,15 @@ router.post('/requests', authenticateToken, async (req, res) => {
       isPublic = true
     } = req.body;
 
+    // Public prayer requests are visible to the whole community
+    if (isPublic && !req.user.email_verified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email not verified',
+        message: 'Please verify your email address to share public prayer requests, or make this request private.'
+      });
+    }
+
     // Validate required fields
     if (!title || title.trim().length === 0) {
       return res.status(400).json({
@@ -376,7 +404,7 @@ router.post('/requests', authenticateToken, async (req, res) => {
 });
 
 // Update prayer request
-router.put('/requests/:id', authenticateToken, async (req, res) => {
+router.put('/requests/:id', authenticateTokenOrApiKey('prayer:write'), async (req, res) => {
   console.log('🙏 Update Prayer Request:', {
     userId: req.user.id,
     requestId: req.params.id,
@@ -404,6 +432,15 @@ router.put('/requests/:id', authenticateToken, async (req, res) => {
       status
     } = req.body;
 
+    // Public prayer requests are visible to the whole community
+    if (isPublic && !req.user.email_verified) {
+      return res.status(403).json({
+        success: false,
+        error: 'Email not verified',
+        message: 'Please verify your email address to share public prayer requests, or make this request private.'
+      });
+    }
+
     // Check if request exists and user owns it
     const existingRequest = await pool.query(
       'SELECT * FROM prayer_requests WHERE id = $1 AND user_id = $2',
@@ -542,7 +579,7 @@ router.put('/requests/:id', authenticateToken, async (req, res) => {
 });
 
 // Delete prayer request
-router.delete('/requests/:id', authenticateToken, async (req, res) => {
+router.delete('/requests/:id', authenticateTokenOrApiKey('prayer:write'), async (req, res) => {
   console.log('🙏 Delete Prayer Request:', {
     userId: req.user.id,
     requestId: req.params.id,
@@ -597,7 +634,7 @@ router.delete('/requests/:id', authenticateToken, async (req, res) => {
 });
 
 // Add prayer response (pray for someone)
-router.post('/requests/:id/respond', authenticateToken, async (req, res) => {
+router.post('/requests/:id/respond', authenticateTokenOrApiKey('prayer:write'), requireVerifiedEmail, async (req, res) => {
   console.log('🙏 Add Prayer Response:', {
     userId: req.user.id,
     requestId: req.params.id,
@@ -719,6 +756,13 @@ router.post('/requests/:id/respond', authenticateToken, async (req, res) => {
       });
     }
 
+    if (await isBlockedBetween(req.user.id, prayerRequest.rows[0].user_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot respond to this prayer request'
+      });
+    }
+
     // Check if user already responded to this request (optional - for analytics)
     const existingResponse = await pool.query(
       'SELECT COUNT(*) as response_count FROM prayer_responses WHERE prayer_request_id = $1 AND user_id = $2',
@@ -824,7 +868,7 @@ router.post('/requests/:id/respond', authenticateToken, async (req, res) => {
 });
 
 // Reply to a prayer response (nested response)
-router.post('/responses/:responseId/reply', authenticateToken, async (req, res) => {
+router.post('/responses/:responseId/reply', authenticateTokenOrApiKey('prayer:write'), requireVerifiedEmail, async (req, res) => {
   console.log('💬 Reply to Prayer Response:', {
     userId: req.user.id,
     responseId: req.params.responseId,
@@ -927,7 +971,7 @@ router.post('/responses/:responseId/reply', authenticateToken, async (req, res)
 
     // Check if parent response exists and get prayer request info
     const parentResponseResult = await pool.query(
-      `SELECT pr.*, prr.id as prayer_request_id, prr.is_public 
+      `SELECT pr.*, prr.id as prayer_request_id, prr.is_public, prr.user_id as request_author_id
        FROM prayer_responses pr
        INNER JOIN prayer_requests prr ON pr.prayer_request_id = prr.id
        WHERE pr.id = $1`,
@@ -959,6 +1003,15 @@ router.post('/responses/:responseId/reply', authenticateToken, async (req, res)
       });
     }
 
+    // Blocks apply to both the prayer request author and the person being replied to
+    if (await isBlockedBetween(req.user.id, parentResponse.request_author_id) ||
+        await isBlockedBetween(req.user.id, parentResponse.user_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot reply to this response'
+      });
+    }
+
     // Create reply response
     console.log('🔍 Creating reply response with data:', {
       prayerRequestId: parentResponse.prayer_request_id,
@@ -1004,6 +1057,7 @@ router.post('/responses/:responseId/reply', authenticateToken, async (req, res)
       if (authorResult.rows.length > 0) {
         const author = authorResult.rows[0];
         const notificationSettings = author.notification_settings || {};
+        const isSilenced = await isSilencedBy(author.user_id, req.user.id);
 
         console.log('📱 Checking if notification should be sent:', {
           authorId: author.user_id,
@@ -1018,10 +1072,12 @@ router.post('/responses/:responseId/reply', authenticateToken, async (req, res)
         // 2. Push notifications are enabled
         // 3. Prayer updates are enabled
         // 4. The responder is not the author themselves
+        // 5. The author has not blocked or muted the responder
         if (author.push_token && 
             notificationSettings.pushEnabled !== false && 
             notificationSettings.prayerUpdates !== false &&
-            author.user_id !== req.user.id) {
+            author.user_id !== req.user.id &&
+            !isSilenced) {
           
           // Get responder's name if not anonymous
           let responderName = null;
@@ -1054,7 +1110,8 @@ router.post('/responses/:responseId/reply', authenticateToken, async (req, res)
             reason: !author.push_token ? 'No push token' : 
                     notificationSettings.pushEnabled === false ? 'Push disabled' :
                     notificationSettings.prayerUpdates === false ? 'Prayer updates disabled' :
-                    author.user_id === req.user.id ? 'Self-response' : 'Unknown'
+                    author.user_id === req.user.id ? 'Self-response' :
+                    isSilenced ? 'Responder blocked or muted' : 'Unknown'
           });
         }
       }
@@ -1126,7 +1183,7 @@ router.post('/responses/:responseId/reply', authenticateToken, async (req, res)
 });
 
 // Get user's prayer requests
-router.get('/my-requests', authenticateToken, async (req, res) => {
+router.get('/my-requests', authenticateTokenOrApiKey('prayer:read'), async (req, res) => {
   console.log('🙏 Get My Prayer Requests:', {
     userId: req.user.id,
     query: req.query,
@@ -1230,7 +1287,7 @@ router.get('/my-requests', authenticateToken, async (req, res) => {
 });
 
 // Get prayer categories
-router.get('/categories', authenticateToken, async (req, res) => {
+router.get('/categories', authenticateTokenOrApiKey('prayer:read'), async (req, res) => {
   console.log('🙏 Get Prayer Categories:', {
     userId: req.user.id,
     timestamp: new Date().toISOString()
@@ -1273,7 +1330,7 @@ router.get('/categories', authenticateToken, async (req, res) => {
 });
 
 // Get prayer statistics
-router.get('/stats', authenticateToken, async (req, res) => {
+router.get('/stats', authenticateTokenOrApiKey('prayer:read'), async (req, res) => {
   console.log('🙏 Get Prayer Statistics:', {
     userId: req.user.id,
     timestamp: new Date().toISOString()
@@ -1,7 +1,9 @@
 const express = require('express');
 const { pool } = require('../config/database');
-const { authenticateToken } = require('../middleware/auth');
+const { authenticateTokenOrApiKey } = require('../middleware/auth');
 const { createGoogleCalendarEvent, updateGoogleCalendarEvent, deleteGoogleCalendarEvent } = require('../utils/googleAuth');
+const { transferGroupOwnership } = require('../utils/studyGroupOwnership');
+const { isBlockedBetween, hiddenUsersCondition } = require('../utils/userBlocks');
 const { 
   generateRecurrenceRule, 
   calculateNextOccurrence, 
@@ -141,7 +143,7 @@ const createRecurringMeetingInstances = async (client, groupId, startTime, durat
 };
 
 // Create Study Group API
-router.post('/create', authenticateToken, async (req, res) => {
+router.post('/create', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('🚀 Create Study Group Request:', {
     userId: req.user.id,
     body: req.body,
@@ -564,7 +566,7 @@ router.post('/create', authenticateToken, async (req, res) => {
 });
 
 // Create Recurring Study Group API (Simplified interface)
-router.post('/create-recurring', authenticateToken, async (req, res) => {
+router.post('/create-recurring', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('🔄 Create Recurring Study Group Request:', {
     userId: req.user.id,
     body: req.body,
@@ -1004,7 +1006,7 @@ router.post('/create-recurring', authenticateToken, async (req, res) => {
 });
 
 // Get Public Study Groups API (browse all available groups)
-router.get('/public', authenticateToken, async (req, res) => {
+router.get('/public', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('🌐 Get Public Study Groups Request:', {
     userId: req.user.id,
     query: req.query,
@@ -1039,7 +1041,7 @@ router.get('/public', authenticateToken, async (req, res) => {
         (SELECT sjr_user.requested_at FROM study_group_join_requests sjr_user WHERE sjr_user.group_id = sg.id AND sjr_user.user_id = $1) as user_join_requested_at
       FROM study_groups sg
       LEFT JOIN users u ON sg.creator_id = u.id
-      WHERE sg.is_active = true
+      WHERE sg.is_active = true AND u.deleted_at IS NULL
     `;
 
     const queryParams = [userId];
@@ -1101,6 +1103,7 @@ router.get('/public', authenticateToken, async (req, res) => {
       SELECT COUNT(DISTINCT sg.id) as total
       FROM study_groups sg
       WHERE sg.is_active = true
+        AND NOT EXISTS (SELECT 1 FROM users du WHERE du.id = sg.creator_id AND du.deleted_at IS NOT NULL)
     `;
     
     const countParams = [];
@@ -1142,7 +1145,7 @@ router.get('/public', authenticateToken, async (req, res) => {
           sgm.role, sgm.joined_at
          FROM study_group_members sgm
          INNER JOIN users u ON sgm.user_id = u.id
-         WHERE sgm.group_id = $1 AND sgm.is_active = true
+         WHERE sgm.group_id = $1 AND sgm.is_active = true AND u.deleted_at IS NULL
          ORDER BY sgm.joined_at ASC`,
         [group.id]
       );
@@ -1237,7 +1240,7 @@ router.get('/public', authenticateToken, async (req, res) => {
 });
 
 // Get All Study Groups API (for user - only groups they're member/owner of)
-router.get('/', authenticateToken, async (req, res) => {
+router.get('/', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('📚 Get All Study Groups Request:', {
     userId: req.user.id,
     query: req.query,
@@ -1440,7 +1443,7 @@ router.get('/', authenticateToken, async (req, res) => {
 });
 
 // Get My Study Groups API (simplified version - kept for backward compatibility)
-router.get('/my-groups', authenticateToken, async (req, res) => {
+router.get('/my-groups', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('📚 Get My Study Groups Request:', {
     userId: req.user.id,
     timestamp: new Date().toISOString()
@@ -1491,7 +1494,7 @@ router.get('/my-groups', authenticateToken, async (req, res) => {
 });
 
 // Get Owned Study Groups API
-router.get('/owned', authenticateToken, async (req, res) => {
+router.get('/owned', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('👑 Get Owned Study Groups Request:', {
     userId: req.user.id,
     timestamp: new Date().toISOString()
@@ -1538,7 +1541,7 @@ router.get('/owned', authenticateToken, async (req, res) => {
 });
 
 // Get My Join Requests API (for users to see their own requests)
-router.get('/my-join-requests', authenticateToken, async (req, res) => {
+router.get('/my-join-requests', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('📋 Get My Join Requests Request:', {
     userId: req.user.id,
     query: req.query,
@@ -1638,7 +1641,7 @@ router.get('/my-join-requests', authenticateToken, async (req, res) => {
 });
 
 // Get Study Group Details API (Public - shows group info to everyone)
-router.get('/:groupId', authenticateToken, async (req, res) => {
+router.get('/:groupId', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('🔍 Get Study Group Details Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -1664,7 +1667,7 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
         sg.*, u.name as creator_name, u.email as creator_email
        FROM study_groups sg
        INNER JOIN users u ON sg.creator_id = u.id
-       WHERE sg.id = $1 AND sg.is_active = true`,
+       WHERE sg.id = $1 AND sg.is_active = true AND u.deleted_at IS NULL`,
       [groupId]
     );
 
@@ -1702,7 +1705,7 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
           sgm.role, sgm.joined_at
          FROM study_group_members sgm
          INNER JOIN users u ON sgm.user_id = u.id
-         WHERE sgm.group_id = $1 AND sgm.is_active = true
+         WHERE sgm.group_id = $1 AND sgm.is_active = true AND u.deleted_at IS NULL
          ORDER BY sgm.joined_at ASC`,
         [groupId]
       );
@@ -1778,7 +1781,7 @@ router.get('/:groupId', authenticateToken, async (req, res) => {
 });
 
 // Get Study Group Details API (Private - for members only, shows full details)
-router.get('/:groupId/member-details', authenticateToken, async (req, res) => {
+router.get('/:groupId/member-details', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('🔍 Get Study Group Member Details Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -1828,7 +1831,7 @@ router.get('/:groupId/member-details', authenticateToken, async (req, res) => {
         sgm.role, sgm.joined_at
        FROM study_group_members sgm
        INNER JOIN users u ON sgm.user_id = u.id
-       WHERE sgm.group_id = $1 AND sgm.is_active = true
+       WHERE sgm.group_id = $1 AND sgm.is_active = true AND u.deleted_at IS NULL
        ORDER BY sgm.joined_at ASC`,
       [groupId]
     );
@@ -1884,7 +1887,7 @@ router.get('/:groupId/member-details', authenticateToken, async (req, res) => {
 });
 
 // Join Study Group API
-router.post('/:groupId/join', authenticateToken, async (req, res) => {
+router.post('/:groupId/join', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('➕ Join Study Group Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -1897,7 +1900,7 @@ router.post('/:groupId/join', authenticateToken, async (req, res) => {
 
     // Check if group exists and is active
     const groupResult = await pool.query(
-      'SELECT id, title, max_participants, requires_approval FROM study_groups WHERE id = $1 AND is_active = true',
+      'SELECT id, title, creator_id, max_participants, requires_approval FROM study_groups WHERE id = $1 AND is_active = true',
       [groupId]
     );
 
@@ -1910,6 +1913,14 @@ router.post('/:groupId/join', authenticateToken, async (req, res) => {
 
     const group = groupResult.rows[0];
 
+    // Users blocked by (or blocking) the group owner cannot join or ask to join
+    if (await isBlockedBetween(userId, group.creator_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot join this study group'
+      });
+    }
+
     // Check if user is already a member
     const existingMemberResult = await pool.query(
       'SELECT id, is_active FROM study_group_members WHERE group_id = $1 AND user_id = $2',
@@ -1987,7 +1998,7 @@ router.post('/:groupId/join', authenticateToken, async (req, res) => {
 });
 
 // Leave Study Group API
-router.post('/:groupId/leave', authenticateToken, async (req, res) => {
+router.post('/:groupId/leave', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('➖ Leave Study Group Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -2048,8 +2059,111 @@ router.post('/:groupId/leave', authenticateToken, async (req, res) => {
   }
 });
 
+// Transfer Study Group Ownership API (owner only)
+router.post('/:groupId/transfer-ownership', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
+  console.log('👑 Transfer Study Group Ownership Request:', {
+    userId: req.user.id,
+    groupId: req.params.groupId,
+    body: req.body,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const groupId = parseInt(req.params.groupId);
+    const newOwnerId = parseInt(req.body.newOwnerId);
+    const userId = req.user.id;
+
+    if (isNaN(groupId) || isNaN(newOwnerId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'A valid group ID and newOwnerId are required'
+      });
+    }
+
+    if (newOwnerId === userId) {
+      return res.status(400).json({
+        success: false,
+        error: 'You already own this study group'
+      });
+    }
+
+    const client = await pool.connect();
+
+    try {
+      await client.query('BEGIN');
+
+      const groupResult = await client.query(
+        'SELECT id, title, meet_id FROM study_groups WHERE id = $1 AND creator_id = $2 AND is_active = true FOR UPDATE',
+        [groupId, userId]
+      );
+
+      if (groupResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(403).json({
+          success: false,
+          error: 'Access denied. Only the group owner can transfer ownership.'
+        });
+      }
+
+      const memberResult = await client.query(
+        `SELECT sgm.user_id, u.name
+         FROM study_group_members sgm
+         INNER JOIN users u ON sgm.user_id = u.id
+         WHERE sgm.group_id = $1 AND sgm.user_id = $2 AND sgm.is_active = true AND u.deleted_at IS NULL`,
+        [groupId, newOwnerId]
+      );
+
+      if (memberResult.rows.length === 0) {
+        await client.query('ROLLBACK');
+        return res.status(400).json({
+          success: false,
+          error: 'The new owner must be an active member of this study group'
+        });
+      }
+
+      await transferGroupOwnership(groupId, userId, newOwnerId, 'manual', client);
+
+      await client.query('COMMIT');
+
+      const group = groupResult.rows[0];
+
+      console.log('✅ Study group ownership transferred:', {
+        groupId,
+        fromUserId: userId,
+        toUserId: newOwnerId,
+        timestamp: new Date().toISOString()
+      });
+
+      res.json({
+        success: true,
+        message: `${memberResult.rows[0].name || 'The new owner'} now owns this study group`,
+        data: {
+          groupId,
+          title: group.title,
+          newOwnerId,
+          calendarEventDetached: !!group.meet_id
+        }
+      });
+
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+
+  } catch (error) {
+    console.error('❌ Transfer study group ownership error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to transfer ownership',
+      message: error.message
+    });
+  }
+});
+
 // Delete Study Group API (creator only)
-router.delete('/:groupId', authenticateToken, async (req, res) => {
+router.delete('/:groupId', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('🗑️ Delete Study Group Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -2183,7 +2297,7 @@ router.delete('/:groupId', authenticateToken, async (req, res) => {
 });
 
 // Update Study Group API
-router.put('/:groupId', authenticateToken, async (req, res) => {
+router.put('/:groupId', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('🔄 Update Study Group Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -2654,7 +2768,7 @@ router.put('/:groupId', authenticateToken, async (req, res) => {
 });
 
 // Get Upcoming Recurring Meetings API
-router.get('/upcoming-recurring', authenticateToken, async (req, res) => {
+router.get('/upcoming-recurring', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('📅 Get Upcoming Recurring Meetings Request:', {
     userId: req.user.id,
     timestamp: new Date().toISOString()
@@ -2719,7 +2833,7 @@ router.get('/upcoming-recurring', authenticateToken, async (req, res) => {
 });
 
 // Request to Join Study Group API
-router.post('/:groupId/request-join', authenticateToken, async (req, res) => {
+router.post('/:groupId/request-join', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('📝 Request to Join Study Group:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -2747,6 +2861,14 @@ router.post('/:groupId/request-join', authenticateToken, async (req, res) => {
 
     const group = groupResult.rows[0];
 
+    // Same rule as direct joins: no requests across a block with the owner
+    if (await isBlockedBetween(userId, group.creator_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot join this study group'
+      });
+    }
+
     // Check if user is already a member
     const existingMemberResult = await pool.query(
       'SELECT id, is_active FROM study_group_members WHERE group_id = $1 AND user_id = $2',
@@ -2851,7 +2973,7 @@ router.post('/:groupId/request-join', authenticateToken, async (req, res) => {
 });
 
 // Get Pending Join Requests API (for group owners/admins)
-router.get('/:groupId/join-requests', authenticateToken, async (req, res) => {
+router.get('/:groupId/join-requests', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('📋 Get Join Requests Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -2884,18 +3006,19 @@ router.get('/:groupId/join-requests', authenticateToken, async (req, res) => {
       });
     }
 
-    // Get join requests
+    // Get join requests, leaving out users the admin blocked or muted and users who
+    // blocked the admin
     let query = `
       SELECT 
         sjr.id, sjr.user_id, sjr.message, sjr.status, sjr.requested_at, sjr.responded_at,
         u.name, u.email, u.picture
       FROM study_group_join_requests sjr
       INNER JOIN users u ON sjr.user_id = u.id
-      WHERE sjr.group_id = $1
+      WHERE sjr.group_id = $1 AND ${hiddenUsersCondition('sjr.user_id', '$2')}
     `;
     
-    const queryParams = [groupId];
-    let paramCount = 1;
+    const queryParams = [groupId, userId];
+    let paramCount = 2;
 
     if (status !== 'all') {
       paramCount++;
@@ -2920,11 +3043,11 @@ router.get('/:groupId/join-requests', authenticateToken, async (req, res) => {
     let countQuery = `
       SELECT COUNT(*) as total
       FROM study_group_join_requests sjr
-      WHERE sjr.group_id = $1
+      WHERE sjr.group_id = $1 AND ${hiddenUsersCondition('sjr.user_id', '$2')}
     `;
     
-    const countParams = [groupId];
-    let countParamCount = 1;
+    const countParams = [groupId, userId];
+    let countParamCount = 2;
 
     if (status !== 'all') {
       countParamCount++;
@@ -2970,7 +3093,7 @@ router.get('/:groupId/join-requests', authenticateToken, async (req, res) => {
 });
 
 // Respond to Join Request API (accept/reject)
-router.post('/:groupId/join-requests/:requestId/respond', authenticateToken, async (req, res) => {
+router.post('/:groupId/join-requests/:requestId/respond', authenticateTokenOrApiKey('groups:write'), async (req, res) => {
   console.log('✅ Respond to Join Request:', {
     userId: req.user.id,
     groupId: req.params.groupId,
@@ -3041,6 +3164,15 @@ router.post('/:groupId/join-requests/:requestId/respond', authenticateToken, asy
       });
     }
 
+    // The owner check at request time does not cover other admins: an admin cannot
+    // let in someone they have blocked or who has blocked them
+    if (normalizedAction === 'accept' && await isBlockedBetween(userId, request.user_id)) {
+      return res.status(403).json({
+        success: false,
+        error: 'You cannot accept this join request'
+      });
+    }
+
     // Start database transaction
     const client = await pool.connect();
     
@@ -3135,7 +3267,7 @@ router.post('/:groupId/join-requests/:requestId/respond', authenticateToken, asy
 
 
 // Get Groups by Date Range API
-router.get('/by-date-range', authenticateToken, async (req, res) => {
+router.get('/by-date-range', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('📅 Get Groups by Date Range Request:', {
     userId: req.user.id,
     query: req.query,
@@ -3209,7 +3341,7 @@ router.get('/by-date-range', authenticateToken, async (req, res) => {
       LEFT JOIN study_group_members sgm ON sg.id = sgm.group_id AND sgm.is_active = true
       LEFT JOIN study_group_members sgm2 ON sg.id = sgm2.group_id AND sgm2.is_active = true
       LEFT JOIN study_group_join_requests sjr ON sg.id = sjr.group_id AND sjr.user_id = $1
-      WHERE sg.is_active = true AND sg.scheduled_time IS NOT NULL ${dateCondition}
+      WHERE sg.is_active = true AND sg.scheduled_time IS NOT NULL AND u.deleted_at IS NULL ${dateCondition}
       GROUP BY sg.id, sgm.user_id, sgm.role, sgm.joined_at, sjr.status, sjr.requested_at, u.name, u.email
       ORDER BY sg.scheduled_time ASC
     `;
@@ -3230,6 +3362,7 @@ router.get('/by-date-range', authenticateToken, async (req, res) => {
       SELECT COUNT(DISTINCT sg.id) as total
       FROM study_groups sg
       WHERE sg.is_active = true AND sg.scheduled_time IS NOT NULL ${dateCondition}
+        AND NOT EXISTS (SELECT 1 FROM users du WHERE du.id = sg.creator_id AND du.deleted_at IS NOT NULL)
     `;
 
     const countResult = await pool.query(countQuery, []);
@@ -3244,7 +3377,7 @@ router.get('/by-date-range', authenticateToken, async (req, res) => {
           sgm.role, sgm.joined_at
          FROM study_group_members sgm
          INNER JOIN users u ON sgm.user_id = u.id
-         WHERE sgm.group_id = $1 AND sgm.is_active = true
+         WHERE sgm.group_id = $1 AND sgm.is_active = true AND u.deleted_at IS NULL
          ORDER BY sgm.joined_at ASC`,
         [group.id]
       );
@@ -3298,7 +3431,7 @@ router.get('/by-date-range', authenticateToken, async (req, res) => {
 });
 
 // Get My Groups with Request Counts API (for group admins)
-router.get('/my-groups-with-requests', authenticateToken, async (req, res) => {
+router.get('/my-groups-with-requests', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('📊 Get My Groups with Request Counts Request:', {
     userId: req.user.id,
     query: req.query,
@@ -3320,8 +3453,10 @@ router.get('/my-groups-with-requests', authenticateToken, async (req, res) => {
         u.name as creator_name, u.email as creator_email,
         sgm.role as user_role, sgm.joined_at,
         (SELECT COUNT(*) FROM study_group_members sgm_count WHERE sgm_count.group_id = sg.id AND sgm_count.is_active = true) as current_members,
-        (SELECT COUNT(*) FROM study_group_join_requests sjr_pending WHERE sjr_pending.group_id = sg.id AND sjr_pending.status = 'pending') as pending_requests,
-        (SELECT COUNT(*) FROM study_group_join_requests sjr_all WHERE sjr_all.group_id = sg.id) as total_requests
+        (SELECT COUNT(*) FROM study_group_join_requests sjr_pending WHERE sjr_pending.group_id = sg.id AND sjr_pending.status = 'pending'
+           AND ${hiddenUsersCondition('sjr_pending.user_id', '$1')}) as pending_requests,
+        (SELECT COUNT(*) FROM study_group_join_requests sjr_all WHERE sjr_all.group_id = sg.id
+           AND ${hiddenUsersCondition('sjr_all.user_id', '$1')}) as total_requests
       FROM study_groups sg
       INNER JOIN study_group_members sgm ON sg.id = sgm.group_id
       LEFT JOIN users u ON sg.creator_id = u.id
@@ -3373,7 +3508,7 @@ router.get('/my-groups-with-requests', authenticateToken, async (req, res) => {
 });
 
 // Get Available Themes API
-router.get('/themes', authenticateToken, async (req, res) => {
+router.get('/themes', authenticateTokenOrApiKey('groups:read'), async (req, res) => {
   console.log('🎨 Get Available Themes Request:', {
     userId: req.user.id,
     timestamp: new Date().toISOString()
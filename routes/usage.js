@@ -1,40 +1,25 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { getLocalDayBounds, getUserTimezone } = require('../utils/timezone');
+const {
+  MAX_SESSION_SECONDS,
+  MAX_BATCH_SIZE,
+  refreshAverageSessionDuration,
+  syncUsageSessions
+} = require('../utils/usageSync');
+const { SESSION_IDLE_MINUTES, getIdleCutoff } = require('../utils/staleSessions');
+const {
+  rollupUserSessions,
+  parseDateRange,
+  getDailySeries,
+  getWeeklySeries,
+  getMonthlySeries,
+  getTimeOfDayHistogram
+} = require('../utils/usageRollups');
 
 const router = express.Router();
 
-// Helper function to calculate weekly streak
-const calculateWeeklyStreak = (weeklyStreak) => {
-  const today = new Date().getDay(); // 0 = Sunday, 1 = Monday, etc.
-  const weekDays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
-  
-  // Convert to array starting from Monday (index 0)
-  const mondayBasedStreak = [...weeklyStreak];
-  
-  // Update today's streak
-  mondayBasedStreak[today === 0 ? 6 : today - 1] = true;
-  
-  return mondayBasedStreak;
-};
-
-// Helper function to calculate current streak
-const calculateCurrentStreak = (weeklyStreak) => {
-  const today = new Date().getDay();
-  const mondayIndex = today === 0 ? 6 : today - 1;
-  
-  let streak = 0;
-  for (let i = mondayIndex; i >= 0; i--) {
-    if (weeklyStreak[i]) {
-      streak++;
-    } else {
-      break;
-    }
-  }
-  
-  return streak;
-};
-
 // Start Session API
 router.post('/session/start', authenticateToken, async (req, res) => {
   console.log('🚀 Start Session Request:', {
@@ -75,6 +60,7 @@ router.post('/session/start', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       sessionId: session.id,
+      idleTimeoutMinutes: SESSION_IDLE_MINUTES,
       message: 'Session started successfully'
     });
 
@@ -88,6 +74,55 @@ router.post('/session/start', authenticateToken, async (req, res) => {
   }
 });
 
+// Heartbeat API - The app calls this every few minutes while a session is open.
+// Sessions that stop sending heartbeats are closed by the stale session job.
+router.post('/session/heartbeat', authenticateToken, async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    const userId = req.user.id;
+
+    if (!sessionId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Session ID is required'
+      });
+    }
+
+    // A session idle for longer than the timeout is treated as abandoned even if
+    // the job has not closed it yet, so the gap is not counted as time in the app
+    const result = await pool.query(
+      `UPDATE user_sessions 
+       SET last_heartbeat_at = NOW() 
+       WHERE id = $1 AND user_id = $2 AND session_end IS NULL 
+       AND COALESCE(last_heartbeat_at, session_start) >= $3
+       RETURNING id, last_heartbeat_at`,
+      [sessionId, userId, getIdleCutoff()]
+    );
+
+    if (result.rows.length === 0) {
+      return res.status(409).json({
+        success: false,
+        error: 'Session is not open. Start a new session.'
+      });
+    }
+
+    res.json({
+      success: true,
+      sessionId: result.rows[0].id,
+      lastHeartbeatAt: result.rows[0].last_heartbeat_at,
+      idleTimeoutMinutes: SESSION_IDLE_MINUTES
+    });
+
+  } catch (error) {
+    console.error('❌ Session heartbeat error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to record heartbeat',
+      message: error.message
+    });
+  }
+});
+
 // End Session API
 router.post('/session/end', authenticateToken, async (req, res) => {
   console.log('⏹️ End Session Request:', {
@@ -108,64 +143,86 @@ router.post('/session/end', authenticateToken, async (req, res) => {
       });
     }
 
-    // Update session with end time and duration
-    await pool.query(
-      `UPDATE user_sessions 
-       SET session_end = $1, duration_seconds = $2 
-       WHERE id = $1 AND user_id = $3`,
-      [new Date(sessionEnd), durationSeconds, sessionId, userId]
-    );
+    const client = await pool.connect();
+    let stats;
+    let currentStreak;
+    let corrected;
+
+    try {
+      await client.query('BEGIN');
+
+      // Open sessions can be ended, and so can ones the stale session job timed out:
+      // apps that do not send heartbeats still report the real length here. The
+      // totals are counted by POST /api/users/app-session, so only the session row
+      // and the average change.
+      const endedResult = await client.query(
+        `UPDATE user_sessions s
+         SET session_end = $1, duration_seconds = $2, closed_reason = 'ended', rolled_up_at = NULL
+         FROM (
+           SELECT id, closed_reason FROM user_sessions
+           WHERE id = $3 AND user_id = $4 AND (session_end IS NULL OR closed_reason = 'timeout')
+           FOR UPDATE
+         ) old
+         WHERE s.id = old.id
+         RETURNING old.closed_reason AS previous_reason`,
+        [new Date(sessionEnd), Math.min(Math.round(durationSeconds), MAX_SESSION_SECONDS), sessionId, userId]
+      );
 
-    // Get or create usage stats for user
-    let statsResult = await pool.query(
-      'SELECT * FROM user_usage_stats WHERE user_id = $1',
-      [userId]
-    );
+      if (endedResult.rows.length === 0) {
+        await client.query('ROLLBACK');
 
-    if (statsResult.rows.length === 0) {
-      // Create new stats record
-      await pool.query(
-        `INSERT INTO user_usage_stats (user_id, total_time_seconds, current_streak, weekly_streak) 
-         VALUES ($1, $2, 1, $3)`,
-        [userId, durationSeconds, calculateWeeklyStreak([false, false, false, false, false, false, false])]
-      );
-    } else {
-      // Update existing stats
-      const currentStats = statsResult.rows[0];
-      const newTotalTime = currentStats.total_time_seconds + durationSeconds;
-      const newWeeklyStreak = calculateWeeklyStreak(currentStats.weekly_streak);
-      const newCurrentStreak = calculateCurrentStreak(newWeeklyStreak);
+        const existing = await pool.query(
+          'SELECT closed_reason FROM user_sessions WHERE id = $1 AND user_id = $2',
+          [sessionId, userId]
+        );
 
-      await pool.query(
-        `UPDATE user_usage_stats 
-         SET total_time_seconds = $1, current_streak = $2, weekly_streak = $3, last_updated = NOW() 
-         WHERE user_id = $4`,
-        [newTotalTime, newCurrentStreak, newWeeklyStreak, userId]
-      );
-    }
+        if (existing.rows.length === 0) {
+          return res.status(404).json({
+            success: false,
+            error: 'Session not found'
+          });
+        }
 
-    // Get updated stats
-    const updatedStats = await pool.query(
-      'SELECT * FROM user_usage_stats WHERE user_id = $1',
-      [userId]
-    );
+        return res.status(409).json({
+          success: false,
+          error: 'Session is already closed',
+          closedReason: existing.rows[0].closed_reason
+        });
+      }
+
+      corrected = endedResult.rows[0].previous_reason === 'timeout';
+      stats = await refreshAverageSessionDuration(client, userId);
 
-    const stats = updatedStats.rows[0];
+      const streakResult = await client.query(
+        'SELECT current_streak FROM user_streaks WHERE user_id = $1',
+        [userId]
+      );
+      currentStreak = streakResult.rows[0]?.current_streak || 0;
+
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
 
     console.log('✅ Session ended successfully:', {
       sessionId: sessionId,
       userId: userId,
       durationSeconds: durationSeconds,
-      totalTimeSpent: stats.total_time_seconds,
-      currentStreak: stats.current_streak,
+      correctedTimeout: corrected,
+      averageSessionDuration: stats.average_session_duration,
       timestamp: new Date().toISOString()
     });
 
     res.json({
       success: true,
-      totalTimeSpent: stats.total_time_seconds,
-      todayProgress: durationSeconds,
-      currentStreak: stats.current_streak,
+      totalTimeSpent: stats.total_time_spent,
+      todayProgress: stats.today_time_spent,
+      averageSessionDuration: stats.average_session_duration,
+      currentStreak: currentStreak,
+      correctedTimeout: corrected,
       message: 'Session ended successfully'
     });
 
@@ -179,6 +236,68 @@ router.post('/session/end', authenticateToken, async (req, res) => {
   }
 });
 
+// Sync Sessions API - Upload sessions recorded offline. Safe to retry: sessions
+// are identified by the clientSessionId the app generated, and replays are skipped.
+router.post('/sessions/batch', authenticateToken, async (req, res) => {
+  console.log('📦 Sync Sessions Request:', {
+    userId: req.user.id,
+    count: Array.isArray(req.body.sessions) ? req.body.sessions.length : null,
+    timestamp: new Date().toISOString()
+  });
+
+  try {
+    const { sessions } = req.body;
+    const userId = req.user.id;
+
+    if (!Array.isArray(sessions) || sessions.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'sessions must be a non-empty array'
+      });
+    }
+
+    if (sessions.length > MAX_BATCH_SIZE) {
+      return res.status(400).json({
+        success: false,
+        error: `At most ${MAX_BATCH_SIZE} sessions can be sent at once`
+      });
+    }
+
+    const sync = await syncUsageSessions(userId, sessions);
+
+    console.log('✅ Sessions synced:', {
+      userId,
+      accepted: sync.accepted,
+      duplicates: sync.duplicates,
+      rejected: sync.rejected,
+      timestamp: new Date().toISOString()
+    });
+
+    res.json({
+      success: true,
+      accepted: sync.accepted,
+      duplicates: sync.duplicates,
+      rejected: sync.rejected,
+      results: sync.results,
+      stats: {
+        totalSessions: sync.stats.total_sessions,
+        totalTimeSpent: sync.stats.total_time_spent,
+        todayTimeSpent: sync.stats.today_time_spent,
+        lastOpenedAt: sync.stats.last_opened_at
+      },
+      message: 'Sessions synced successfully'
+    });
+
+  } catch (error) {
+    console.error('❌ Sync sessions error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to sync sessions',
+      message: error.message
+    });
+  }
+});
+
 // Get User Stats API
 router.get('/stats/:userId', authenticateToken, async (req, res) => {
   console.log('📈 Get User Stats Request:', {
@@ -240,15 +359,14 @@ router.get('/stats/:userId', authenticateToken, async (req, res) => {
 
     const stats = statsResult.rows[0];
 
-    // Calculate today's progress from today's sessions
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
+    // Calculate today's progress from sessions started since the user's local midnight
+    const today = getLocalDayBounds(await getUserTimezone(requestedUserId));
     
     const todaySessions = await pool.query(
       `SELECT COALESCE(SUM(duration_seconds), 0) as today_total 
        FROM user_sessions 
-       WHERE user_id = $1 AND DATE(session_start) = DATE($2)`,
-      [requestedUserId, today]
+       WHERE user_id = $1 AND session_start >= $2 AND session_start < $3`,
+      [requestedUserId, today.start, today.end]
     );
 
     const todayProgress = todaySessions.rows[0].today_total;
@@ -307,7 +425,7 @@ router.get('/sessions/:userId', authenticateToken, async (req, res) => {
     thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
 
     const sessionsResult = await pool.query(
-      `SELECT id, session_start, session_end, duration_seconds, created_at 
+      `SELECT id, session_start, session_end, duration_seconds, closed_reason, created_at 
        FROM user_sessions 
        WHERE user_id = $1 AND session_start >= $2 
        ORDER BY session_start DESC 
@@ -339,4 +457,53 @@ router.get('/sessions/:userId', authenticateToken, async (req, res) => {
   }
 });
 
+// Time series for the "Your Time With God" charts, over ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// (the user's local dates, both included; defaults to the last 30 days)
+function seriesRoute(name, getSeries) {
+  return async (req, res) => {
+    try {
+      const userId = req.user.id;
+      const range = parseDateRange(req.query, await getUserTimezone(userId));
+
+      if (range.error) {
+        return res.status(400).json({
+          success: false,
+          error: range.error
+        });
+      }
+
+      // Count anything the rollup job has not picked up yet
+      await rollupUserSessions(userId);
+
+      const series = await getSeries(userId, range.from, range.to);
+
+      res.json({
+        success: true,
+        from: range.from,
+        to: range.to,
+        series
+      });
+    } catch (error) {
+      console.error(`❌ Get ${name} usage series error:`, error);
+      res.status(500).json({
+        success: false,
+        error: `Failed to retrieve ${name} usage`,
+        message: error.message
+      });
+    }
+  };
+}
+
+// Minutes and sessions per day
+router.get('/series/daily', authenticateToken, seriesRoute('daily', getDailySeries));
+
+// Minutes, sessions and active days per week (Monday start)
+router.get('/series/weekly', authenticateToken, seriesRoute('weekly', getWeeklySeries));
+
+// Minutes, sessions and active days per month
+router.get('/series/monthly', authenticateToken, seriesRoute('monthly', getMonthlySeries));
+
+// Minutes and sessions by the local hour sessions started in (24 buckets)
+router.get('/series/time-of-day', authenticateToken, seriesRoute('time-of-day', getTimeOfDayHistogram));
+
 module.exports = router;
@@ -1,6 +1,14 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { hiddenUsersCondition } = require('../utils/userBlocks');
+const {
+  getLocalDate,
+  daysBetween,
+  toDateString,
+  getUserTimezone,
+  updateUserTimezone
+} = require('../utils/timezone');
 
 const router = express.Router();
 
@@ -135,10 +143,13 @@ router.post('/app-session', authenticateToken, async (req, res) => {
       timestamp: timestamp || new Date().toISOString()
     });
 
-    // Get today's date (user's timezone-aware if provided)
+    // Keep the stored timezone in step with the device, then work out the user's local date
+    if (timezone) {
+      await updateUserTimezone(userId, timezone);
+    }
+    const userTimezone = await getUserTimezone(userId);
     const now = timestamp ? new Date(timestamp) : new Date();
-    const today = new Date(now);
-    today.setHours(0, 0, 0, 0);
+    const today = getLocalDate(userTimezone, now);
 
     // Get or create user_streaks record
     let streakResult = await pool.query(
@@ -172,8 +183,7 @@ router.post('/app-session', authenticateToken, async (req, res) => {
       
     } else {
       const streakData = streakResult.rows[0];
-      lastActiveDate = new Date(streakData.last_active_date);
-      lastActiveDate.setHours(0, 0, 0, 0);
+      lastActiveDate = toDateString(streakData.last_active_date);
       
       currentStreak = streakData.current_streak || 0;
       longestStreak = streakData.longest_streak || 0;
@@ -182,12 +192,13 @@ router.post('/app-session', authenticateToken, async (req, res) => {
       console.log('📊 Current streak data:', {
         userId,
         currentStreak,
-        lastActiveDate: lastActiveDate.toISOString().split('T')[0],
-        today: today.toISOString().split('T')[0]
+        lastActiveDate,
+        today
       });
 
       // Calculate days difference
-      const daysDifference = Math.floor((today - lastActiveDate) / (1000 * 60 * 60 * 24));
+      // (no last active date is treated like a long gap)
+      const daysDifference = lastActiveDate ? daysBetween(lastActiveDate, today) : Infinity;
       
       console.log('📅 Days difference:', daysDifference);
 
@@ -294,10 +305,11 @@ router.post('/app-session', authenticateToken, async (req, res) => {
       const usageData = usageResult.rows[0];
       
       // Check if we need to reset today's time (new day)
-      const lastOpened = new Date(usageData.last_opened_at);
-      lastOpened.setHours(0, 0, 0, 0);
+      const lastOpened = usageData.last_opened_at
+        ? getLocalDate(userTimezone, new Date(usageData.last_opened_at))
+        : null;
       
-      if (lastOpened.getTime() === today.getTime()) {
+      if (lastOpened === today) {
         // Same day - add to today's time
         todayTimeSpent = (usageData.today_time_spent || 0) + durationSeconds;
       } else {
@@ -407,10 +419,9 @@ router.post('/app-session', authenticateToken, async (req, res) => {
       totalXP = todayXP;
     } else {
       const xpData = xpResult.rows[0];
-      const lastXPDate = new Date(xpData.last_xp_date);
-      lastXPDate.setHours(0, 0, 0, 0);
+      const lastXPDate = toDateString(xpData.last_xp_date);
       
-      if (lastXPDate.getTime() === today.getTime()) {
+      if (lastXPDate === today) {
         // Same day - add to today's XP
         todayXP = (xpData.today_xp || 0) + todayXP;
       }
@@ -505,7 +516,7 @@ router.post('/app-session', authenticateToken, async (req, res) => {
         currentStreak: currentStreak,
         longestStreak: longestStreak,
         totalActiveDays: totalActiveDays,
-        lastActiveDate: today.toISOString().split('T')[0],
+        lastActiveDate: today,
         todayTimeSpent: todayTimeSpent,
         todayTimeFormatted: formatTime(todayTimeSpent),
         totalTimeSpent: totalTimeSpent,
@@ -549,6 +560,8 @@ router.get('/app-session', authenticateToken, async (req, res) => {
 
   try {
     const userId = req.user.id;
+    const userTimezone = await getUserTimezone(userId);
+    const today = getLocalDate(userTimezone);
 
     // Get user_streaks data
     const streakResult = await pool.query(
@@ -605,13 +618,11 @@ router.get('/app-session', authenticateToken, async (req, res) => {
       const usageData = usageResult.rows[0];
       
       // Check if today's time needs to be reset
-      const today = new Date();
-      today.setHours(0, 0, 0, 0);
-      
-      const lastOpened = new Date(usageData.last_opened_at);
-      lastOpened.setHours(0, 0, 0, 0);
+      const lastOpened = usageData.last_opened_at
+        ? getLocalDate(userTimezone, new Date(usageData.last_opened_at))
+        : null;
       
-      if (lastOpened.getTime() === today.getTime()) {
+      if (lastOpened === today) {
         // Same day - use today's time
         todayTimeSpent = usageData.today_time_spent || 0;
       } else {
@@ -652,9 +663,6 @@ router.get('/app-session', authenticateToken, async (req, res) => {
     );
     
     // Get today's daily goals
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
     const goalsResult = await pool.query(
       'SELECT * FROM user_daily_goals WHERE user_id = $1 AND goal_date = $2',
       [userId, today]
@@ -724,7 +732,7 @@ router.get('/app-session', authenticateToken, async (req, res) => {
         currentStreak: currentStreak,
         longestStreak: longestStreak,
         totalActiveDays: totalActiveDays,
-        lastActiveDate: lastActiveDate ? new Date(lastActiveDate).toISOString().split('T')[0] : null,
+        lastActiveDate: toDateString(lastActiveDate),
         todayTimeSpent: todayTimeSpent,
         todayTimeFormatted: formatTime(todayTimeSpent),
         totalTimeSpent: totalTimeSpent,
@@ -901,7 +909,7 @@ router.post('/profile/streak', authenticateToken, async (req, res) => {
     }
 
     // Server-side validation of streak logic
-    const today = new Date().toISOString().split('T')[0];
+    const today = getLocalDate(await getUserTimezone(userId));
     let validatedFreezesAvailable = freezesAvailable !== undefined ? freezesAvailable : 3;
 
     // Check for milestone achievement
@@ -1029,7 +1037,7 @@ router.get('/profile/streak', authenticateToken, async (req, res) => {
           lastActiveDate: null,
           todayCompleted: false,
           freezesAvailable: 3,
-          streakStartDate: new Date().toISOString().split('T')[0]
+          streakStartDate: getLocalDate(await getUserTimezone(userId))
         },
         dailyGoals: {
           readBible: false,
@@ -1101,17 +1109,25 @@ router.get('/profile/milestones', authenticateToken, async (req, res) => {
   }
 });
 
-// GET /api/users/streak/leaderboard - Get streak leaderboard
+// GET /api/users/streak/leaderboard - Get streak leaderboard (?scope=friends for people you follow)
 router.get('/streak/leaderboard', authenticateToken, async (req, res) => {
   try {
     const userId = req.user.id;
     const limit = parseInt(req.query.limit) || 50;
     const period = req.query.period || 'current'; // current, longest, total_days
+    const scope = req.query.scope === 'friends' ? 'friends' : 'all'; // all, friends
 
     let orderBy = 'current_streak';
     if (period === 'longest') orderBy = 'longest_streak';
     if (period === 'total_days') orderBy = 'total_active_days';
 
+    // The friends view ranks the user against the people they follow
+    const scopeCondition = (column, userParam) => scope === 'friends'
+      ? `AND (${column} = ${userParam} OR ${column} IN (
+           SELECT following_id FROM user_follows WHERE follower_id = ${userParam} AND status = 'accepted'
+         ))`
+      : '';
+
     // Get top users
     const leaderboardResult = await pool.query(`
       SELECT 
@@ -1124,9 +1140,12 @@ router.get('/streak/leaderboard', authenticateToken, async (req, res) => {
         ROW_NUMBER() OVER (ORDER BY s.${orderBy} DESC) as rank
       FROM user_streaks s
       JOIN users u ON s.user_id = u.id
+      WHERE u.deleted_at IS NULL
+        AND ${hiddenUsersCondition('s.user_id', '$2')}
+        ${scopeCondition('s.user_id', '$2')}
       ORDER BY s.${orderBy} DESC
       LIMIT $1
-    `, [limit]);
+    `, [limit, userId]);
 
     // Get current user's rank
     const userRankResult = await pool.query(`
@@ -1143,6 +1162,9 @@ router.get('/streak/leaderboard', authenticateToken, async (req, res) => {
           total_active_days,
           ROW_NUMBER() OVER (ORDER BY ${orderBy} DESC) as rank
         FROM user_streaks
+        WHERE user_id NOT IN (SELECT id FROM users WHERE deleted_at IS NOT NULL)
+          AND ${hiddenUsersCondition('user_id', '$1')}
+          ${scopeCondition('user_id', '$1')}
       ) ranked
       WHERE ranked.user_id = $1
     `, [userId]);
@@ -1172,7 +1194,8 @@ router.get('/streak/leaderboard', authenticateToken, async (req, res) => {
         totalActiveDays: row.total_active_days,
         rank: parseInt(row.rank)
       })),
-      userRank
+      userRank,
+      scope
     });
   } catch (error) {
     console.error('❌ Error fetching leaderboard:', error);
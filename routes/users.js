@@ -1,6 +1,31 @@
 const express = require('express');
 const { pool } = require('../config/database');
 const { authenticateToken } = require('../middleware/auth');
+const { sendVerificationEmail } = require('../utils/emailVerification');
+const {
+  formatDataExport,
+  requestDataExport,
+  getDataExport,
+  listDataExports,
+  processDataExport,
+  createDownloadToken,
+  verifyDownloadToken
+} = require('../utils/dataExport');
+const { DELETION_GRACE_DAYS, scheduleAccountDeletion } = require('../utils/accountDeletion');
+const {
+  decodeDataUrl,
+  getProfilePictureUrls,
+  storeProfilePicture,
+  deleteProfilePicture,
+  setCustomPicture
+} = require('../utils/profilePictures');
+const { getPublicProfile } = require('../utils/profileVisibility');
+const {
+  PREFERENCE_FIELDS,
+  validatePreferences,
+  getPreferences,
+  updatePreferences
+} = require('../utils/preferences');
 
 const router = express.Router();
 
@@ -30,10 +55,10 @@ router.get('/profile', authenticateToken, async (req, res) => {
 
   try {
     const result = await pool.query(
-      `SELECT id, email, name, picture, google_picture, custom_picture, 
+      `SELECT id, email, name, picture, google_picture, custom_picture, custom_picture_key,
               google_meet_access, denomination, bible_version, age_group, 
               referral_source, bible_answers, bible_specific, voice_id, voice_name, 
-              profile_completed, created_at, updated_at 
+              timezone, profile_completed, created_at, updated_at 
        FROM users WHERE id = $1`,
       [req.user.id]
     );
@@ -62,6 +87,7 @@ router.get('/profile', authenticateToken, async (req, res) => {
       user: {
         ...user,
         picture: profilePicture,
+        pictures: getProfilePictureUrls(user.custom_picture_key),
         hasCustomPicture: !!user.custom_picture,
         hasGooglePicture: !!user.google_picture
       }
@@ -76,6 +102,41 @@ router.get('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+// Get another member's profile, limited to the fields they share with the viewer
+router.get('/:userId/profile', authenticateToken, async (req, res) => {
+  try {
+    const userId = parseInt(req.params.userId);
+
+    if (isNaN(userId)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid user ID'
+      });
+    }
+
+    const profile = await getPublicProfile(req.user.id, userId);
+
+    if (!profile) {
+      return res.status(404).json({
+        success: false,
+        error: 'User not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      profile
+    });
+  } catch (error) {
+    console.error('❌ Get public profile error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch profile',
+      message: error.message
+    });
+  }
+});
+
 // Update user profile
 router.put('/profile', authenticateToken, async (req, res) => {
   console.log('👤 Update User Profile Request:', {
@@ -126,27 +187,6 @@ router.put('/profile', authenticateToken, async (req, res) => {
           error: 'Custom picture must be a valid base64 image or URL'
         });
       }
-      
-      // Limit base64 image size to 5MB
-      if (customPicture.startsWith('data:image/')) {
-        const base64Length = customPicture.length - (customPicture.indexOf(',') + 1);
-        const sizeInBytes = (base64Length * 3) / 4;
-        const sizeInMB = sizeInBytes / (1024 * 1024);
-        
-        if (sizeInMB > 5) {
-          return res.status(400).json({
-            success: false,
-            error: 'Image size must be less than 5MB'
-          });
-        }
-        
-        console.log('📸 Custom picture upload:', {
-          userId: req.user.id,
-          isBase64: true,
-          sizeInMB: sizeInMB.toFixed(2),
-          timestamp: new Date().toISOString()
-        });
-      }
     }
 
     // Validate denomination length
@@ -181,6 +221,26 @@ router.put('/profile', authenticateToken, async (req, res) => {
       });
     }
 
+    // Uploaded images go to media storage; only their URL is kept on the user row
+    let storedPicture = null;
+    if (customPicture && customPicture.startsWith('data:image/')) {
+      storedPicture = await storeProfilePicture(req.user.id, decodeDataUrl(customPicture));
+
+      if (!storedPicture.success) {
+        return res.status(400).json({
+          success: false,
+          error: storedPicture.error
+        });
+      }
+
+      console.log('📸 Custom picture upload:', {
+        userId: req.user.id,
+        contentType: storedPicture.contentType,
+        key: storedPicture.key,
+        timestamp: new Date().toISOString()
+      });
+    }
+
     // Build dynamic UPDATE query based on provided fields
     const updateFields = [];
     const updateValues = [];
@@ -198,19 +258,6 @@ router.put('/profile', authenticateToken, async (req, res) => {
       paramCount++;
     }
     
-    if (customPicture !== undefined) {
-      updateFields.push(`custom_picture = $${paramCount}`);
-      updateValues.push(customPicture ? customPicture : null);
-      paramCount++;
-      
-      console.log('🖼️ Updating custom picture:', {
-        userId: req.user.id,
-        hasCustomPicture: !!customPicture,
-        isBase64: customPicture?.startsWith('data:image/'),
-        timestamp: new Date().toISOString()
-      });
-    }
-
     if (denomination !== undefined) {
       updateFields.push(`denomination = $${paramCount}`);
       updateValues.push(denomination ? denomination.trim() : null);
@@ -250,13 +297,40 @@ router.put('/profile', authenticateToken, async (req, res) => {
     // Always update the updated_at timestamp
     updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
 
-    if (updateFields.length === 1) { // Only updated_at
+    if (updateFields.length === 1 && customPicture === undefined) { // Only updated_at
       return res.status(400).json({ 
         success: false,
         error: 'At least one field must be provided for update' 
       });
     }
 
+    // The picture goes through setCustomPicture, which swaps it under a row lock and
+    // removes the objects it replaced, like the /profile/picture endpoints
+    if (customPicture !== undefined) {
+      console.log('🖼️ Updating custom picture:', {
+        userId: req.user.id,
+        hasCustomPicture: !!customPicture,
+        isStored: !!storedPicture,
+        timestamp: new Date().toISOString()
+      });
+
+      const pictureUser = await setCustomPicture(
+        req.user.id,
+        storedPicture ? storedPicture.urls.medium : (customPicture || null),
+        storedPicture ? storedPicture.key : null
+      );
+
+      if (!pictureUser) {
+        if (storedPicture) {
+          await deleteProfilePicture(storedPicture.key);
+        }
+        return res.status(404).json({ 
+          success: false,
+          error: 'User not found' 
+        });
+      }
+    }
+
     updateValues.push(req.user.id);
 
     const result = await pool.query(
@@ -310,7 +384,7 @@ router.put('/profile', authenticateToken, async (req, res) => {
   }
 });
 
-// Update user email
+// Request an email change (applied once the new address is verified)
 router.put('/email', authenticateToken, async (req, res) => {
   console.log('📧 Update User Email Request:', {
     userId: req.user.id,
@@ -329,10 +403,26 @@ router.put('/email', authenticateToken, async (req, res) => {
       });
     }
 
+    const newEmail = email.trim().toLowerCase();
+
+    // Asking for the current address again cancels a pending change
+    if (newEmail === req.user.email) {
+      await pool.query(
+        'UPDATE users SET pending_email = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [req.user.id]
+      );
+
+      return res.json({
+        success: true,
+        message: 'Email unchanged',
+        pendingEmail: null
+      });
+    }
+
     // Check if email already exists
     const existingUser = await pool.query(
       'SELECT id FROM users WHERE email = $1 AND id != $2',
-      [email, req.user.id]
+      [newEmail, req.user.id]
     );
 
     if (existingUser.rows.length > 0) {
@@ -343,8 +433,8 @@ router.put('/email', authenticateToken, async (req, res) => {
     }
 
     const result = await pool.query(
-      'UPDATE users SET email = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, email, name, picture, denomination, bible_version, age_group, referral_source, bible_answers, bible_specific',
-      [email, req.user.id]
+      'UPDATE users SET pending_email = $1, updated_at = CURRENT_TIMESTAMP WHERE id = $2 RETURNING id, email, pending_email, name',
+      [newEmail, req.user.id]
     );
 
     if (result.rows.length === 0) {
@@ -354,16 +444,27 @@ router.put('/email', authenticateToken, async (req, res) => {
       });
     }
 
-    console.log('✅ User email updated successfully:', {
+    const mailResult = await sendVerificationEmail(result.rows[0], newEmail);
+
+    if (!mailResult.success) {
+      return res.status(502).json({
+        success: false,
+        error: 'Failed to send verification email',
+        message: 'Your email change was saved but the verification email could not be sent. Please try resending it.',
+        pendingEmail: newEmail
+      });
+    }
+
+    console.log('✅ Email change requested, verification sent:', {
       userId: req.user.id,
-      email: email,
+      pendingEmail: newEmail,
       timestamp: new Date().toISOString()
     });
 
     res.json({
       success: true,
-      message: 'Email updated successfully',
-      user: result.rows[0]
+      message: 'Please check your new email address to confirm the change',
+      pendingEmail: newEmail
     });
   } catch (error) {
     console.error('❌ Update email error:', error);
@@ -375,269 +476,147 @@ router.put('/email', authenticateToken, async (req, res) => {
   }
 });
 
-// Update user preferences (denomination, bible version, age group, etc.)
-router.put('/preferences', authenticateToken, async (req, res) => {
-  console.log('⚙️ Update User Preferences Request:', {
-    userId: req.user.id,
-    email: req.user.email,
-    body: req.body,
-    hasVoiceId: !!req.body.voiceId,
-    hasVoiceName: !!req.body.voiceName,
-    hasBibleVersion: !!req.body.bibleVersion,
-    hasDenomination: !!req.body.denomination,
-    timestamp: new Date().toISOString()
+// Columns PUT /preferences has always returned; also re-checks profile completion
+async function getPreferencesUser(userId) {
+  const result = await pool.query(
+    `SELECT id, email, name, denomination, bible_version, age_group,
+            referral_source, bible_answers, bible_specific, voice_id, voice_name,
+            timezone, push_token, notification_settings, profile_visibility, profile_completed, updated_at
+     FROM users WHERE id = $1`,
+    [userId]
+  );
+
+  const user = result.rows[0];
+  if (user && !user.profile_completed && isProfileComplete(user)) {
+    await pool.query(
+      'UPDATE users SET profile_completed = true WHERE id = $1',
+      [userId]
+    );
+    user.profile_completed = true;
+  }
+
+  return user;
+}
+
+function invalidPreferencesResponse(res, errors) {
+  return res.status(400).json({
+    success: false,
+    error: 'Invalid preferences: ' + Object.keys(errors).join(', '),
+    fields: errors
   });
+}
 
+// Get user preferences (current schema version, defaults filled in)
+router.get('/preferences', authenticateToken, async (req, res) => {
   try {
-    const { 
-      denomination, 
-      bibleVersion, 
-      ageGroup, 
-      referralSource, 
-      bibleAnswers, 
-      bibleSpecific,
-      voiceId,
-      voiceName,
-      pushToken,
-      notificationSettings
-    } = req.body;
+    const result = await getPreferences(req.user.id);
 
-    // Validate denomination length
-    if (denomination && denomination.length > 100) {
-      return res.status(400).json({ 
+    if (!result) {
+      return res.status(404).json({ 
         success: false,
-        error: 'Denomination must be 100 characters or less' 
+        error: 'User not found' 
       });
     }
 
-    // Validate bible version length
-    if (bibleVersion && bibleVersion.length > 50) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Bible version must be 50 characters or less' 
-      });
-    }
+    res.json({
+      success: true,
+      version: result.version,
+      preferences: result.preferences
+    });
+  } catch (error) {
+    console.error('❌ Get preferences error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to fetch preferences',
+      message: error.message 
+    });
+  }
+});
 
-    // Validate age group length only (allow any value including "Not specified")
-    if (ageGroup && ageGroup.length > 20) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Age group must be 20 characters or less' 
-      });
-    }
+// Partially update preferences: only the fields sent change, null resets a field to
+// its default, and notificationSettings/profileVisibility are merged key by key
+router.patch('/preferences', authenticateToken, async (req, res) => {
+  console.log('⚙️ Patch User Preferences Request:', {
+    userId: req.user.id,
+    fields: Object.keys(req.body || {}),
+    timestamp: new Date().toISOString()
+  });
 
-    // Validate referral source length
-    if (referralSource && referralSource.length > 100) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Referral source must be 100 characters or less' 
-      });
+  try {
+    const errors = validatePreferences(req.body);
+    if (errors) {
+      return invalidPreferencesResponse(res, errors);
     }
 
-    // Validate voice ID length
-    if (voiceId && voiceId.length > 200) {
-      return res.status(400).json({ 
-        success: false,
-        error: 'Voice ID must be 200 characters or less' 
-      });
-    }
+    const result = await updatePreferences(req.user.id, req.body);
 
-    // Validate voice name length
-    if (voiceName && voiceName.length > 100) {
-      return res.status(400).json({ 
+    if (!result) {
+      return res.status(404).json({ 
         success: false,
-        error: 'Voice name must be 100 characters or less' 
+        error: 'User not found' 
       });
     }
 
-    // Validate push token format (must be Expo push token)
-    if (pushToken !== undefined && pushToken !== null && pushToken.trim().length > 0) {
-      if (!pushToken.startsWith('ExponentPushToken[')) {
-        return res.status(400).json({ 
-          success: false,
-          error: 'Invalid push token format. Must be an Expo push token.' 
-        });
-      }
-      
-      if (pushToken.length > 255) {
-        return res.status(400).json({ 
-          success: false,
-          error: 'Push token must be 255 characters or less' 
-        });
-      }
-    }
-
-    // Validate notification settings structure
-    if (notificationSettings !== undefined) {
-      if (typeof notificationSettings !== 'object') {
-        return res.status(400).json({ 
-          success: false,
-          error: 'Notification settings must be an object' 
-        });
-      }
-      
-      // Validate boolean fields if provided
-      const validKeys = ['pushEnabled', 'journeyReminders', 'prayerUpdates'];
-      const providedKeys = Object.keys(notificationSettings);
-      
-      for (const key of providedKeys) {
-        if (!validKeys.includes(key)) {
-          return res.status(400).json({ 
-            success: false,
-            error: `Invalid notification setting: ${key}. Valid keys are: ${validKeys.join(', ')}` 
-          });
-        }
-        
-        if (typeof notificationSettings[key] !== 'boolean') {
-          return res.status(400).json({ 
-            success: false,
-            error: `Notification setting '${key}' must be a boolean value` 
-          });
-        }
-      }
-    }
-
-    // Build dynamic UPDATE query based on provided fields
-    const updateFields = [];
-    const updateValues = [];
-    let paramCount = 1;
-
-    if (denomination !== undefined) {
-      updateFields.push(`denomination = $${paramCount}`);
-      updateValues.push(denomination ? denomination.trim() : null);
-      paramCount++;
-    }
+    await getPreferencesUser(req.user.id);
 
-    if (bibleVersion !== undefined) {
-      updateFields.push(`bible_version = $${paramCount}`);
-      updateValues.push(bibleVersion ? bibleVersion.trim() : null);
-      paramCount++;
-    }
-
-    if (ageGroup !== undefined) {
-      updateFields.push(`age_group = $${paramCount}`);
-      updateValues.push(ageGroup || null);
-      paramCount++;
-    }
-
-    if (referralSource !== undefined) {
-      updateFields.push(`referral_source = $${paramCount}`);
-      updateValues.push(referralSource ? referralSource.trim() : null);
-      paramCount++;
-    }
-
-    if (bibleAnswers !== undefined) {
-      updateFields.push(`bible_answers = $${paramCount}`);
-      updateValues.push(bibleAnswers ? bibleAnswers.trim() : null);
-      paramCount++;
-    }
-
-    if (bibleSpecific !== undefined) {
-      updateFields.push(`bible_specific = $${paramCount}`);
-      updateValues.push(bibleSpecific ? bibleSpecific.trim() : null);
-      paramCount++;
-    }
-
-    if (voiceId !== undefined) {
-      updateFields.push(`voice_id = $${paramCount}`);
-      updateValues.push(voiceId ? voiceId.trim() : null);
-      console.log('🎤 Voice ID update:', {
-        userId: req.user.id,
-        email: req.user.email,
-        newVoiceId: voiceId ? voiceId.trim() : null,
-        timestamp: new Date().toISOString()
-      });
-      paramCount++;
-    }
-
-    if (voiceName !== undefined) {
-      updateFields.push(`voice_name = $${paramCount}`);
-      updateValues.push(voiceName ? voiceName.trim() : null);
-      console.log('🎤 Voice Name update:', {
-        userId: req.user.id,
-        email: req.user.email,
-        newVoiceName: voiceName ? voiceName.trim() : null,
-        timestamp: new Date().toISOString()
-      });
-      paramCount++;
-    }
+    res.json({
+      success: true,
+      message: 'Preferences updated successfully',
+      version: result.version,
+      preferences: result.preferences
+    });
+  } catch (error) {
+    console.error('❌ Patch preferences error:', error);
+    res.status(500).json({ 
+      success: false,
+      error: 'Failed to update preferences',
+      message: error.message 
+    });
+  }
+});
 
-    if (pushToken !== undefined) {
-      updateFields.push(`push_token = $${paramCount}`);
-      updateValues.push(pushToken && pushToken.trim().length > 0 ? pushToken.trim() : null);
-      console.log('📱 Push Token update:', {
-        userId: req.user.id,
-        email: req.user.email,
-        hasPushToken: !!(pushToken && pushToken.trim().length > 0),
-        tokenPreview: pushToken ? pushToken.substring(0, 30) + '...' : null,
-        timestamp: new Date().toISOString()
-      });
-      paramCount++;
-    }
+// Update user preferences (denomination, bible version, age group, etc.)
+// Kept for older app builds: same rules as PATCH, but fields that are not
+// preferences are ignored and the response carries the user row
+router.put('/preferences', authenticateToken, async (req, res) => {
+  console.log('⚙️ Update User Preferences Request:', {
+    userId: req.user.id,
+    email: req.user.email,
+    fields: Object.keys(req.body || {}),
+    timestamp: new Date().toISOString()
+  });
 
-    if (notificationSettings !== undefined) {
-      updateFields.push(`notification_settings = $${paramCount}`);
-      updateValues.push(notificationSettings ? JSON.stringify(notificationSettings) : null);
-      console.log('🔔 Notification Settings update:', {
-        userId: req.user.id,
-        email: req.user.email,
-        settings: notificationSettings,
-        timestamp: new Date().toISOString()
-      });
-      paramCount++;
+  try {
+    const errors = validatePreferences(req.body, { ignoreUnknown: true });
+    if (errors) {
+      return invalidPreferencesResponse(res, errors);
     }
 
-    // Always update the updated_at timestamp
-    updateFields.push(`updated_at = CURRENT_TIMESTAMP`);
+    const patch = Object.fromEntries(
+      Object.entries(req.body).filter(([name, value]) => PREFERENCE_FIELDS[name] && value !== undefined)
+    );
 
-    if (updateFields.length === 1) { // Only updated_at
+    if (Object.keys(patch).length === 0) {
       return res.status(400).json({ 
         success: false,
         error: 'At least one field must be provided for update' 
       });
     }
 
-    updateValues.push(req.user.id);
-
-    const result = await pool.query(
-      `UPDATE users 
-       SET ${updateFields.join(', ')}
-       WHERE id = $${paramCount} 
-       RETURNING id, email, name, denomination, bible_version, age_group, 
-                 referral_source, bible_answers, bible_specific, voice_id, voice_name, 
-                 push_token, notification_settings, profile_completed, updated_at`,
-      updateValues
-    );
+    const result = await updatePreferences(req.user.id, patch);
 
-    if (result.rows.length === 0) {
+    if (!result) {
       return res.status(404).json({ 
         success: false,
         error: 'User not found' 
       });
     }
 
-    // Check if profile is now complete and update status if needed
-    const user = result.rows[0];
-    const isComplete = isProfileComplete(user);
-    
-    if (isComplete && !user.profile_completed) {
-      await pool.query(
-        'UPDATE users SET profile_completed = true WHERE id = $1',
-        [req.user.id]
-      );
-      user.profile_completed = true;
-    }
+    const user = await getPreferencesUser(req.user.id);
 
     console.log('✅ User preferences updated successfully:', {
       userId: req.user.id,
-      updatedFields: updateFields,
-      voiceId: user.voice_id,
-      voiceName: user.voice_name,
-      bibleVersion: user.bible_version,
-      denomination: user.denomination,
-      ageGroup: user.age_group,
-      hasPushToken: !!user.push_token,
-      notificationSettings: user.notification_settings,
+      updatedFields: Object.keys(patch),
       profileCompleted: user.profile_completed,
       timestamp: new Date().toISOString()
     });
@@ -645,7 +624,9 @@ router.put('/preferences', authenticateToken, async (req, res) => {
     res.json({
       success: true,
       message: 'Preferences updated successfully',
-      user: user
+      user: user,
+      version: result.version,
+      preferences: result.preferences
     });
   } catch (error) {
     console.error('❌ Update preferences error:', error);
@@ -894,7 +875,7 @@ router.get('/stats', authenticateToken, async (req, res) => {
   }
 });
 
-// Delete user account (GDPR-compliant hard delete)
+// Delete user account: hidden immediately, purged after the grace period unless the user signs back in
 router.delete('/account', authenticateToken, async (req, res) => {
   const userId = req.user.id;
   const userEmail = req.user.email;
@@ -905,213 +886,178 @@ router.delete('/account', authenticateToken, async (req, res) => {
     timestamp: new Date().toISOString()
   });
 
-  const client = await pool.connect();
-  
   try {
-    // Start transaction to ensure all-or-nothing deletion
-    await client.query('BEGIN');
-
-    // 1. Revoke Google Calendar tokens if they exist
-    try {
-      const userTokens = await client.query(
-        'SELECT google_refresh_token FROM users WHERE id = $1',
-        [userId]
-      );
-      
-      if (userTokens.rows.length > 0 && userTokens.rows[0].google_refresh_token) {
-        const { OAuth2Client } = require('google-auth-library');
-        const oauth2Client = new OAuth2Client(
-          process.env.GOOGLE_CLIENT_ID,
-          process.env.GOOGLE_CLIENT_SECRET
-        );
-        
-        try {
-          await oauth2Client.revokeToken(userTokens.rows[0].google_refresh_token);
-          console.log('✅ Google Calendar tokens revoked');
-        } catch (revokeError) {
-          console.warn('⚠️ Could not revoke Google tokens (may be already revoked):', revokeError.message);
-          // Continue with deletion even if token revocation fails
-        }
-      }
-    } catch (tokenError) {
-      console.warn('⚠️ Error during token revocation:', tokenError.message);
-      // Continue with deletion
-    }
+    const { purgeAfter, groupsTransferred } = await scheduleAccountDeletion(userId);
 
-    // 2. Delete Prayer Data
-    // Delete prayer responses (includes nested replies via CASCADE)
-    const prayerResponsesResult = await client.query(
-      'DELETE FROM prayer_responses WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${prayerResponsesResult.rowCount} prayer responses`);
+    console.log('✅ User account scheduled for deletion:', {
+      userId,
+      email: userEmail,
+      purgeAfter: purgeAfter.toISOString(),
+      groupsTransferred,
+      timestamp: new Date().toISOString()
+    });
 
-    // Delete prayer requests
-    const prayerRequestsResult = await client.query(
-      'DELETE FROM prayer_requests WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${prayerRequestsResult.rowCount} prayer requests`);
+    res.json({ 
+      success: true, 
+      message: `Account deleted. Sign in again within ${DELETION_GRACE_DAYS} days to restore it; after that all of your data is permanently removed.`,
+      purgeAfter,
+      groupsTransferred
+    });
+  } catch (error) {
+    console.error('❌ Delete account error:', {
+      userId,
+      email: userEmail,
+      error: error.message,
+      stack: error.stack,
+      timestamp: new Date().toISOString()
+    });
 
-    // 3. Delete Study Groups Data
-    // Delete study groups created by user (CASCADE will handle members and join requests)
-    const studyGroupsResult = await client.query(
-      'DELETE FROM study_groups WHERE creator_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${studyGroupsResult.rowCount} study groups`);
+    res.status(500).json({ 
+      success: false,
+      message: 'Failed to delete account'
+    });
+  }
+});
 
-    // Remove user from study groups they joined
-    const membershipResult = await client.query(
-      'DELETE FROM study_group_members WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Removed from ${membershipResult.rowCount} study groups`);
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
 
-    // Delete study group join requests
-    const joinRequestsResult = await client.query(
-      'DELETE FROM study_group_join_requests WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${joinRequestsResult.rowCount} join requests`);
+// POST /api/users/data-export - Start building a "download my data" archive
+router.post('/data-export', authenticateToken, async (req, res) => {
+  try {
+    const { created, dataExport } = await requestDataExport(req.user.id);
 
-    // 4. Delete Activity & Engagement Data
-    // Delete XP data
-    const xpResult = await client.query(
-      'DELETE FROM user_xp WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted XP data: ${xpResult.rowCount} records`);
+    if (created) {
+      console.log('📦 Data export requested:', {
+        userId: req.user.id,
+        exportId: dataExport.id,
+        timestamp: new Date().toISOString()
+      });
 
-    // Delete daily goals
-    const goalsResult = await client.query(
-      'DELETE FROM user_daily_goals WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${goalsResult.rowCount} daily goals records`);
+      // Built in the background; the cron job picks it up if the server restarts first
+      setImmediate(() => {
+        processDataExport(dataExport.id).catch(error => {
+          console.error('❌ Error processing data export:', error);
+        });
+      });
+    }
 
-    // Delete activities log
-    const activitiesLogResult = await client.query(
-      'DELETE FROM user_activities_log WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${activitiesLogResult.rowCount} activity log entries`);
+    res.status(created ? 202 : 200).json({
+      success: true,
+      message: created
+        ? 'Your data export has started. Check its status to download it when it is ready.'
+        : 'A data export is already in progress.',
+      dataExport
+    });
 
-    // Delete daily activities
-    const dailyActivitiesResult = await client.query(
-      'DELETE FROM user_daily_activities WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${dailyActivitiesResult.rowCount} daily activity records`);
+  } catch (error) {
+    console.error('❌ Error requesting data export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start data export',
+      message: error.message
+    });
+  }
+});
 
-    // Delete usage stats
-    const usageStatsResult = await client.query(
-      'DELETE FROM user_usage_stats WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted usage stats: ${usageStatsResult.rowCount} records`);
+// GET /api/users/data-export - Recent data exports
+router.get('/data-export', authenticateToken, async (req, res) => {
+  try {
+    const dataExports = await listDataExports(req.user.id);
 
-    // Delete streaks
-    const streaksResult = await client.query(
-      'DELETE FROM user_streaks WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted streaks: ${streaksResult.rowCount} records`);
+    res.json({
+      success: true,
+      dataExports
+    });
 
-    // Delete streak milestones
-    const milestonesResult = await client.query(
-      'DELETE FROM streak_milestones WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${milestonesResult.rowCount} milestone records`);
+  } catch (error) {
+    console.error('❌ Error listing data exports:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to list data exports',
+      message: error.message
+    });
+  }
+});
 
-    // Delete user sessions
-    const sessionsResult = await client.query(
-      'DELETE FROM user_sessions WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${sessionsResult.rowCount} user sessions`);
+// GET /api/users/data-export/:id - Export status, with a short-lived download link once ready
+router.get('/data-export/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!UUID_PATTERN.test(req.params.id)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid export ID'
+      });
+    }
 
-    // 5. Delete Bible Study History
-    // Delete prayer history
-    const prayerHistoryResult = await client.query(
-      'DELETE FROM user_prayer_history WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${prayerHistoryResult.rowCount} prayer history records`);
+    const row = await getDataExport(req.user.id, req.params.id);
 
-    // Delete reflection history
-    const reflectionHistoryResult = await client.query(
-      'DELETE FROM user_reflection_history WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${reflectionHistoryResult.rowCount} reflection history records`);
+    if (!row) {
+      return res.status(404).json({
+        success: false,
+        error: 'Data export not found'
+      });
+    }
 
-    // Delete verse history
-    const verseHistoryResult = await client.query(
-      'DELETE FROM user_verse_history WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${verseHistoryResult.rowCount} verse history records`);
+    const response = {
+      success: true,
+      dataExport: formatDataExport(row)
+    };
 
-    // Delete weekly study plans
-    const studyPlansResult = await client.query(
-      'DELETE FROM user_weekly_study_plans WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${studyPlansResult.rowCount} study plans`);
+    if (row.status === 'completed' && new Date(row.expires_at) > new Date()) {
+      const { token, expiresIn } = createDownloadToken(row);
+      response.downloadUrl = `/api/users/data-export/${row.id}/download?token=${encodeURIComponent(token)}`;
+      response.downloadUrlExpiresIn = expiresIn;
+    }
 
-    // 6. Delete Prayer Notes
-    const notesResult = await client.query(
-      'DELETE FROM user_prayer_notes WHERE user_id = $1',
-      [userId]
-    );
-    console.log(`🗑️ Deleted ${notesResult.rowCount} prayer notes`);
+    res.json(response);
 
-    // 7. Delete User Account (main record)
-    // This will cascade delete any remaining related data with CASCADE constraints
-    const userResult = await client.query(
-      'DELETE FROM users WHERE id = $1 RETURNING email',
-      [userId]
-    );
+  } catch (error) {
+    console.error('❌ Error fetching data export:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch data export',
+      message: error.message
+    });
+  }
+});
+
+// GET /api/users/data-export/:id/download?token=... - Download the archive (token from the status endpoint)
+router.get('/data-export/:id/download', async (req, res) => {
+  try {
+    const { token } = req.query;
 
-    if (userResult.rowCount === 0) {
-      throw new Error('User not found');
+    if (!UUID_PATTERN.test(req.params.id) || !token) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid download link'
+      });
     }
 
-    console.log(`🗑️ Deleted user account: ${userResult.rows[0].email}`);
+    const row = await verifyDownloadToken(req.params.id, token);
 
-    // Commit transaction
-    await client.query('COMMIT');
+    if (!row) {
+      return res.status(410).json({
+        success: false,
+        error: 'Download link expired',
+        message: 'This download link is invalid or has expired. Check the export status for a new link.'
+      });
+    }
 
-    console.log('✅ User account deleted successfully:', {
-      userId,
-      email: userEmail,
+    console.log('📦 Data export downloaded:', {
+      userId: row.user_id,
+      exportId: row.id,
       timestamp: new Date().toISOString()
     });
 
-    res.json({ 
-      success: true, 
-      message: 'Account deleted successfully' 
-    });
-  } catch (error) {
-    // Rollback transaction on error
-    await client.query('ROLLBACK');
-    
-    console.error('❌ Delete account error:', {
-      userId,
-      email: userEmail,
-      error: error.message,
-      stack: error.stack,
-      timestamp: new Date().toISOString()
-    });
+    res.download(row.file_path, `faithful-companion-data-${row.completed_at.toISOString().slice(0, 10)}.zip`);
 
-    res.status(500).json({ 
+  } catch (error) {
+    console.error('❌ Error downloading data export:', error);
+    res.status(500).json({
       success: false,
-      message: 'Failed to delete account'
+      error: 'Failed to download data export',
+      message: error.message
     });
-  } finally {
-    client.release();
   }
 });
 
@@ -1132,27 +1078,21 @@ router.post('/profile/picture', authenticateToken, async (req, res) => {
         userId: req.user.id
       });
 
-      await pool.query(
-        `UPDATE users 
-         SET custom_picture = NULL, updated_at = CURRENT_TIMESTAMP 
-         WHERE id = $1`,
-        [req.user.id]
-      );
-
-      // Get the Google picture
-      const result = await pool.query(
-        'SELECT google_picture, picture FROM users WHERE id = $1',
-        [req.user.id]
-      );
+      const user = await setCustomPicture(req.user.id, null);
 
-      const googlePicture = result.rows[0]?.google_picture || result.rows[0]?.picture;
+      if (!user) {
+        return res.status(404).json({
+          success: false,
+          error: 'User not found'
+        });
+      }
 
       console.log('✅ Reverted to Google picture successfully');
 
       return res.json({
         success: true,
         message: 'Reverted to Google profile picture',
-        picture: googlePicture
+        picture: user.google_picture || user.picture
       });
     }
 
@@ -1172,45 +1112,41 @@ router.post('/profile/picture', authenticateToken, async (req, res) => {
       });
     }
 
-    // Validate base64 image size (max 5MB)
+    // Uploaded images are resized into media storage; external URLs are kept as they are
+    let stored = null;
     if (picture.startsWith('data:image/')) {
-      const base64Length = picture.length - (picture.indexOf(',') + 1);
-      const sizeInBytes = (base64Length * 3) / 4;
-      const sizeInMB = sizeInBytes / (1024 * 1024);
+      stored = await storeProfilePicture(req.user.id, decodeDataUrl(picture));
 
-      if (sizeInMB > 5) {
+      if (!stored.success) {
         return res.status(400).json({
           success: false,
-          error: 'Image size must be less than 5MB',
-          actualSize: `${sizeInMB.toFixed(2)}MB`
+          error: stored.error
         });
       }
 
-      console.log('📊 Image size:', {
+      console.log('📊 Image stored:', {
         userId: req.user.id,
-        sizeInMB: sizeInMB.toFixed(2),
-        format: picture.substring(11, picture.indexOf(';'))
+        contentType: stored.contentType,
+        key: stored.key
       });
     }
 
-    // Update custom picture in database
-    const result = await pool.query(
-      `UPDATE users 
-       SET custom_picture = $1, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $2 
-       RETURNING id, email, name, custom_picture, google_picture, picture`,
-      [picture, req.user.id]
+    const user = await setCustomPicture(
+      req.user.id,
+      stored ? stored.urls.medium : picture,
+      stored ? stored.key : null
     );
 
-    if (result.rows.length === 0) {
+    if (!user) {
+      if (stored) {
+        await deleteProfilePicture(stored.key);
+      }
       return res.status(404).json({
         success: false,
         error: 'User not found'
       });
     }
 
-    const user = result.rows[0];
-
     console.log('✅ Profile picture uploaded successfully:', {
       userId: user.id,
       hasCustomPicture: !!user.custom_picture,
@@ -1221,6 +1157,7 @@ router.post('/profile/picture', authenticateToken, async (req, res) => {
       success: true,
       message: 'Profile picture updated successfully',
       picture: user.custom_picture,
+      pictures: getProfilePictureUrls(user.custom_picture_key),
       hasCustomPicture: true,
       hasGooglePicture: !!user.google_picture
     });
@@ -1250,22 +1187,15 @@ router.delete('/profile/picture', authenticateToken, async (req, res) => {
   });
 
   try {
-    const result = await pool.query(
-      `UPDATE users 
-       SET custom_picture = NULL, updated_at = CURRENT_TIMESTAMP 
-       WHERE id = $1 
-       RETURNING id, google_picture, picture`,
-      [req.user.id]
-    );
+    const user = await setCustomPicture(req.user.id, null);
 
-    if (result.rows.length === 0) {
+    if (!user) {
       return res.status(404).json({
         success: false,
         error: 'User not found'
       });
     }
 
-    const user = result.rows[0];
     const fallbackPicture = user.google_picture || user.picture;
 
     console.log('✅ Custom profile picture deleted:', {
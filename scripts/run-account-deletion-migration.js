@@ -0,0 +1,40 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runAccountDeletionMigration() {
+  console.log('🚀 Starting Account Deletion Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/account-deletion-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the columns were added
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name IN ('deleted_at', 'purge_after')
+      ORDER BY column_name
+    `);
+
+    console.log('\n📊 New users columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nℹ️ DELETE /api/users/account now schedules deletion; accounts are purged by the daily cron job');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runAccountDeletionMigration();
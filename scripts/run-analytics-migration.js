@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runAnalyticsMigration() {
+  console.log('🚀 Starting Analytics Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/analytics-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the indexes were created
+    const verifyResult = await pool.query(`
+      SELECT tablename, indexname
+      FROM pg_indexes
+      WHERE indexname IN ('idx_user_sessions_session_start', 'idx_users_created_at')
+    `);
+
+    console.log('\n📊 Analytics indexes:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available (analytics:read, ?format=csv for a download):');
+    console.log('   - GET /api/admin/analytics/active-users?from=&to=');
+    console.log('   - GET /api/admin/analytics/retention?from=&to=&days=1,7,30');
+    console.log('   - GET /api/admin/analytics/funnel?from=&to=');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runAnalyticsMigration();
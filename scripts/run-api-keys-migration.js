@@ -0,0 +1,45 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runApiKeysMigration() {
+  console.log('🚀 Starting API Keys Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/api-keys-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'api_keys'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 api_keys columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET /api/api-keys');
+    console.log('   - POST /api/api-keys');
+    console.log('   - POST /api/api-keys/:id/rotate');
+    console.log('   - DELETE /api/api-keys/:id');
+    console.log('\nℹ️ Send keys in the X-API-Key header to /api/prayer and /api/study-groups');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runApiKeysMigration();
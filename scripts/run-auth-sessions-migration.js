@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runAuthSessionsMigration() {
+  console.log('🚀 Starting Auth Sessions Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/auth-sessions-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type
+      FROM information_schema.columns
+      WHERE table_name = 'auth_sessions'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 auth_sessions columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET    /api/auth/sessions (requires auth token)');
+    console.log('   - DELETE /api/auth/sessions/:id (requires auth token)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runAuthSessionsMigration();
@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runAuthTokensMigration() {
+  console.log('🚀 Starting Auth Tokens Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/auth-tokens-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the tables were created
+    const verifyResult = await pool.query(`
+      SELECT table_name
+      FROM information_schema.tables
+      WHERE table_name IN ('refresh_tokens', 'revoked_tokens')
+      ORDER BY table_name
+    `);
+
+    console.log('\n📊 Tables present:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - POST /api/auth/refresh');
+    console.log('   - PUT  /api/auth/password (requires auth token)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runAuthTokensMigration();
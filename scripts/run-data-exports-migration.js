@@ -0,0 +1,43 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runDataExportsMigration() {
+  console.log('🚀 Starting Data Exports Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/data-exports-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'data_exports'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 data_exports columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - POST /api/users/data-export');
+    console.log('   - GET /api/users/data-export/:id');
+    console.log('   - GET /api/users/data-export/:id/download?token=...');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runDataExportsMigration();
@@ -0,0 +1,52 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runEmailVerificationMigration() {
+  console.log('🚀 Starting Email Verification Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/email-verification-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the columns were added
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, column_default
+      FROM information_schema.columns
+      WHERE table_name = 'users'
+      AND column_name IN ('email_verified', 'email_verified_at', 'pending_email')
+      ORDER BY column_name
+    `);
+
+    console.log('\n📊 Email verification columns in users table:');
+    console.table(verifyResult.rows);
+
+    const countResult = await pool.query(`
+      SELECT
+        COUNT(*) FILTER (WHERE email_verified) AS verified,
+        COUNT(*) FILTER (WHERE email_verified IS NOT TRUE) AS unverified
+      FROM users
+    `);
+    console.log('\n👥 Users by email verification (accounts that existed before this migration are verified):');
+    console.table(countResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET  /api/auth/email/verify?token=...');
+    console.log('   - POST /api/auth/email/resend (requires auth token)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runEmailVerificationMigration();
@@ -0,0 +1,47 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runFollowsMigration() {
+  console.log('🚀 Starting Follows Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/follows-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'user_follows'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 user_follows columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - POST /api/follows/:userId (send a follow request)');
+    console.log('   - DELETE /api/follows/:userId (unfollow or cancel a request)');
+    console.log('   - GET /api/follows/requests');
+    console.log('   - POST /api/follows/requests/:userId/accept|decline');
+    console.log('   - GET /api/follows/followers | following | friends | mutual/:userId');
+    console.log('   - DELETE /api/follows/followers/:userId');
+    console.log('\nℹ️ Friends views: GET /api/users/streak/leaderboard?scope=friends, GET /api/prayer/requests?scope=friends');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runFollowsMigration();
@@ -0,0 +1,68 @@
+const { pool } = require('../config/database');
+const { decryptToken, encryptToken, needsReencryption } = require('../utils/tokenEncryption');
+
+// Encrypts plain text Google tokens and re-encrypts tokens written with an older key.
+// Safe to run repeatedly; run it after adding a key to GOOGLE_TOKEN_ENCRYPTION_KEYS
+// and switching GOOGLE_TOKEN_ENCRYPTION_KEY_ID, then remove the old key.
+async function runGoogleTokenEncryptionMigration() {
+  console.log('🚀 Starting Google Token Encryption Migration...');
+
+  try {
+    const result = await pool.query(`
+      SELECT id, google_access_token, google_refresh_token
+      FROM users
+      WHERE google_access_token IS NOT NULL OR google_refresh_token IS NOT NULL
+    `);
+
+    console.log(`📄 Checking ${result.rows.length} user(s) with stored Google tokens`);
+
+    let updated = 0;
+    let skipped = 0;
+
+    for (const row of result.rows) {
+      if (!needsReencryption(row.google_access_token) && !needsReencryption(row.google_refresh_token)) {
+        continue;
+      }
+
+      // Only overwrite if the tokens were not changed by a sign-in while the migration ran
+      const updateResult = await pool.query(
+        `UPDATE users
+         SET google_access_token = $1, google_refresh_token = $2
+         WHERE id = $3
+           AND google_access_token IS NOT DISTINCT FROM $4
+           AND google_refresh_token IS NOT DISTINCT FROM $5`,
+        [
+          encryptToken(decryptToken(row.google_access_token)),
+          encryptToken(decryptToken(row.google_refresh_token)),
+          row.id,
+          row.google_access_token,
+          row.google_refresh_token
+        ]
+      );
+
+      if (updateResult.rowCount > 0) {
+        updated++;
+      } else {
+        skipped++;
+      }
+    }
+
+    console.log('\n📊 Results:');
+    console.table([{ updated, skippedChangedDuringRun: skipped }]);
+
+    console.log('\n✅ Migration completed successfully!');
+    if (skipped > 0) {
+      console.log('ℹ️ Some rows changed while the migration ran; run it again to cover them');
+    }
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runGoogleTokenEncryptionMigration();
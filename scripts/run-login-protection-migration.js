@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runLoginProtectionMigration() {
+  console.log('🚀 Starting Login Protection Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/login-protection-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type
+      FROM information_schema.columns
+      WHERE table_name = 'login_attempts'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 login_attempts columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET  /api/auth/unlock?token=...');
+    console.log('   - GET  /api/auth/login-activity (requires auth token)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runLoginProtectionMigration();
@@ -0,0 +1,57 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+const { decodeDataUrl, storeProfilePicture } = require('../utils/profilePictures');
+
+async function runMediaStorageMigration() {
+  console.log('🚀 Starting Media Storage Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/media-storage-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Move base64 pictures out of the users table, one user at a time
+    const legacy = await pool.query(
+      "SELECT id FROM users WHERE custom_picture LIKE 'data:image/%' ORDER BY id"
+    );
+
+    console.log(`\n📸 Found ${legacy.rows.length} base64 profile pictures to move`);
+
+    let moved = 0;
+    let cleared = 0;
+    for (const { id } of legacy.rows) {
+      const row = await pool.query('SELECT custom_picture FROM users WHERE id = $1', [id]);
+      const stored = await storeProfilePicture(id, decodeDataUrl(row.rows[0].custom_picture));
+
+      if (stored.success) {
+        await pool.query(
+          'UPDATE users SET custom_picture = $1, custom_picture_key = $2 WHERE id = $3',
+          [stored.urls.medium, stored.key, id]
+        );
+        moved++;
+      } else {
+        // Unreadable images fall back to the Google picture rather than staying inline
+        console.warn(`⚠️ User ${id}: ${stored.error}; clearing custom picture`);
+        await pool.query('UPDATE users SET custom_picture = NULL WHERE id = $1', [id]);
+        cleared++;
+      }
+    }
+
+    console.log(`\n📊 Moved ${moved} pictures to media storage, cleared ${cleared}`);
+    console.log('\n✅ Migration completed successfully!');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runMediaStorageMigration();
@@ -0,0 +1,41 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runOAuthStatesMigration() {
+  console.log('🚀 Starting OAuth States Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/oauth-states-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type
+      FROM information_schema.columns
+      WHERE table_name = 'oauth_states'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 oauth_states columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\nℹ️ Google sign-in and calendar callbacks now require the state returned by their /url endpoints');
+    console.log('ℹ️ Web callbacks also require the nonce cookie set by /url in the same browser');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runOAuthStatesMigration();
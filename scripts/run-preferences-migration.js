@@ -0,0 +1,54 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+const { PREFERENCES_VERSION, getPreferences } = require('../utils/preferences');
+
+async function runPreferencesMigration() {
+  console.log('🚀 Starting Preferences Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/preferences-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Reading preferences upgrades them, so every outdated row is brought up to date here
+    const outdated = await pool.query(
+      'SELECT id FROM users WHERE preferences_version < $1 ORDER BY id',
+      [PREFERENCES_VERSION]
+    );
+
+    console.log(`\n⚙️ Upgrading preferences of ${outdated.rows.length} users to version ${PREFERENCES_VERSION}`);
+
+    for (const { id } of outdated.rows) {
+      await getPreferences(id);
+    }
+
+    const verifyResult = await pool.query(`
+      SELECT preferences_version, COUNT(*) AS users
+      FROM users
+      GROUP BY preferences_version
+      ORDER BY preferences_version
+    `);
+
+    console.log('\n📊 Users by preferences version:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET /api/users/preferences');
+    console.log('   - PATCH /api/users/preferences (partial update, per-field errors)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runPreferencesMigration();
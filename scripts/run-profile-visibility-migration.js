@@ -0,0 +1,41 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runProfileVisibilityMigration() {
+  console.log('🚀 Starting Profile Visibility Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/profile-visibility-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the column was added
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, column_default
+      FROM information_schema.columns
+      WHERE table_name = 'users' AND column_name = 'profile_visibility'
+    `);
+
+    console.log('\n📊 New users column:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET /api/users/:userId/profile (public profile, filtered by visibility)');
+    console.log('   - PUT /api/users/preferences (now accepts profileVisibility)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runProfileVisibilityMigration();
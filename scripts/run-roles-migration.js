@@ -0,0 +1,43 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runRolesMigration() {
+  console.log('🚀 Starting Roles Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/roles-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the column was added
+    const verifyResult = await pool.query(`
+      SELECT role, COUNT(*) AS users
+      FROM users
+      GROUP BY role
+      ORDER BY role
+    `);
+
+    console.log('\n📊 Users by role:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET /api/admin/users?role=... (requires users:read)');
+    console.log('   - PUT /api/admin/users/:id/role (requires users:manage)');
+    console.log('\nℹ️ Grant the first admin with: node scripts/set-user-role.js <email> admin');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runRolesMigration();
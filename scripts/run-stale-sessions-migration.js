@@ -0,0 +1,50 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runStaleSessionsMigration() {
+  console.log('🚀 Starting Stale Sessions Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/stale-sessions-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the columns were added
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'user_sessions'
+      AND column_name IN ('last_heartbeat_at', 'closed_reason')
+    `);
+
+    console.log('\n📊 New user_sessions columns:');
+    console.table(verifyResult.rows);
+
+    const sessionsResult = await pool.query(`
+      SELECT COALESCE(closed_reason, CASE WHEN session_end IS NULL THEN 'open' ELSE 'ended' END) AS state,
+             COUNT(*) AS sessions
+      FROM user_sessions
+      GROUP BY 1
+    `);
+    console.log('\n📈 Sessions by state (abandoned = left open before this migration, not counted):');
+    console.table(sessionsResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoint available:');
+    console.log('   - POST /api/usage/session/heartbeat');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runStaleSessionsMigration();
@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runStudyGroupOwnershipMigration() {
+  console.log('🚀 Starting Study Group Ownership Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/study-group-ownership-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'study_group_ownership_transfers'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 study_group_ownership_transfers columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - POST /api/study-groups/:groupId/transfer-ownership');
+    console.log('\nℹ️ Deleting an account now hands its groups to the longest-standing member');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runStudyGroupOwnershipMigration();
@@ -0,0 +1,42 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runTimezoneMigration() {
+  console.log('🚀 Starting Timezone Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/timezone-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the columns were added
+    const verifyResult = await pool.query(`
+      SELECT table_name, column_name, data_type, column_default
+      FROM information_schema.columns
+      WHERE (table_name = 'users' AND column_name = 'timezone')
+         OR (table_name = 'user_streaks' AND column_name = 'last_reset_date')
+    `);
+
+    console.log('\n📊 New columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 Timezone can now be set with:');
+    console.log('   - PATCH /api/users/preferences { timezone: "America/Chicago" }');
+    console.log('   - POST /api/users/app-session { timezone } (sent by the app)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runTimezoneMigration();
@@ -0,0 +1,45 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runTwoFactorMigration() {
+  console.log('🚀 Starting Two-Factor Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/two-factor-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type
+      FROM information_schema.columns
+      WHERE table_name = 'user_recovery_codes'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 user_recovery_codes columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - POST /api/auth/login/2fa');
+    console.log('   - POST /api/auth/2fa/setup (requires auth token)');
+    console.log('   - POST /api/auth/2fa/enable (requires auth token)');
+    console.log('   - POST /api/auth/2fa/disable (requires auth token)');
+    console.log('   - POST /api/auth/2fa/recovery-codes (requires auth token)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runTwoFactorMigration();
@@ -0,0 +1,55 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+const { rollupPendingSessions } = require('../utils/usageRollups');
+
+async function runUsageRollupsMigration() {
+  console.log('🚀 Starting Usage Rollups Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/usage-rollups-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Existing sessions start out pending, so roll them all up now
+    console.log('\n📈 Rolling up existing sessions...');
+    let total = 0;
+    for (;;) {
+      const rolledUp = await rollupPendingSessions();
+      if (rolledUp.sessions === 0) {
+        break;
+      }
+      total += rolledUp.sessions;
+      console.log(`   ${rolledUp.sessions} session(s) for ${rolledUp.users} user(s)`);
+    }
+
+    const verifyResult = await pool.query(`
+      SELECT 'daily' AS rollup, COUNT(*) AS rows FROM usage_daily_rollups
+      UNION ALL SELECT 'weekly', COUNT(*) FROM usage_weekly_rollups
+      UNION ALL SELECT 'monthly', COUNT(*) FROM usage_monthly_rollups
+    `);
+
+    console.log(`\n📊 Rolled up ${total} session(s):`);
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available (?from=YYYY-MM-DD&to=YYYY-MM-DD):');
+    console.log('   - GET /api/usage/series/daily');
+    console.log('   - GET /api/usage/series/weekly');
+    console.log('   - GET /api/usage/series/monthly');
+    console.log('   - GET /api/usage/series/time-of-day');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runUsageRollupsMigration();
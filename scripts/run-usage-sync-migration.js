@@ -0,0 +1,41 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runUsageSyncMigration() {
+  console.log('🚀 Starting Usage Sync Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/usage-sync-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the column was added
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'user_sessions'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 user_sessions columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - POST /api/usage/sessions/batch { sessions: [{ clientSessionId, sessionStart, sessionEnd, durationSeconds }] }');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runUsageSyncMigration();
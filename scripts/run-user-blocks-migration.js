@@ -0,0 +1,43 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runUserBlocksMigration() {
+  console.log('🚀 Starting User Blocks Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/user-blocks-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created
+    const verifyResult = await pool.query(`
+      SELECT column_name, data_type, is_nullable
+      FROM information_schema.columns
+      WHERE table_name = 'user_blocks'
+      ORDER BY ordinal_position
+    `);
+
+    console.log('\n📊 user_blocks columns:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET /api/blocks?type=block|mute');
+    console.log('   - POST /api/blocks/:userId { type: "block" | "mute" }');
+    console.log('   - DELETE /api/blocks/:userId');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runUserBlocksMigration();
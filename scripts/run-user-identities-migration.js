@@ -0,0 +1,44 @@
+const { pool } = require('../config/database');
+const fs = require('fs');
+const path = require('path');
+
+async function runUserIdentitiesMigration() {
+  console.log('🚀 Starting User Identities Migration...');
+
+  try {
+    const migrationPath = path.join(__dirname, '../config/user-identities-migration.sql');
+    const migrationSQL = fs.readFileSync(migrationPath, 'utf8');
+
+    console.log('📄 Migration SQL loaded from:', migrationPath);
+
+    await pool.query(migrationSQL);
+
+    // Verify the table was created and backfilled
+    const verifyResult = await pool.query(`
+      SELECT provider, COUNT(*) AS identities
+      FROM user_identities
+      GROUP BY provider
+      ORDER BY provider
+    `);
+
+    console.log('\n📊 Linked identities by provider:');
+    console.table(verifyResult.rows);
+
+    console.log('\n✅ Migration completed successfully!');
+    console.log('\n🎯 New endpoints available:');
+    console.log('   - GET    /api/auth/identities (requires auth token)');
+    console.log('   - POST   /api/auth/identities/google (requires auth token + re-authentication)');
+    console.log('   - POST   /api/auth/identities/email (requires auth token + re-authentication)');
+    console.log('   - DELETE /api/auth/identities/:provider (requires auth token + re-authentication)');
+  } catch (error) {
+    console.error('\n❌ Migration failed:', error.message);
+    console.error('Stack trace:', error.stack);
+    process.exit(1);
+  } finally {
+    await pool.end();
+    console.log('\n🔌 Database connection closed');
+  }
+}
+
+// Run the migration
+runUserIdentitiesMigration();
@@ -0,0 +1,38 @@
+const { pool } = require('../config/database');
+const { ROLES } = require('../middleware/permissions');
+
+// Usage: node scripts/set-user-role.js <email> <role>
+// Used to grant the first admin; after that roles are managed via PUT /api/admin/users/:id/role
+async function setUserRole() {
+  const [email, role] = process.argv.slice(2);
+
+  if (!email || !ROLES.includes(role)) {
+    console.log('Usage: node scripts/set-user-role.js <email> <' + ROLES.join('|') + '>');
+    process.exit(1);
+  }
+
+  try {
+    const result = await pool.query(
+      `UPDATE users SET role = $1, updated_at = CURRENT_TIMESTAMP
+       WHERE email = $2
+       RETURNING id, email, name, role`,
+      [role, email.toLowerCase()]
+    );
+
+    if (result.rows.length === 0) {
+      console.error(`❌ No user found with email ${email}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    console.log('✅ Role updated:');
+    console.table(result.rows);
+  } catch (error) {
+    console.error('❌ Failed to set role:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+setUserRole();
@@ -0,0 +1,117 @@
+// Checks local-midnight rollover across DST changes and the daily streak reset
+// decisions. Runs without a database: node scripts/test-timezone-rollover.js
+const assert = require('assert');
+const { getDateBounds, getTimezoneOffset, bucketTimezonesByOffset } = require('../utils/timezone');
+const { getStreakResetOutcome } = require('../utils/engagementCronJobs');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const checks = [];
+const check = (name, fn) => checks.push({ name, fn });
+
+function dayLengthHours(timezone, date) {
+  const { start, end } = getDateBounds(timezone, date);
+  return (end - start) / HOUR_MS;
+}
+
+check('America/New_York spring forward day is 23 hours', () => {
+  const { start, end } = getDateBounds('America/New_York', '2026-03-08');
+  assert.strictEqual(start.toISOString(), '2026-03-08T05:00:00.000Z');
+  assert.strictEqual(end.toISOString(), '2026-03-09T04:00:00.000Z');
+  assert.strictEqual(dayLengthHours('America/New_York', '2026-03-08'), 23);
+});
+
+check('America/New_York fall back day is 25 hours', () => {
+  const { start, end } = getDateBounds('America/New_York', '2026-11-01');
+  assert.strictEqual(start.toISOString(), '2026-11-01T04:00:00.000Z');
+  assert.strictEqual(end.toISOString(), '2026-11-02T05:00:00.000Z');
+  assert.strictEqual(dayLengthHours('America/New_York', '2026-11-01'), 25);
+});
+
+check('America/New_York ordinary days are 24 hours', () => {
+  assert.strictEqual(dayLengthHours('America/New_York', '2026-03-07'), 24);
+  assert.strictEqual(dayLengthHours('America/New_York', '2026-03-09'), 24);
+  assert.strictEqual(dayLengthHours('America/New_York', '2026-11-02'), 24);
+});
+
+// Lord Howe Island shifts by 30 minutes: +11:00 in summer, +10:30 in winter
+check('Australia/Lord_Howe offsets', () => {
+  assert.strictEqual(getTimezoneOffset('Australia/Lord_Howe', new Date('2026-01-15T00:00:00Z')), 660);
+  assert.strictEqual(getTimezoneOffset('Australia/Lord_Howe', new Date('2026-07-15T00:00:00Z')), 630);
+});
+
+check('Australia/Lord_Howe DST end day is 24.5 hours', () => {
+  const { start, end } = getDateBounds('Australia/Lord_Howe', '2026-04-05');
+  assert.strictEqual(start.toISOString(), '2026-04-04T13:00:00.000Z');
+  assert.strictEqual(end.toISOString(), '2026-04-05T13:30:00.000Z');
+  assert.strictEqual(dayLengthHours('Australia/Lord_Howe', '2026-04-05'), 24.5);
+});
+
+check('Australia/Lord_Howe DST start day is 23.5 hours', () => {
+  const { start, end } = getDateBounds('Australia/Lord_Howe', '2026-10-04');
+  assert.strictEqual(start.toISOString(), '2026-10-03T13:30:00.000Z');
+  assert.strictEqual(end.toISOString(), '2026-10-04T13:00:00.000Z');
+  assert.strictEqual(dayLengthHours('Australia/Lord_Howe', '2026-10-04'), 23.5);
+});
+
+check('Timezones bucket by current offset, including :30 and :45 offsets', () => {
+  const buckets = bucketTimezonesByOffset(
+    ['America/New_York', 'America/Toronto', 'Asia/Kolkata', 'Asia/Kathmandu', 'Australia/Lord_Howe', 'Not/AZone'],
+    new Date('2026-07-15T20:00:00Z')
+  );
+  assert.deepStrictEqual(buckets, [
+    { offset: -240, timezones: ['America/New_York', 'America/Toronto'], today: '2026-07-15' },
+    { offset: 330, timezones: ['Asia/Kolkata'], today: '2026-07-16' },
+    { offset: 345, timezones: ['Asia/Kathmandu'], today: '2026-07-16' },
+    { offset: 630, timezones: ['Australia/Lord_Howe'], today: '2026-07-16' }
+  ]);
+});
+
+check('Streak active yesterday is kept', () => {
+  const streak = { current_streak: 5, last_active_date: '2026-03-07', freezes_available: 0 };
+  assert.strictEqual(getStreakResetOutcome(streak, '2026-03-08'), 'kept');
+});
+
+check('Streak that missed only yesterday uses a freeze', () => {
+  const streak = { current_streak: 5, last_active_date: '2026-03-06', freezes_available: 1 };
+  assert.strictEqual(getStreakResetOutcome(streak, '2026-03-08'), 'frozen');
+});
+
+check('Streak that missed only yesterday with no freezes left breaks', () => {
+  const streak = { current_streak: 5, last_active_date: '2026-03-06', freezes_available: 0 };
+  assert.strictEqual(getStreakResetOutcome(streak, '2026-03-08'), 'broken');
+});
+
+check('Streak that missed two or more days breaks even with freezes', () => {
+  const streak = { current_streak: 5, last_active_date: '2026-03-05', freezes_available: 3 };
+  assert.strictEqual(getStreakResetOutcome(streak, '2026-03-08'), 'broken');
+});
+
+check('DATE values from node-postgres are read as local dates', () => {
+  const streak = { current_streak: 5, last_active_date: new Date(2026, 2, 6), freezes_available: 1 };
+  assert.strictEqual(getStreakResetOutcome(streak, '2026-03-08'), 'frozen');
+});
+
+check('No streak, nothing to break', () => {
+  assert.strictEqual(getStreakResetOutcome({ current_streak: 0, last_active_date: '2026-01-01', freezes_available: 0 }, '2026-03-08'), 'kept');
+  assert.strictEqual(getStreakResetOutcome({ current_streak: 5, last_active_date: null, freezes_available: 0 }, '2026-03-08'), 'kept');
+});
+
+let failed = 0;
+for (const { name, fn } of checks) {
+  try {
+    fn();
+    console.log(`✅ ${name}`);
+  } catch (error) {
+    failed++;
+    console.error(`❌ ${name}: ${error.message}`);
+  }
+}
+
+if (failed > 0) {
+  console.error(`\n❌ ${failed} of ${checks.length} check(s) failed`);
+  process.exit(1);
+}
+
+console.log(`\n🎉 All ${checks.length} timezone rollover checks passed`);
+process.exit(0);
@@ -237,7 +237,12 @@ const bibleRoutes = require('./routes/bible');
 const prayerRoutes = require('./routes/prayer');
 const livekitRoutes = require('./routes/livekit');
 const userProfileRoutes = require('./routes/user-profile');
+const adminRoutes = require('./routes/admin');
+const apiKeyRoutes = require('./routes/api-keys');
+const followRoutes = require('./routes/follows');
+const blockRoutes = require('./routes/blocks');
 const { initializeDatabase } = require('./config/database');
+const { LOCAL_MEDIA_DIR, getMediaStorage } = require('./utils/mediaStorage');
 const { startEngagementCronJobs } = require('./utils/engagementCronJobs');
 const { startJourneyReminderCron } = require('./utils/journeyReminderCron');
 
@@ -269,8 +274,8 @@ const corsOptions = {
     'http://localhost:19002'
   ],
   credentials: true,
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-Device-Name', 'X-Platform', 'X-API-Key']
 };
 app.use(cors(corsOptions));
 
@@ -297,6 +302,19 @@ app.use('/api/bible', bibleRoutes);
 app.use('/api/prayer', prayerRoutes);
 app.use('/api/livekit', livekitRoutes);
 app.use('/api/users', userProfileRoutes); // User engagement tracking
+app.use('/api/admin', adminRoutes);
+app.use('/api/api-keys', apiKeyRoutes);
+app.use('/api/follows', followRoutes);
+app.use('/api/blocks', blockRoutes);
+
+// Uploaded media (profile pictures) when stored on local disk; S3 objects are served by the bucket/CDN
+if (getMediaStorage().name === 'local') {
+  app.use('/media', express.static(LOCAL_MEDIA_DIR, {
+    maxAge: '365d',
+    immutable: true,
+    setHeaders: (res) => res.set('Cross-Origin-Resource-Policy', 'cross-origin')
+  }));
+}
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -314,7 +332,11 @@ app.get('/api/health', (req, res) => {
       'Prayer Requests: /api/prayer',
       'LiveKit Video: /api/livekit',
       'User Engagement: /api/users/profile/usage, /api/users/profile/streak',
-      'Leaderboard: /api/users/streak/leaderboard'
+      'Leaderboard: /api/users/streak/leaderboard',
+      'Admin: /api/admin',
+      'API Keys: /api/api-keys',
+      'Follows: /api/follows',
+      'Blocks: /api/blocks'
     ]
   });
 });
@@ -0,0 +1,339 @@
+const { OAuth2Client } = require('google-auth-library');
+const { pool } = require('../config/database');
+const { revokeAllUserTokens } = require('./authTokens');
+const { decryptToken } = require('./tokenEncryption');
+const { deleteUserDataExports } = require('./dataExport');
+const { transferOwnedGroups } = require('./studyGroupOwnership');
+const { deleteProfilePicture } = require('./profilePictures');
+
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 30;
+
+/**
+ * Schedule an account for purge. The account disappears from public views
+ * straight away, every session ends, and signing back in before purge_after
+ * restores it. Study groups the user owns are handed to another member now,
+ * so members keep their group during the grace period (restoring the account
+ * does not take them back).
+ * @param {number} userId - Account to delete
+ * @returns {Promise<{purgeAfter: Date, groupsTransferred: number}>}
+ */
+async function scheduleAccountDeletion(userId) {
+  const purgeAfter = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    await client.query(
+      'UPDATE users SET deleted_at = $1, purge_after = $2, updated_at = CURRENT_TIMESTAMP WHERE id = $3',
+      [new Date(), purgeAfter, userId]
+    );
+    await revokeAllUserTokens(userId, client);
+    const groups = await transferOwnedGroups(userId, client);
+
+    await client.query('COMMIT');
+
+    return { purgeAfter, groupsTransferred: groups.transferred };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Whether an account's grace period is over (it only awaits the purge job)
+ * @param {object} user - User row (needs deleted_at and purge_after)
+ * @returns {boolean}
+ */
+function isPurgeDue(user) {
+  return !!user.deleted_at && new Date(user.purge_after) <= new Date();
+}
+
+/**
+ * Cancel a scheduled deletion, used when the user signs back in during the grace period
+ * @param {object} user - User row (needs id, deleted_at and purge_after)
+ * @returns {Promise<boolean>} True if the account was restored
+ */
+async function restoreDeletedAccount(user) {
+  if (!user.deleted_at || isPurgeDue(user)) {
+    return false;
+  }
+
+  const result = await pool.query(
+    `UPDATE users SET deleted_at = NULL, purge_after = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND deleted_at IS NOT NULL AND purge_after > CURRENT_TIMESTAMP`,
+    [user.id]
+  );
+
+  if (result.rowCount > 0) {
+    console.log('♻️ Account restored by sign-in:', {
+      userId: user.id,
+      timestamp: new Date().toISOString()
+    });
+  }
+  return result.rowCount > 0;
+}
+
+/**
+ * Permanently delete an account whose grace period is over, with everything
+ * tied to it (GDPR-compliant hard delete)
+ * @param {number} userId - Account to purge
+ * @returns {Promise<boolean>} False if the account was restored or is not due yet
+ */
+async function purgeDeletedAccount(userId) {
+  const client = await pool.connect();
+
+  try {
+    // Start transaction to ensure all-or-nothing deletion
+    await client.query('BEGIN');
+
+    // Lock the row so a sign-in cannot restore the account halfway through
+    const due = await client.query(
+      `SELECT id FROM users
+       WHERE id = $1 AND deleted_at IS NOT NULL AND purge_after <= CURRENT_TIMESTAMP
+       FOR UPDATE`,
+      [userId]
+    );
+
+    if (due.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return false;
+    }
+
+    // 1. Revoke Google Calendar tokens if they exist
+    try {
+      const userTokens = await client.query(
+        'SELECT google_refresh_token FROM users WHERE id = $1',
+        [userId]
+      );
+      
+      if (userTokens.rows.length > 0 && userTokens.rows[0].google_refresh_token) {
+        const oauth2Client = new OAuth2Client(
+          process.env.GOOGLE_CLIENT_ID,
+          process.env.GOOGLE_CLIENT_SECRET
+        );
+        
+        try {
+          await oauth2Client.revokeToken(decryptToken(userTokens.rows[0].google_refresh_token));
+          console.log('✅ Google Calendar tokens revoked');
+        } catch (revokeError) {
+          console.warn('⚠️ Could not revoke Google tokens (may be already revoked):', revokeError.message);
+          // Continue with deletion even if token revocation fails
+        }
+      }
+    } catch (tokenError) {
+      console.warn('⚠️ Error during token revocation:', tokenError.message);
+      // Continue with deletion
+    }
+
+    // 2. Delete Prayer Data
+    // Delete prayer responses (includes nested replies via CASCADE)
+    const prayerResponsesResult = await client.query(
+      'DELETE FROM prayer_responses WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${prayerResponsesResult.rowCount} prayer responses`);
+
+    // Delete prayer requests
+    const prayerRequestsResult = await client.query(
+      'DELETE FROM prayer_requests WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${prayerRequestsResult.rowCount} prayer requests`);
+
+    // 3. Delete Study Groups Data
+    // Hand groups to the longest-standing member; only groups nobody else is in are deleted
+    const groupTransfers = await transferOwnedGroups(userId, client);
+    console.log(`👑 Transferred ownership of ${groupTransfers.transferred} study groups`);
+
+    // Delete remaining study groups created by user (CASCADE will handle members and join requests)
+    const studyGroupsResult = await client.query(
+      'DELETE FROM study_groups WHERE creator_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${studyGroupsResult.rowCount} study groups`);
+
+    // Remove user from study groups they joined
+    const membershipResult = await client.query(
+      'DELETE FROM study_group_members WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Removed from ${membershipResult.rowCount} study groups`);
+
+    // Delete study group join requests
+    const joinRequestsResult = await client.query(
+      'DELETE FROM study_group_join_requests WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${joinRequestsResult.rowCount} join requests`);
+
+    // 4. Delete Activity & Engagement Data
+    // Delete XP data
+    const xpResult = await client.query(
+      'DELETE FROM user_xp WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted XP data: ${xpResult.rowCount} records`);
+
+    // Delete daily goals
+    const goalsResult = await client.query(
+      'DELETE FROM user_daily_goals WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${goalsResult.rowCount} daily goals records`);
+
+    // Delete activities log
+    const activitiesLogResult = await client.query(
+      'DELETE FROM user_activities_log WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${activitiesLogResult.rowCount} activity log entries`);
+
+    // Delete daily activities
+    const dailyActivitiesResult = await client.query(
+      'DELETE FROM user_daily_activities WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${dailyActivitiesResult.rowCount} daily activity records`);
+
+    // Delete usage stats
+    const usageStatsResult = await client.query(
+      'DELETE FROM user_usage_stats WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted usage stats: ${usageStatsResult.rowCount} records`);
+
+    // Delete streaks
+    const streaksResult = await client.query(
+      'DELETE FROM user_streaks WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted streaks: ${streaksResult.rowCount} records`);
+
+    // Delete streak milestones
+    const milestonesResult = await client.query(
+      'DELETE FROM streak_milestones WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${milestonesResult.rowCount} milestone records`);
+
+    // Revoke sign-in tokens
+    const refreshTokensResult = await client.query(
+      'DELETE FROM refresh_tokens WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${refreshTokensResult.rowCount} refresh tokens`);
+
+    const authSessionsResult = await client.query(
+      'DELETE FROM auth_sessions WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${authSessionsResult.rowCount} device sessions`);
+
+    // Delete user sessions
+    const sessionsResult = await client.query(
+      'DELETE FROM user_sessions WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${sessionsResult.rowCount} user sessions`);
+
+    // 5. Delete Bible Study History
+    // Delete prayer history
+    const prayerHistoryResult = await client.query(
+      'DELETE FROM user_prayer_history WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${prayerHistoryResult.rowCount} prayer history records`);
+
+    // Delete reflection history
+    const reflectionHistoryResult = await client.query(
+      'DELETE FROM user_reflection_history WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${reflectionHistoryResult.rowCount} reflection history records`);
+
+    // Delete verse history
+    const verseHistoryResult = await client.query(
+      'DELETE FROM user_verse_history WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${verseHistoryResult.rowCount} verse history records`);
+
+    // Delete weekly study plans
+    const studyPlansResult = await client.query(
+      'DELETE FROM user_weekly_study_plans WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${studyPlansResult.rowCount} study plans`);
+
+    // 6. Delete Prayer Notes
+    const notesResult = await client.query(
+      'DELETE FROM user_prayer_notes WHERE user_id = $1',
+      [userId]
+    );
+    console.log(`🗑️ Deleted ${notesResult.rowCount} prayer notes`);
+
+    // Remove any personal data export archives
+    const dataExportsDeleted = await deleteUserDataExports(userId, client);
+    console.log(`🗑️ Deleted ${dataExportsDeleted} data exports`);
+
+    // 7. Delete User Account (main record)
+    // This will cascade delete any remaining related data with CASCADE constraints
+    const userResult = await client.query(
+      'DELETE FROM users WHERE id = $1 RETURNING email, custom_picture_key',
+      [userId]
+    );
+
+    if (userResult.rowCount === 0) {
+      throw new Error('User not found');
+    }
+
+    console.log(`🗑️ Deleted user account: ${userResult.rows[0].email}`);
+
+    // Commit transaction
+    await client.query('COMMIT');
+
+    // Stored profile pictures go last so a rolled-back purge never loses them
+    await deleteProfilePicture(userResult.rows[0].custom_picture_key);
+    return true;
+  } catch (error) {
+    // Rollback transaction on error
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Purge every account whose grace period has ended
+ * @returns {Promise<number>} Number of accounts purged
+ */
+async function purgeDeletedAccounts() {
+  const result = await pool.query(
+    'SELECT id FROM users WHERE deleted_at IS NOT NULL AND purge_after <= CURRENT_TIMESTAMP'
+  );
+
+  let purged = 0;
+  for (const row of result.rows) {
+    try {
+      if (await purgeDeletedAccount(row.id)) {
+        purged++;
+      }
+    } catch (error) {
+      console.error('❌ Failed to purge account:', { userId: row.id, error: error.message });
+    }
+  }
+  return purged;
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  scheduleAccountDeletion,
+  isPurgeDue,
+  restoreDeletedAccount,
+  purgeDeletedAccount,
+  purgeDeletedAccounts
+};
@@ -0,0 +1,64 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('./authTokens');
+
+/**
+ * Create a single-use token for an emailed account action.
+ * Any unused token the user already holds for the same purpose is invalidated.
+ * @param {number} userId - User the token is for
+ * @param {string} purpose - What the token authorizes (e.g. 'password_reset')
+ * @param {number} ttlMinutes - Minutes until the token expires
+ * @param {object} metadata - Extra data returned when the token is consumed (optional)
+ * @returns {Promise<string>} Raw token to embed in the emailed link
+ */
+async function createActionToken(userId, purpose, ttlMinutes, metadata = {}) {
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+
+  await pool.query(
+    `UPDATE user_action_tokens
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND purpose = $2 AND used_at IS NULL`,
+    [userId, purpose]
+  );
+
+  await pool.query(
+    `INSERT INTO user_action_tokens (user_id, purpose, token_hash, metadata, expires_at)
+     VALUES ($1, $2, $3, $4, $5)`,
+    [userId, purpose, hashToken(token), JSON.stringify(metadata), expiresAt]
+  );
+
+  return token;
+}
+
+/**
+ * Consume a token: it is marked used in the same statement that checks it,
+ * so two concurrent requests can never both succeed
+ * @param {string} token - Raw token from the link
+ * @param {string} purpose - Purpose the token must have been created for
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ * @returns {Promise<object|null>} { userId, metadata } or null if invalid, expired or used
+ */
+async function consumeActionToken(token, purpose, db = pool) {
+  const result = await db.query(
+    `UPDATE user_action_tokens
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE token_hash = $1
+       AND purpose = $2
+       AND used_at IS NULL
+       AND expires_at > CURRENT_TIMESTAMP
+     RETURNING user_id, metadata`,
+    [hashToken(token), purpose]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  return { userId: result.rows[0].user_id, metadata: result.rows[0].metadata || {} };
+}
+
+module.exports = {
+  createActionToken,
+  consumeActionToken
+};
@@ -0,0 +1,217 @@
+const crypto = require('crypto');
+const { pool } = require('../config/database');
+const { hashToken } = require('./authTokens');
+
+// Keys look like bk_<prefix>_<secret>; the prefix is stored in clear so users can tell keys apart
+const KEY_PREFIX = 'bk';
+
+const API_KEY_SCOPES = [
+  'prayer:read',
+  'prayer:write',
+  'groups:read',
+  'groups:write'
+];
+
+const MAX_KEYS_PER_USER = parseInt(process.env.API_KEY_MAX_PER_USER) || 10;
+const ROTATION_GRACE_MINUTES = parseInt(process.env.API_KEY_ROTATION_GRACE_MINUTES) || 60;
+
+function generateKey() {
+  const prefix = crypto.randomBytes(4).toString('hex');
+  const secret = crypto.randomBytes(32).toString('base64url');
+  return { key: `${KEY_PREFIX}_${prefix}_${secret}`, keyPrefix: `${KEY_PREFIX}_${prefix}` };
+}
+
+function formatApiKey(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    keyPrefix: row.key_prefix,
+    scopes: row.scopes,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at,
+    lastUsedAt: row.last_used_at,
+    lastUsedIp: row.last_used_ip,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Check requested scopes against the known list
+ * @param {string[]} scopes - Requested scopes
+ * @returns {string|null} Error message, or null if valid
+ */
+function validateScopes(scopes) {
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return 'At least one scope is required';
+  }
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return `Unknown scope(s): ${unknown.join(', ')}. Valid scopes: ${API_KEY_SCOPES.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Create an API key. The raw key is only ever returned here.
+ * @param {number} userId - Owner the key acts as
+ * @param {object} options - { name, scopes, expiresAt }
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ * @returns {Promise<{key: string, apiKey: object}>} Raw key and its stored details
+ */
+async function createApiKey(userId, { name, scopes, expiresAt = null }, db = pool) {
+  const { key, keyPrefix } = generateKey();
+
+  const result = await db.query(
+    `INSERT INTO api_keys (user_id, name, key_prefix, key_hash, scopes, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6)
+     RETURNING *`,
+    [userId, name, keyPrefix, hashToken(key), [...new Set(scopes)], expiresAt]
+  );
+
+  return { key, apiKey: formatApiKey(result.rows[0]) };
+}
+
+/**
+ * Number of keys a user has that can still be used
+ * @param {number} userId - Owner
+ * @returns {Promise<number>}
+ */
+async function countActiveApiKeys(userId) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM api_keys
+     WHERE user_id = $1 AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)`,
+    [userId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * List a user's keys, newest first (revoked keys included so their history stays visible)
+ * @param {number} userId - Owner
+ * @returns {Promise<object[]>}
+ */
+async function listApiKeys(userId) {
+  const result = await pool.query(
+    'SELECT * FROM api_keys WHERE user_id = $1 ORDER BY created_at DESC',
+    [userId]
+  );
+  return result.rows.map(formatApiKey);
+}
+
+/**
+ * Replace a key with a new one that has the same name and scopes. The old key keeps
+ * working for API_KEY_ROTATION_GRACE_MINUTES so the integration can switch over.
+ * @param {number} userId - Owner
+ * @param {number} keyId - Key to rotate
+ * @returns {Promise<object|null>} { key, apiKey, oldKeyExpiresAt } or null if not found or unusable
+ */
+async function rotateApiKey(userId, keyId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT * FROM api_keys
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL AND rotated_to_id IS NULL
+         AND (expires_at IS NULL OR expires_at > CURRENT_TIMESTAMP)
+       FOR UPDATE`,
+      [keyId, userId]
+    );
+
+    if (existing.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const old = existing.rows[0];
+    const created = await createApiKey(userId, {
+      name: old.name,
+      scopes: old.scopes,
+      expiresAt: old.expires_at
+    }, client);
+
+    const graceEnd = new Date(Date.now() + ROTATION_GRACE_MINUTES * 60 * 1000);
+    const oldKeyExpiresAt = old.expires_at && old.expires_at < graceEnd ? old.expires_at : graceEnd;
+
+    await client.query(
+      'UPDATE api_keys SET rotated_to_id = $1, expires_at = $2 WHERE id = $3',
+      [created.apiKey.id, oldKeyExpiresAt, old.id]
+    );
+
+    await client.query('COMMIT');
+
+    return { ...created, oldKeyExpiresAt };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Revoke a key immediately
+ * @param {number} userId - Owner
+ * @param {number} keyId - Key to revoke
+ * @returns {Promise<boolean>} False if the key was not found or already revoked
+ */
+async function revokeApiKey(userId, keyId) {
+  const result = await pool.query(
+    `UPDATE api_keys SET revoked_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL`,
+    [keyId, userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Look up a raw key and record its use
+ * @param {string} key - Raw key from the request
+ * @param {string} ipAddress - Caller IP for last-used tracking
+ * @returns {Promise<object|null>} { apiKey, user } or null if unknown, revoked or expired
+ */
+async function verifyApiKey(key, ipAddress) {
+  if (typeof key !== 'string' || !key.startsWith(`${KEY_PREFIX}_`)) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `SELECT k.id AS api_key_id, k.scopes AS api_key_scopes, u.*
+     FROM api_keys k
+     JOIN users u ON u.id = k.user_id
+     WHERE k.key_hash = $1
+       AND k.revoked_at IS NULL
+       AND (k.expires_at IS NULL OR k.expires_at > CURRENT_TIMESTAMP)
+       AND u.deleted_at IS NULL`,
+    [hashToken(key)]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { api_key_id: apiKeyId, api_key_scopes: scopes, ...user } = result.rows[0];
+
+  // Throttled so busy integrations don't write on every request
+  pool.query(
+    `UPDATE api_keys SET last_used_at = CURRENT_TIMESTAMP, last_used_ip = $2
+     WHERE id = $1 AND (last_used_at IS NULL OR last_used_at < CURRENT_TIMESTAMP - INTERVAL '1 minute')`,
+    [apiKeyId, ipAddress || null]
+  ).catch(error => console.error('❌ Failed to record API key use:', error.message));
+
+  return { apiKey: { id: apiKeyId, scopes }, user };
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  MAX_KEYS_PER_USER,
+  validateScopes,
+  createApiKey,
+  countActiveApiKeys,
+  listApiKeys,
+  rotateApiKey,
+  revokeApiKey,
+  verifyApiKey
+};
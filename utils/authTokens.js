@@ -0,0 +1,376 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+// Access tokens are short-lived; refresh tokens are rotated on every use
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+/**
+ * Hash an opaque token for storage (only hashes are kept in the database)
+ * @param {string} token - Raw token
+ * @returns {string} Hex-encoded SHA-256 hash
+ */
+function hashToken(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Sign a short-lived access token with a unique id (jti) so it can be revoked
+ * @param {object} user - User row (needs id and email)
+ * @param {string} sessionId - Device session the token belongs to (sid claim)
+ * @returns {{token: string, expiresIn: number}} Signed JWT and its lifetime in seconds
+ */
+function generateAccessToken(user, sessionId) {
+  const token = jwt.sign(
+    { userId: user.id, email: user.email, sid: sessionId },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_EXPIRES_IN, jwtid: crypto.randomUUID() }
+  );
+  const decoded = jwt.decode(token);
+
+  return { token, expiresIn: decoded.exp - decoded.iat };
+}
+
+/**
+ * Store a new refresh token for a user
+ * @param {object} db - pg pool or transaction client
+ * @param {number} userId - Owner of the token
+ * @param {string} familyId - Rotation chain the token belongs to
+ * @returns {Promise<{refreshToken: string, id: number}>} Raw token and its row id
+ */
+async function createRefreshToken(db, userId, familyId) {
+  const refreshToken = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  const result = await db.query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES ($1, $2, $3, $4)
+     RETURNING id`,
+    [userId, hashToken(refreshToken), familyId, expiresAt]
+  );
+
+  return { refreshToken, id: result.rows[0].id };
+}
+
+/**
+ * Start a device session for a freshly signed-in user and issue its first token pair
+ * @param {object} user - User row (needs id and email)
+ * @param {object} device - Device details from getDeviceContext (optional)
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ * @returns {Promise<{token: string, refreshToken: string, expiresIn: number, sessionId: string}>}
+ */
+async function issueAuthTokens(user, device = {}, db = pool) {
+  const sessionId = crypto.randomUUID();
+
+  await db.query(
+    `INSERT INTO auth_sessions (id, user_id, device_name, platform, user_agent, ip_address, login_method)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [
+      sessionId,
+      user.id,
+      device.deviceName || null,
+      device.platform || null,
+      device.userAgent || null,
+      device.ipAddress || null,
+      device.loginMethod || null
+    ]
+  );
+
+  const { token, expiresIn } = generateAccessToken(user, sessionId);
+  const { refreshToken } = await createRefreshToken(db, user.id, sessionId);
+
+  return { token, refreshToken, expiresIn, sessionId };
+}
+
+/**
+ * Collect device details for the session registry from a request
+ * @param {object} req - Express request
+ * @param {string} loginMethod - How the user signed in (email, google, google_mobile, ...)
+ * @returns {object} Device details accepted by issueAuthTokens
+ */
+function getDeviceContext(req, loginMethod) {
+  const body = req.body || {};
+  const deviceName = body.deviceName || req.headers['x-device-name'];
+  const platform = body.platform || req.query.platform || req.headers['x-platform'];
+
+  return {
+    deviceName: deviceName ? String(deviceName).substring(0, 255) : null,
+    platform: platform ? String(platform).substring(0, 50) : null,
+    userAgent: req.headers['user-agent'] || null,
+    ipAddress: req.ip || null,
+    loginMethod
+  };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh token pair.
+ * Presenting an already-rotated token is treated as theft and revokes the whole family.
+ * @param {string} refreshToken - Raw refresh token from the client
+ * @returns {Promise<object|null>} New tokens and the user, or null if the token is not usable
+ */
+async function rotateRefreshToken(refreshToken, ipAddress = null) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      'SELECT * FROM refresh_tokens WHERE token_hash = $1 FOR UPDATE',
+      [hashToken(refreshToken)]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const stored = result.rows[0];
+
+    if (stored.revoked_at) {
+      console.warn('⚠️ Refresh token reuse detected, revoking token family:', {
+        userId: stored.user_id,
+        familyId: stored.family_id,
+        timestamp: new Date().toISOString()
+      });
+      await revokeSessionTokens(client, stored.family_id);
+      await client.query('COMMIT');
+      return null;
+    }
+
+    if (new Date(stored.expires_at) <= new Date()) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const userResult = await client.query(
+      'SELECT id, email, name, picture, google_meet_access FROM users WHERE id = $1',
+      [stored.user_id]
+    );
+
+    if (userResult.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const user = userResult.rows[0];
+    const { token, expiresIn } = generateAccessToken(user, stored.family_id);
+    const next = await createRefreshToken(client, user.id, stored.family_id);
+
+    await client.query(
+      'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP, replaced_by = $1 WHERE id = $2',
+      [next.id, stored.id]
+    );
+
+    await client.query(
+      `UPDATE auth_sessions
+       SET last_used_at = CURRENT_TIMESTAMP, ip_address = COALESCE($1, ip_address)
+       WHERE id = $2`,
+      [ipAddress, stored.family_id]
+    );
+
+    await client.query('COMMIT');
+
+    return { token, refreshToken: next.refreshToken, expiresIn, user };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Mark a session revoked and revoke its remaining refresh tokens
+ * @param {object} db - pg pool or transaction client
+ * @param {string} sessionId - Session (refresh token family) id
+ */
+async function revokeSessionTokens(db, sessionId) {
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE family_id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+  await db.query(
+    'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE id = $1 AND revoked_at IS NULL',
+    [sessionId]
+  );
+}
+
+/**
+ * Revoke the session a refresh token belongs to (signs that device out)
+ * @param {number} userId - Owner of the token
+ * @param {string} refreshToken - Raw refresh token
+ * @returns {Promise<boolean>} True if a session was found
+ */
+async function revokeRefreshToken(userId, refreshToken) {
+  const result = await pool.query(
+    'SELECT family_id FROM refresh_tokens WHERE token_hash = $1 AND user_id = $2',
+    [hashToken(refreshToken), userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeSessionTokens(pool, result.rows[0].family_id);
+  return true;
+}
+
+/**
+ * List a user's active device sessions, most recently used first
+ * @param {number} userId - Owner of the sessions
+ * @returns {Promise<Array>} auth_sessions rows
+ */
+async function listUserSessions(userId) {
+  const result = await pool.query(
+    `SELECT id, device_name, platform, user_agent, ip_address, login_method, created_at, last_used_at
+     FROM auth_sessions
+     WHERE user_id = $1
+       AND revoked_at IS NULL
+       AND EXISTS (
+         SELECT 1 FROM refresh_tokens rt
+         WHERE rt.family_id = auth_sessions.id
+           AND rt.revoked_at IS NULL
+           AND rt.expires_at > CURRENT_TIMESTAMP
+       )
+     ORDER BY last_used_at DESC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Sign a single device out remotely
+ * @param {number} userId - Owner of the session
+ * @param {string} sessionId - Session to end
+ * @returns {Promise<boolean>} True if an active session was revoked
+ */
+async function revokeSession(userId, sessionId) {
+  const result = await pool.query(
+    'SELECT id FROM auth_sessions WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, userId]
+  );
+
+  if (result.rows.length === 0) {
+    return false;
+  }
+
+  await revokeSessionTokens(pool, sessionId);
+  return true;
+}
+
+/**
+ * Add an access token to the denylist until it would have expired anyway
+ * @param {object} decoded - Verified JWT payload (needs jti, userId and exp)
+ */
+async function revokeAccessToken(decoded) {
+  if (!decoded || !decoded.jti) {
+    return;
+  }
+
+  await pool.query(
+    `INSERT INTO revoked_tokens (jti, user_id, expires_at)
+     VALUES ($1, $2, to_timestamp($3))
+     ON CONFLICT (jti) DO NOTHING`,
+    [decoded.jti, decoded.userId, decoded.exp]
+  );
+}
+
+/**
+ * End every session of a user: all refresh tokens are revoked and all
+ * access tokens issued before now stop being accepted
+ * @param {number} userId - User whose sessions should end
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ */
+async function revokeAllUserTokens(userId, db = pool) {
+  // Use the application clock, since it is the one that stamps iat on new tokens
+  await db.query(
+    'UPDATE users SET tokens_valid_after = $1 WHERE id = $2',
+    [new Date(), userId]
+  );
+  await db.query(
+    'UPDATE refresh_tokens SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+  await db.query(
+    'UPDATE auth_sessions SET revoked_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND revoked_at IS NULL',
+    [userId]
+  );
+}
+
+/**
+ * Check whether a verified access token has been revoked
+ * @param {object} decoded - Verified JWT payload
+ * @param {object} user - User row loaded for the token
+ * @returns {Promise<boolean>} True if the token must be rejected
+ */
+async function isAccessTokenRevoked(decoded, user) {
+  if (user.tokens_valid_after) {
+    // iat has second precision, so compare at second precision too
+    const validAfter = Math.floor(new Date(user.tokens_valid_after).getTime() / 1000);
+    if (decoded.iat < validAfter) {
+      return true;
+    }
+  }
+
+  // Tokens of a device that was signed out remotely stop working immediately
+  if (decoded.sid) {
+    const sessionResult = await pool.query(
+      'SELECT revoked_at FROM auth_sessions WHERE id = $1',
+      [decoded.sid]
+    );
+    if (sessionResult.rows.length === 0 || sessionResult.rows[0].revoked_at) {
+      return true;
+    }
+  }
+
+  if (!decoded.jti) {
+    return false;
+  }
+
+  const result = await pool.query(
+    'SELECT 1 FROM revoked_tokens WHERE jti = $1',
+    [decoded.jti]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Delete expired refresh tokens, denylist entries and sessions left without tokens
+ * @returns {Promise<{refreshTokens: number, revokedTokens: number, sessions: number}>} Rows removed
+ */
+async function purgeExpiredTokens() {
+  const refreshResult = await pool.query(
+    'DELETE FROM refresh_tokens WHERE expires_at < CURRENT_TIMESTAMP'
+  );
+  const revokedResult = await pool.query(
+    'DELETE FROM revoked_tokens WHERE expires_at < CURRENT_TIMESTAMP'
+  );
+  const sessionsResult = await pool.query(
+    `DELETE FROM auth_sessions
+     WHERE NOT EXISTS (SELECT 1 FROM refresh_tokens rt WHERE rt.family_id = auth_sessions.id)`
+  );
+
+  return {
+    refreshTokens: refreshResult.rowCount,
+    revokedTokens: revokedResult.rowCount,
+    sessions: sessionsResult.rowCount
+  };
+}
+
+module.exports = {
+  hashToken,
+  generateAccessToken,
+  issueAuthTokens,
+  getDeviceContext,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  listUserSessions,
+  revokeSession,
+  revokeAccessToken,
+  revokeAllUserTokens,
+  isAccessTokenRevoked,
+  purgeExpiredTokens
+};
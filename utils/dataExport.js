@@ -0,0 +1,380 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const archiver = require('archiver');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const EXPORT_DIR = path.resolve(process.env.DATA_EXPORT_DIR || './data-exports');
+const EXPORT_RETENTION_HOURS = parseInt(process.env.DATA_EXPORT_RETENTION_HOURS) || 72;
+const DOWNLOAD_LINK_TTL_MINUTES = parseInt(process.env.DATA_EXPORT_LINK_TTL_MINUTES) || 15;
+const DOWNLOAD_TOKEN_AUDIENCE = 'data-export-download';
+
+// Columns that are never exported: credentials and secrets, not personal data
+const EXCLUDED_USER_COLUMNS = [
+  'password_hash',
+  'google_access_token',
+  'google_refresh_token',
+  'totp_secret',
+  'totp_pending_secret',
+  'totp_last_used_step'
+];
+
+// One entry per archive section; mirrors what DELETE /api/users/account removes
+const EXPORT_SECTIONS = [
+  { name: 'prayer_requests', sql: 'SELECT * FROM prayer_requests WHERE user_id = $1 ORDER BY created_at' },
+  { name: 'prayer_responses', sql: 'SELECT * FROM prayer_responses WHERE user_id = $1 ORDER BY created_at' },
+  { name: 'prayer_notes', sql: 'SELECT * FROM user_prayer_notes WHERE user_id = $1 ORDER BY created_at' },
+  { name: 'prayer_history', sql: 'SELECT * FROM user_prayer_history WHERE user_id = $1 ORDER BY prayed_at' },
+  { name: 'reflection_history', sql: 'SELECT * FROM user_reflection_history WHERE user_id = $1 ORDER BY reflected_at' },
+  { name: 'verse_history', sql: 'SELECT * FROM user_verse_history WHERE user_id = $1 ORDER BY verse_date' },
+  { name: 'weekly_study_plans', sql: 'SELECT * FROM user_weekly_study_plans WHERE user_id = $1 ORDER BY created_at' },
+  { name: 'daily_activities', sql: 'SELECT * FROM user_daily_activities WHERE user_id = $1 ORDER BY created_at' },
+  { name: 'activities_log', sql: 'SELECT * FROM user_activities_log WHERE user_id = $1 ORDER BY activity_timestamp' },
+  { name: 'xp', sql: 'SELECT * FROM user_xp WHERE user_id = $1' },
+  { name: 'daily_goals', sql: 'SELECT * FROM user_daily_goals WHERE user_id = $1' },
+  { name: 'streaks', sql: 'SELECT * FROM user_streaks WHERE user_id = $1' },
+  { name: 'streak_milestones', sql: 'SELECT * FROM streak_milestones WHERE user_id = $1' },
+  { name: 'usage_stats', sql: 'SELECT * FROM user_usage_stats WHERE user_id = $1' },
+  { name: 'app_sessions', sql: 'SELECT * FROM user_sessions WHERE user_id = $1' },
+  { name: 'study_groups_created', sql: 'SELECT * FROM study_groups WHERE creator_id = $1 ORDER BY created_at' },
+  {
+    name: 'study_group_memberships',
+    sql: `SELECT sgm.*, sg.title AS group_title
+          FROM study_group_members sgm
+          JOIN study_groups sg ON sg.id = sgm.group_id
+          WHERE sgm.user_id = $1`
+  },
+  { name: 'study_group_join_requests', sql: 'SELECT * FROM study_group_join_requests WHERE user_id = $1' },
+  { name: 'following', sql: 'SELECT following_id, status, created_at, accepted_at FROM user_follows WHERE follower_id = $1 ORDER BY created_at' },
+  { name: 'followers', sql: 'SELECT follower_id, status, created_at, accepted_at FROM user_follows WHERE following_id = $1 ORDER BY created_at' },
+  { name: 'blocked_users', sql: 'SELECT blocked_user_id, type, created_at FROM user_blocks WHERE user_id = $1 ORDER BY created_at' },
+  { name: 'login_identities', sql: 'SELECT provider, provider_email, created_at, last_used_at FROM user_identities WHERE user_id = $1' },
+  { name: 'device_sessions', sql: 'SELECT device_name, platform, user_agent, ip_address, login_method, created_at, last_used_at, revoked_at FROM auth_sessions WHERE user_id = $1' },
+  { name: 'login_attempts', sql: 'SELECT email, ip_address, user_agent, success, failure_reason, created_at FROM login_attempts WHERE user_id = $1 ORDER BY created_at' }
+];
+
+function toCsvValue(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text;
+  if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (typeof value === 'object') {
+    text = JSON.stringify(value);
+  } else {
+    text = String(value);
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render rows as CSV with a header made of every column seen
+ * @param {object[]} rows - Query rows
+ * @returns {string}
+ */
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  if (columns.length === 0) {
+    return '';
+  }
+  const lines = [columns.join(',')];
+  rows.forEach(row => lines.push(columns.map(column => toCsvValue(row[column])).join(',')));
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Gather everything tied to a user
+ * @param {number} userId - User to export
+ * @returns {Promise<object>} { profile, <section>: rows[] }
+ */
+async function collectUserData(userId) {
+  const profileResult = await pool.query('SELECT * FROM users WHERE id = $1', [userId]);
+  if (profileResult.rows.length === 0) {
+    throw new Error('User not found');
+  }
+
+  const profile = { ...profileResult.rows[0] };
+  EXCLUDED_USER_COLUMNS.forEach(column => delete profile[column]);
+
+  const data = { profile };
+  for (const section of EXPORT_SECTIONS) {
+    const result = await pool.query(section.sql, [userId]);
+    data[section.name] = result.rows;
+  }
+  return data;
+}
+
+// Delete an archive file, logging (not throwing) if it cannot be removed
+async function removeArchive(filePath) {
+  try {
+    await fs.promises.rm(filePath, { force: true });
+  } catch (error) {
+    console.error('⚠️ Failed to delete data export archive:', { filePath, error: error.message });
+  }
+}
+
+function writeArchive(filePath, data) {
+  return new Promise((resolve, reject) => {
+    const output = fs.createWriteStream(filePath);
+    const archive = archiver('zip', { zlib: { level: 9 } });
+
+    // A write error (disk full, no permission) must reject, not crash the process,
+    // and must not leave a partial archive behind
+    let failed = false;
+    const fail = (error) => {
+      if (failed) {
+        return;
+      }
+      failed = true;
+      archive.abort();
+      output.destroy();
+      removeArchive(filePath).then(() => reject(error));
+    };
+
+    output.on('close', () => !failed && resolve(archive.pointer()));
+    output.on('error', fail);
+    archive.on('error', fail);
+    archive.pipe(output);
+
+    archive.append(JSON.stringify({ exportedAt: new Date().toISOString(), ...data }, null, 2), { name: 'data.json' });
+    Object.entries(data).forEach(([name, rows]) => {
+      archive.append(toCsv(Array.isArray(rows) ? rows : [rows]), { name: `csv/${name}.csv` });
+    });
+
+    archive.finalize();
+  });
+}
+
+function formatDataExport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    fileSize: row.file_size === null ? null : Number(row.file_size),
+    error: row.error,
+    requestedAt: row.requested_at,
+    completedAt: row.completed_at,
+    expiresAt: row.expires_at
+  };
+}
+
+/**
+ * Queue a new export, unless one is already pending or processing
+ * @param {number} userId - User requesting the export
+ * @returns {Promise<{created: boolean, dataExport: object}>}
+ */
+async function requestDataExport(userId) {
+  const active = await pool.query(
+    `SELECT * FROM data_exports
+     WHERE user_id = $1 AND status IN ('pending', 'processing')
+     ORDER BY requested_at DESC LIMIT 1`,
+    [userId]
+  );
+
+  if (active.rows.length > 0) {
+    return { created: false, dataExport: formatDataExport(active.rows[0]) };
+  }
+
+  const result = await pool.query(
+    'INSERT INTO data_exports (id, user_id) VALUES ($1, $2) RETURNING *',
+    [crypto.randomUUID(), userId]
+  );
+
+  return { created: true, dataExport: formatDataExport(result.rows[0]) };
+}
+
+/**
+ * Fetch one of a user's exports
+ * @param {number} userId - Owner
+ * @param {string} exportId - Export id
+ * @returns {Promise<object|null>} Raw row, or null if not found
+ */
+async function getDataExport(userId, exportId) {
+  const result = await pool.query(
+    'SELECT * FROM data_exports WHERE id = $1 AND user_id = $2',
+    [exportId, userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * A user's recent exports, newest first
+ * @param {number} userId - Owner
+ * @returns {Promise<object[]>}
+ */
+async function listDataExports(userId) {
+  const result = await pool.query(
+    'SELECT * FROM data_exports WHERE user_id = $1 ORDER BY requested_at DESC LIMIT 10',
+    [userId]
+  );
+  return result.rows.map(formatDataExport);
+}
+
+/**
+ * Build the archive for a pending export. Claiming the row first means a job
+ * picked up by both the request and the cron job is only built once.
+ * @param {string} exportId - Export to process
+ * @returns {Promise<boolean>} True if this call built the archive
+ */
+async function processDataExport(exportId) {
+  const claim = await pool.query(
+    `UPDATE data_exports SET status = 'processing', started_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND status = 'pending'
+     RETURNING user_id`,
+    [exportId]
+  );
+
+  if (claim.rows.length === 0) {
+    return false;
+  }
+
+  const userId = claim.rows[0].user_id;
+  const filePath = path.join(EXPORT_DIR, `${exportId}.zip`);
+
+  try {
+    fs.mkdirSync(EXPORT_DIR, { recursive: true });
+    const data = await collectUserData(userId);
+    const fileSize = await writeArchive(filePath, data);
+    const expiresAt = new Date(Date.now() + EXPORT_RETENTION_HOURS * 60 * 60 * 1000);
+
+    await pool.query(
+      `UPDATE data_exports
+       SET status = 'completed', file_path = $2, file_size = $3, completed_at = CURRENT_TIMESTAMP, expires_at = $4
+       WHERE id = $1`,
+      [exportId, filePath, fileSize, expiresAt]
+    );
+
+    console.log('📦 Data export ready:', { exportId, userId, fileSize });
+    return true;
+  } catch (error) {
+    console.error('❌ Data export failed:', { exportId, userId, error: error.message });
+    await removeArchive(filePath);
+    await pool.query(
+      "UPDATE data_exports SET status = 'failed', error = $2, completed_at = CURRENT_TIMESTAMP WHERE id = $1",
+      [exportId, 'The export could not be created. Please request a new one.']
+    );
+    return false;
+  }
+}
+
+/**
+ * Build every queued export, and requeue ones left half-built by a restart
+ * @returns {Promise<number>} Number of exports built
+ */
+async function processPendingDataExports() {
+  await pool.query(
+    `UPDATE data_exports SET status = 'pending', started_at = NULL
+     WHERE status = 'processing' AND started_at < CURRENT_TIMESTAMP - INTERVAL '30 minutes'`
+  );
+
+  const pending = await pool.query(
+    "SELECT id FROM data_exports WHERE status = 'pending' ORDER BY requested_at"
+  );
+
+  let processed = 0;
+  for (const row of pending.rows) {
+    if (await processDataExport(row.id)) {
+      processed++;
+    }
+  }
+  return processed;
+}
+
+/**
+ * Short-lived token for the download link of a completed export
+ * @param {object} dataExport - Export row
+ * @returns {{token: string, expiresIn: number}}
+ */
+function createDownloadToken(dataExport) {
+  const expiresIn = DOWNLOAD_LINK_TTL_MINUTES * 60;
+  const token = jwt.sign(
+    { sub: String(dataExport.user_id), exportId: dataExport.id },
+    process.env.JWT_SECRET,
+    { audience: DOWNLOAD_TOKEN_AUDIENCE, expiresIn }
+  );
+  return { token, expiresIn };
+}
+
+/**
+ * Resolve a download token to its export, if the archive is still available
+ * @param {string} exportId - Export id from the URL
+ * @param {string} token - Token from the link
+ * @returns {Promise<object|null>} Export row, or null if invalid, expired or gone
+ */
+async function verifyDownloadToken(exportId, token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.JWT_SECRET, { audience: DOWNLOAD_TOKEN_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  if (payload.exportId !== exportId) {
+    return null;
+  }
+
+  const dataExport = await getDataExport(parseInt(payload.sub), exportId);
+  if (!dataExport || dataExport.status !== 'completed' || new Date(dataExport.expires_at) <= new Date()) {
+    return null;
+  }
+  return dataExport;
+}
+
+/**
+ * Delete archives past their expiry
+ * @returns {Promise<number>} Number of exports expired
+ */
+async function purgeExpiredDataExports() {
+  // RETURNING gives the new row, so the old path is read from the subquery
+  const result = await pool.query(
+    `UPDATE data_exports de SET status = 'expired', file_path = NULL
+     FROM (
+       SELECT id, file_path FROM data_exports
+       WHERE status = 'completed' AND expires_at <= CURRENT_TIMESTAMP
+       FOR UPDATE
+     ) old
+     WHERE de.id = old.id
+     RETURNING old.file_path`
+  );
+
+  for (const row of result.rows) {
+    if (row.file_path) {
+      await removeArchive(row.file_path);
+    }
+  }
+  return result.rowCount;
+}
+
+/**
+ * Delete every archive a user has (used when the account is deleted)
+ * @param {number} userId - Owner
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ */
+async function deleteUserDataExports(userId, db = pool) {
+  const result = await db.query(
+    'DELETE FROM data_exports WHERE user_id = $1 RETURNING file_path',
+    [userId]
+  );
+
+  for (const row of result.rows) {
+    if (row.file_path) {
+      await removeArchive(row.file_path);
+    }
+  }
+  return result.rowCount;
+}
+
+module.exports = {
+  toCsv,
+  formatDataExport,
+  requestDataExport,
+  getDataExport,
+  listDataExports,
+  processDataExport,
+  processPendingDataExports,
+  createDownloadToken,
+  verifyDownloadToken,
+  purgeExpiredDataExports,
+  deleteUserDataExports
+};
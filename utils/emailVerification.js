@@ -0,0 +1,109 @@
+const { pool } = require('../config/database');
+const { createActionToken, consumeActionToken } = require('./actionTokens');
+const { sendEmailVerificationEmail } = require('./mailer');
+
+const EMAIL_VERIFICATION_TTL_MINUTES = parseInt(process.env.EMAIL_VERIFICATION_TTL_MINUTES) || 24 * 60;
+
+// Verification links point at GET /api/auth/email/verify
+const getVerificationUrl = () => {
+  return process.env.EMAIL_VERIFICATION_URL ||
+    `${process.env.BACKEND_URL || 'http://localhost:3000'}/api/auth/email/verify`;
+};
+
+/**
+ * Email a verification link for an address the user claims to own
+ * @param {object} user - User row (needs id and name)
+ * @param {string} email - Address to verify (current email or a pending new one)
+ * @returns {Promise<object>} Result of the mail transport
+ */
+async function sendVerificationEmail(user, email) {
+  const token = await createActionToken(
+    user.id,
+    'email_verification',
+    EMAIL_VERIFICATION_TTL_MINUTES,
+    { email }
+  );
+
+  const verifyUrl = new URL(getVerificationUrl());
+  verifyUrl.searchParams.set('token', token);
+
+  return await sendEmailVerificationEmail(email, {
+    name: user.name,
+    verifyUrl: verifyUrl.toString(),
+    expiresInMinutes: EMAIL_VERIFICATION_TTL_MINUTES
+  });
+}
+
+/**
+ * Confirm an address from a verification link. Confirms the current email, or
+ * applies a pending email change if the token was sent to the new address.
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<object>} { success, userId, email } or { success: false, error }
+ */
+async function verifyEmailToken(token) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const verification = await consumeActionToken(token, 'email_verification', client);
+
+    if (!verification) {
+      await client.query('ROLLBACK');
+      return { success: false, error: 'This verification link is invalid or has expired.' };
+    }
+
+    const { userId, metadata } = verification;
+    const userResult = await client.query(
+      'SELECT id, email, pending_email FROM users WHERE id = $1 FOR UPDATE',
+      [userId]
+    );
+    const user = userResult.rows[0];
+
+    if (user && metadata.email === user.email) {
+      await client.query(
+        `UPDATE users
+         SET email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [userId]
+      );
+    } else if (user && metadata.email === user.pending_email) {
+      // The address may have been taken while the change was pending
+      const existingUser = await client.query(
+        'SELECT id FROM users WHERE email = $1 AND id != $2',
+        [user.pending_email, userId]
+      );
+
+      if (existingUser.rows.length > 0) {
+        await client.query('ROLLBACK');
+        return { success: false, error: 'Email address is already in use' };
+      }
+
+      await client.query(
+        `UPDATE users
+         SET email = pending_email, pending_email = NULL,
+             email_verified = TRUE, email_verified_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [userId]
+      );
+    } else {
+      // The address changed again after this link was sent
+      await client.query('ROLLBACK');
+      return { success: false, error: 'This verification link is no longer valid.' };
+    }
+
+    await client.query('COMMIT');
+
+    return { success: true, userId, email: metadata.email };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  sendVerificationEmail,
+  verifyEmailToken
+};
@@ -1,64 +1,157 @@
 const cron = require('node-cron');
 const { pool } = require('../config/database');
+const { purgeExpiredTokens } = require('./authTokens');
+const { purgeOldLoginAttempts } = require('./loginProtection');
+const { purgeExpiredOAuthStates } = require('./oauthState');
+const { processPendingDataExports, purgeExpiredDataExports } = require('./dataExport');
+const { purgeDeletedAccounts } = require('./accountDeletion');
+const { addDays, toDateString, bucketTimezonesByOffset } = require('./timezone');
+const { rollupPendingSessions } = require('./usageRollups');
+const { closeStaleSessions } = require('./staleSessions');
+
+// Users' timezones grouped by current UTC offset, each with its local date
+async function getTimezoneBuckets() {
+  const result = await pool.query(
+    'SELECT DISTINCT timezone FROM users WHERE deleted_at IS NULL'
+  );
+  return bucketTimezonesByOffset(result.rows.map(row => row.timezone));
+}
+
+/**
+ * What the daily reset does to one streak on the user's new local date. Active
+ * yesterday (or today) keeps the streak; missing only yesterday uses a freeze if one
+ * is left; anything longer breaks it.
+ * @param {object} streak - { current_streak, last_active_date, freezes_available }
+ * @param {string} today - User's local date, YYYY-MM-DD
+ * @returns {string} 'kept' | 'frozen' | 'broken'
+ */
+function getStreakResetOutcome(streak, today) {
+  const lastActiveDate = toDateString(streak.last_active_date);
+  if (!(streak.current_streak > 0) || !lastActiveDate || lastActiveDate >= addDays(today, -1)) {
+    return 'kept';
+  }
+  if (lastActiveDate === addDays(today, -2) && streak.freezes_available > 0) {
+    return 'frozen';
+  }
+  return 'broken';
+}
+
+// Daily streak reset for one timezone bucket: users whose local date has moved on
+// since their last reset. A missed run is caught up by the next one.
+async function resetStreaksForBucket({ offset, timezones, today }) {
+  const yesterday = addDays(today, -1);
+  const client = await pool.connect();
 
-// Daily reset job - Runs at midnight UTC (00:00)
-// Resets today_completed and checks for broken streaks
-const dailyStreakResetJob = cron.schedule('0 0 * * *', async () => {
-  console.log('🔄 Running daily streak reset job at:', new Date().toISOString());
-  
   try {
-    const today = new Date().toISOString().split('T')[0];
-    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString().split('T')[0];
-    
-    // Step 1: Reset today_completed and daily_goals for all users
-    const resetResult = await pool.query(`
+    await client.query('BEGIN');
+
+    const dueResult = await client.query(`
+      SELECT s.user_id, s.current_streak, s.last_active_date, s.freezes_available
+      FROM user_streaks s
+      INNER JOIN users u ON u.id = s.user_id
+      WHERE u.timezone = ANY($1)
+        AND (s.last_reset_date IS NULL OR s.last_reset_date < $2::date)
+      FOR UPDATE OF s
+    `, [timezones, today]);
+
+    const userIds = dueResult.rows.map(row => row.user_id);
+    if (userIds.length === 0) {
+      await client.query('COMMIT');
+      return;
+    }
+
+    const withOutcome = (outcome) => dueResult.rows
+      .filter(row => getStreakResetOutcome(row, today) === outcome)
+      .map(row => row.user_id);
+    const brokenIds = withOutcome('broken');
+    const frozenIds = withOutcome('frozen');
+
+    // Step 1: Reset today_completed and daily_goals
+    await client.query(`
       UPDATE user_streaks 
       SET 
         today_completed = FALSE, 
         daily_goals = '{"readBible": false, "prayer": false, "reflection": false, "studyGroup": false, "note": false}'::jsonb,
+        last_reset_date = $2,
         updated_at = CURRENT_TIMESTAMP
-    `);
-    
-    console.log(`✅ Reset daily completion for ${resetResult.rowCount} users`);
-    
-    // Step 2: Check for broken streaks (missed more than 1 day without freezes)
-    // This breaks streaks for users who:
-    // - Last active date is before yesterday (missed 2+ days)
-    // - Have no freezes available
-    const brokenStreaksResult = await pool.query(`
-      UPDATE user_streaks
-      SET 
-        current_streak = 0,
-        streak_start_date = $1,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE 
-        last_active_date < $2
-        AND (
-          (last_active_date < $2 AND EXTRACT(DAY FROM ($1::date - last_active_date)) > 1)
-          OR (last_active_date = $2 AND freezes_available = 0)
-        )
-        AND current_streak > 0
-    `, [today, yesterday]);
-    
-    console.log(`💔 Broke ${brokenStreaksResult.rowCount} streak(s) due to inactivity`);
-    
-    // Step 3: Deduct freezes if missed exactly 1 day (yesterday)
-    // Users who were active the day before yesterday but not yesterday
-    const freezeUsedResult = await pool.query(`
-      UPDATE user_streaks
-      SET 
-        freezes_available = freezes_available - 1,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE 
-        last_active_date < $1
-        AND last_active_date >= $1::date - INTERVAL '2 days'
-        AND freezes_available > 0
-        AND today_completed = FALSE
-    `, [today]);
-    
-    console.log(`❄️ Used ${freezeUsedResult.rowCount} streak freeze(s)`);
-    
-    console.log('✅ Daily streak reset job completed successfully');
+      WHERE user_id = ANY($1)
+    `, [userIds, today]);
+
+    // Step 2: Break streaks of users who missed more than 1 day, or who missed
+    // yesterday with no freezes left
+    if (brokenIds.length > 0) {
+      await client.query(`
+        UPDATE user_streaks
+        SET 
+          current_streak = 0,
+          streak_start_date = $2,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ANY($1)
+      `, [brokenIds, today]);
+    }
+
+    // Step 3: Use a freeze for users who missed exactly 1 day (yesterday).
+    // Yesterday then counts as active, so the streak carries on.
+    if (frozenIds.length > 0) {
+      await client.query(`
+        UPDATE user_streaks
+        SET 
+          freezes_available = freezes_available - 1,
+          last_active_date = $2,
+          updated_at = CURRENT_TIMESTAMP
+        WHERE user_id = ANY($1)
+      `, [frozenIds, yesterday]);
+    }
+
+    await client.query('COMMIT');
+
+    console.log(`✅ UTC${formatOffset(offset)} (${today}): reset ${userIds.length} user(s), broke ${brokenIds.length} streak(s), used ${frozenIds.length} freeze(s)`);
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Reset today_time_spent for users in a timezone bucket who haven't opened the app
+// since their local midnight
+async function resetUsageForBucket({ offset, timezones, today }) {
+  const resetResult = await pool.query(`
+    UPDATE user_usage_stats s
+    SET 
+      today_time_spent = 0,
+      updated_at = CURRENT_TIMESTAMP
+    FROM users u
+    WHERE 
+      u.id = s.user_id
+      AND u.timezone = ANY($1)
+      AND s.today_time_spent <> 0
+      AND (
+        s.last_opened_at IS NULL
+        OR ((s.last_opened_at AT TIME ZONE 'UTC') AT TIME ZONE u.timezone)::date < $2::date
+      )
+  `, [timezones, today]);
+
+  if (resetResult.rowCount > 0) {
+    console.log(`✅ UTC${formatOffset(offset)} (${today}): reset daily usage for ${resetResult.rowCount} user(s)`);
+  }
+}
+
+function formatOffset(offset) {
+  const sign = offset < 0 ? '-' : '+';
+  const minutes = Math.abs(offset);
+  return `${sign}${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+// Daily reset job - Runs every 15 minutes (some timezones are offset by :30 or :45)
+// Resets today_completed and daily goals and checks for broken streaks at each
+// user's local midnight
+const dailyStreakResetJob = cron.schedule('*/15 * * * *', async () => {
+  try {
+    for (const bucket of await getTimezoneBuckets()) {
+      await resetStreaksForBucket(bucket);
+    }
   } catch (error) {
     console.error('❌ Error in daily streak reset job:', error);
   }
@@ -67,27 +160,13 @@ const dailyStreakResetJob = cron.schedule('0 0 * * *', async () => {
   timezone: "UTC"
 });
 
-// Daily usage reset job - Runs at 1 AM UTC (01:00)
-// Resets today_time_spent for users who haven't opened app today
-const dailyUsageResetJob = cron.schedule('0 1 * * *', async () => {
-  console.log('🔄 Running daily usage reset job at:', new Date().toISOString());
-  
+// Daily usage reset job - Runs every 15 minutes
+// Resets today_time_spent at each user's local midnight
+const dailyUsageResetJob = cron.schedule('*/15 * * * *', async () => {
   try {
-    const today = new Date().toISOString().split('T')[0];
-    
-    // Reset today_time_spent to 0 for users whose last_opened_at is before today
-    const resetResult = await pool.query(`
-      UPDATE user_usage_stats 
-      SET 
-        today_time_spent = 0,
-        updated_at = CURRENT_TIMESTAMP
-      WHERE 
-        DATE(last_opened_at) < $1::date
-        OR last_opened_at IS NULL
-    `, [today]);
-    
-    console.log(`✅ Reset daily usage for ${resetResult.rowCount} users`);
-    console.log('✅ Daily usage reset job completed successfully');
+    for (const bucket of await getTimezoneBuckets()) {
+      await resetUsageForBucket(bucket);
+    }
   } catch (error) {
     console.error('❌ Error in daily usage reset job:', error);
   }
@@ -120,6 +199,18 @@ const weeklyCleanupJob = cron.schedule('0 2 * * 0', async () => {
     `);
     
     console.log(`✅ Cleaned up session data for ${result.rowCount} users`);
+    
+    // Remove expired refresh tokens and revoked access token entries
+    const purged = await purgeExpiredTokens();
+    console.log(`✅ Purged ${purged.refreshTokens} refresh token(s), ${purged.revokedTokens} revoked token(s) and ${purged.sessions} session(s)`);
+
+    // Remove old login audit entries
+    const purgedAttempts = await purgeOldLoginAttempts();
+    console.log(`✅ Purged ${purgedAttempts} old login attempt(s)`);
+
+    // Remove finished and abandoned Google OAuth redirects
+    const purgedStates = await purgeExpiredOAuthStates();
+    console.log(`✅ Purged ${purgedStates} OAuth state(s)`);
     console.log('✅ Weekly cleanup job completed successfully');
   } catch (error) {
     console.error('❌ Error in weekly cleanup job:', error);
@@ -129,18 +220,98 @@ const weeklyCleanupJob = cron.schedule('0 2 * * 0', async () => {
   timezone: "UTC"
 });
 
+// Account purge job - Runs daily at 3 AM UTC
+// Permanently removes accounts whose deletion grace period has ended
+const accountPurgeJob = cron.schedule('0 3 * * *', async () => {
+  console.log('🗑️ Running account purge job at:', new Date().toISOString());
+
+  try {
+    const purged = await purgeDeletedAccounts();
+    console.log(`✅ Purged ${purged} deleted account(s)`);
+  } catch (error) {
+    console.error('❌ Error in account purge job:', error);
+  }
+}, {
+  scheduled: false,
+  timezone: "UTC"
+});
+
+// Data export job - Runs every 15 minutes
+// Builds exports left queued by a restart and deletes expired archives
+const dataExportJob = cron.schedule('*/15 * * * *', async () => {
+  try {
+    const processed = await processPendingDataExports();
+    const expired = await purgeExpiredDataExports();
+
+    if (processed > 0 || expired > 0) {
+      console.log(`✅ Data exports: built ${processed}, expired ${expired}`);
+    }
+  } catch (error) {
+    console.error('❌ Error in data export job:', error);
+  }
+}, {
+  scheduled: false,
+  timezone: "UTC"
+});
+
+// Usage rollup job - Runs every hour at :10
+// Adds new and changed sessions to the daily, weekly and monthly usage rollups
+const usageRollupJob = cron.schedule('10 * * * *', async () => {
+  try {
+    const rolledUp = await rollupPendingSessions();
+
+    if (rolledUp.sessions > 0) {
+      console.log(`✅ Usage rollups: ${rolledUp.sessions} session(s) for ${rolledUp.users} user(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error in usage rollup job:', error);
+  }
+}, {
+  scheduled: false,
+  timezone: "UTC"
+});
+
+// Stale session job - Runs every 5 minutes
+// Closes sessions the app stopped sending heartbeats for and adds them to the totals
+const staleSessionJob = cron.schedule('*/5 * * * *', async () => {
+  try {
+    const closed = await closeStaleSessions();
+
+    if (closed.sessions > 0) {
+      console.log(`✅ Closed ${closed.sessions} stale session(s) for ${closed.users} user(s)`);
+    }
+  } catch (error) {
+    console.error('❌ Error in stale session job:', error);
+  }
+}, {
+  scheduled: false,
+  timezone: "UTC"
+});
+
 // Function to start all cron jobs
 function startEngagementCronJobs() {
   console.log('🚀 Starting engagement tracking cron jobs...');
   
   dailyStreakResetJob.start();
-  console.log('✅ Daily streak reset job scheduled (00:00 UTC)');
+  console.log('✅ Daily streak reset job scheduled (every 15 minutes, local midnight per timezone)');
   
   dailyUsageResetJob.start();
-  console.log('✅ Daily usage reset job scheduled (01:00 UTC)');
+  console.log('✅ Daily usage reset job scheduled (every 15 minutes, local midnight per timezone)');
   
   weeklyCleanupJob.start();
   console.log('✅ Weekly cleanup job scheduled (02:00 UTC Sunday)');
+
+  accountPurgeJob.start();
+  console.log('✅ Account purge job scheduled (03:00 UTC)');
+
+  dataExportJob.start();
+  console.log('✅ Data export job scheduled (every 15 minutes)');
+
+  usageRollupJob.start();
+  console.log('✅ Usage rollup job scheduled (every hour at :10)');
+
+  staleSessionJob.start();
+  console.log('✅ Stale session job scheduled (every 5 minutes)');
   
   console.log('✅ All engagement cron jobs started successfully');
 }
@@ -150,6 +321,10 @@ function stopEngagementCronJobs() {
   dailyStreakResetJob.stop();
   dailyUsageResetJob.stop();
   weeklyCleanupJob.stop();
+  accountPurgeJob.stop();
+  dataExportJob.stop();
+  usageRollupJob.stop();
+  staleSessionJob.stop();
   console.log('⏹️ All engagement cron jobs stopped');
 }
 
@@ -170,6 +345,7 @@ async function manualCleanup() {
 }
 
 module.exports = {
+  getStreakResetOutcome,
   startEngagementCronJobs,
   stopEngagementCronJobs,
   manualStreakReset,
@@ -0,0 +1,165 @@
+const { pool } = require('../config/database');
+
+function formatFollowUser(row) {
+  return {
+    userId: row.user_id,
+    name: row.name,
+    picture: row.picture,
+    status: row.status,
+    since: row.accepted_at || row.created_at
+  };
+}
+
+// Columns for listing the other side of a follow; deleted accounts are never listed
+const FOLLOW_USER_COLUMNS = `u.id AS user_id, u.name,
+  COALESCE(u.custom_picture, u.google_picture, u.picture) AS picture,
+  f.status, f.created_at, f.accepted_at`;
+
+/**
+ * Ask to follow someone. Following starts as a pending request the other user accepts.
+ * @param {number} followerId - User sending the request
+ * @param {number} followingId - User to follow
+ * @returns {Promise<object|null>} { status, created } or null if the user does not exist
+ */
+async function requestFollow(followerId, followingId) {
+  const target = await pool.query(
+    'SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL',
+    [followingId]
+  );
+
+  if (target.rows.length === 0) {
+    return null;
+  }
+
+  const inserted = await pool.query(
+    `INSERT INTO user_follows (follower_id, following_id)
+     VALUES ($1, $2)
+     ON CONFLICT (follower_id, following_id) DO NOTHING
+     RETURNING status`,
+    [followerId, followingId]
+  );
+
+  if (inserted.rows.length > 0) {
+    return { status: inserted.rows[0].status, created: true };
+  }
+
+  const existing = await pool.query(
+    'SELECT status FROM user_follows WHERE follower_id = $1 AND following_id = $2',
+    [followerId, followingId]
+  );
+  return { status: existing.rows[0].status, created: false };
+}
+
+/**
+ * Accept or decline a pending follow request. Declined requests are deleted,
+ * so the requester can ask again later.
+ * @param {number} userId - User who received the request
+ * @param {number} followerId - User who sent it
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Promise<boolean>} False if there was no pending request
+ */
+async function respondToFollowRequest(userId, followerId, accept) {
+  const result = accept
+    ? await pool.query(
+        `UPDATE user_follows SET status = 'accepted', accepted_at = CURRENT_TIMESTAMP
+         WHERE follower_id = $1 AND following_id = $2 AND status = 'pending'`,
+        [followerId, userId]
+      )
+    : await pool.query(
+        `DELETE FROM user_follows
+         WHERE follower_id = $1 AND following_id = $2 AND status = 'pending'`,
+        [followerId, userId]
+      );
+
+  return result.rowCount > 0;
+}
+
+/**
+ * Delete a follow in either state (unfollow, cancel a request or remove a follower)
+ * @param {number} followerId - Following user
+ * @param {number} followingId - Followed user
+ * @returns {Promise<boolean>} False if there was nothing to remove
+ */
+async function removeFollow(followerId, followingId) {
+  const result = await pool.query(
+    'DELETE FROM user_follows WHERE follower_id = $1 AND following_id = $2',
+    [followerId, followingId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * People following a user
+ * @param {number} userId - Followed user
+ * @param {string} status - 'accepted' for followers, 'pending' for incoming requests
+ * @returns {Promise<object[]>}
+ */
+async function listFollowers(userId, status = 'accepted') {
+  const result = await pool.query(
+    `SELECT ${FOLLOW_USER_COLUMNS}
+     FROM user_follows f
+     INNER JOIN users u ON u.id = f.follower_id
+     WHERE f.following_id = $1 AND f.status = $2 AND u.deleted_at IS NULL
+     ORDER BY COALESCE(f.accepted_at, f.created_at) DESC`,
+    [userId, status]
+  );
+  return result.rows.map(formatFollowUser);
+}
+
+/**
+ * People a user follows, including requests still waiting for an answer
+ * @param {number} userId - Following user
+ * @returns {Promise<object[]>}
+ */
+async function listFollowing(userId) {
+  const result = await pool.query(
+    `SELECT ${FOLLOW_USER_COLUMNS}
+     FROM user_follows f
+     INNER JOIN users u ON u.id = f.following_id
+     WHERE f.follower_id = $1 AND u.deleted_at IS NULL
+     ORDER BY (f.status = 'accepted') DESC, COALESCE(f.accepted_at, f.created_at) DESC`,
+    [userId]
+  );
+  return result.rows.map(formatFollowUser);
+}
+
+/**
+ * Friends: users who follow each other and have both accepted
+ * @param {number} userId - User whose friends to list
+ * @returns {Promise<object[]>}
+ */
+async function listFriends(userId) {
+  const result = await pool.query(
+    `SELECT ${FOLLOW_USER_COLUMNS}
+     FROM user_follows f
+     INNER JOIN user_follows back ON back.follower_id = f.following_id
+       AND back.following_id = f.follower_id AND back.status = 'accepted'
+     INNER JOIN users u ON u.id = f.following_id
+     WHERE f.follower_id = $1 AND f.status = 'accepted' AND u.deleted_at IS NULL
+     ORDER BY u.name`,
+    [userId]
+  );
+  return result.rows.map(formatFollowUser);
+}
+
+/**
+ * Friends two users have in common
+ * @param {number} userId - Signed-in user
+ * @param {number} otherUserId - User being compared against
+ * @returns {Promise<object[]>}
+ */
+async function listMutualFriends(userId, otherUserId) {
+  const [mine, theirs] = await Promise.all([listFriends(userId), listFriends(otherUserId)]);
+  const theirIds = new Set(theirs.map(friend => friend.userId));
+  return mine.filter(friend => theirIds.has(friend.userId));
+}
+
+module.exports = {
+  requestFollow,
+  respondToFollowRequest,
+  removeFollow,
+  listFollowers,
+  listFollowing,
+  listFriends,
+  listMutualFriends
+};
@@ -1,6 +1,7 @@
 const { OAuth2Client } = require('google-auth-library');
 const { google } = require('googleapis');
 const { pool } = require('../config/database');
+const { encryptToken, decryptToken } = require('./tokenEncryption');
 
 // Create OAuth2 client
 const createOAuthClient = () => {
@@ -10,9 +11,19 @@ const createOAuthClient = () => {
   );
 };
 
-// Refresh access token using refresh token
-const refreshAccessToken = async (refreshToken) => {
+// Refresh a user's access token using their stored (encrypted) refresh token
+const refreshAccessToken = async (userId) => {
   try {
+    const result = await pool.query(
+      'SELECT google_refresh_token FROM users WHERE id = $1',
+      [userId]
+    );
+    const refreshToken = result.rows.length > 0 ? decryptToken(result.rows[0].google_refresh_token) : null;
+
+    if (!refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
     const oauth2Client = createOAuthClient();
     oauth2Client.setCredentials({
       refresh_token: refreshToken
@@ -20,10 +31,14 @@ const refreshAccessToken = async (refreshToken) => {
 
     const { credentials } = await oauth2Client.refreshAccessToken();
     
-    // Update the token in database
+    // Update the token in database (Google may also rotate the refresh token)
     await pool.query(
-      'UPDATE users SET google_access_token = $1, updated_at = CURRENT_TIMESTAMP WHERE google_refresh_token = $2',
-      [credentials.access_token, refreshToken]
+      `UPDATE users
+       SET google_access_token = $1,
+           google_refresh_token = COALESCE($2, google_refresh_token),
+           updated_at = CURRENT_TIMESTAMP
+       WHERE id = $3`,
+      [encryptToken(credentials.access_token), encryptToken(credentials.refresh_token), userId]
     );
 
     return credentials.access_token;
@@ -46,7 +61,9 @@ const getValidAccessToken = async (userId) => {
       throw new Error('User not found');
     }
 
-    const { google_access_token, google_refresh_token } = result.rows[0];
+    // Tokens are encrypted at rest
+    const google_access_token = decryptToken(result.rows[0].google_access_token);
+    const google_refresh_token = decryptToken(result.rows[0].google_refresh_token);
 
     if (!google_refresh_token) {
       throw new Error('No refresh token available');
@@ -72,13 +89,13 @@ const getValidAccessToken = async (userId) => {
         if (error.code === 401) {
           console.log('🔄 Access token expired, refreshing...');
           // Token is expired, refresh it
-          return await refreshAccessToken(google_refresh_token);
+          return await refreshAccessToken(userId);
         }
         throw error;
       }
     } else {
       // No access token, refresh to get a new one
-      return await refreshAccessToken(google_refresh_token);
+      return await refreshAccessToken(userId);
     }
   } catch (error) {
     console.error('❌ Failed to get valid access token:', error.message);
@@ -0,0 +1,182 @@
+const bcrypt = require('bcryptjs');
+const { pool } = require('../config/database');
+const { disableTwoFactor } = require('./twoFactor');
+
+// Google-only users re-authenticate by having signed in recently
+const REAUTH_WINDOW_MINUTES = parseInt(process.env.REAUTH_WINDOW_MINUTES) || 10;
+
+const PROVIDERS = ['email', 'google'];
+
+/**
+ * List the login methods linked to a user
+ * @param {number} userId - User whose identities to list
+ * @returns {Promise<Array>} Identity rows (provider, provider_email, created_at, last_used_at)
+ */
+async function listIdentities(userId) {
+  const result = await pool.query(
+    `SELECT provider, provider_email, created_at, last_used_at
+     FROM user_identities
+     WHERE user_id = $1
+     ORDER BY created_at ASC`,
+    [userId]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Find the user a provider account is linked to
+ * @param {string} provider - 'google'
+ * @param {string} providerUserId - Subject id at the provider
+ * @returns {Promise<object|null>} User row or null if the identity is not linked
+ */
+async function findUserByIdentity(provider, providerUserId) {
+  const result = await pool.query(
+    `SELECT u.*
+     FROM user_identities i
+     JOIN users u ON u.id = i.user_id
+     WHERE i.provider = $1 AND i.provider_user_id = $2`,
+    [provider, providerUserId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Record a login method for a user (no-op if the user already has this provider)
+ * @param {number} userId - User to link the identity to
+ * @param {string} provider - 'email' or 'google'
+ * @param {object} identity - Provider details (optional)
+ * @param {string} identity.providerUserId - Subject id at the provider
+ * @param {string} identity.providerEmail - Email reported by the provider
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ */
+async function addIdentity(userId, provider, { providerUserId = null, providerEmail = null } = {}, db = pool) {
+  await db.query(
+    `INSERT INTO user_identities (user_id, provider, provider_user_id, provider_email, last_used_at)
+     VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id, provider) DO NOTHING`,
+    [userId, provider, providerUserId, providerEmail]
+  );
+}
+
+/**
+ * Update last_used_at after a successful sign-in with a provider
+ * @param {number} userId - User who signed in
+ * @param {string} provider - Provider used
+ */
+async function touchIdentity(userId, provider) {
+  await pool.query(
+    'UPDATE user_identities SET last_used_at = CURRENT_TIMESTAMP WHERE user_id = $1 AND provider = $2',
+    [userId, provider]
+  );
+}
+
+/**
+ * Confirm the caller is the account owner before changing login methods.
+ * Users with a password must enter it; Google-only users must have signed in
+ * within the last REAUTH_WINDOW_MINUTES.
+ * @param {object} user - Authenticated user row (req.user)
+ * @param {object} auth - Decoded access token (req.auth)
+ * @param {string} currentPassword - Password entered by the user (optional)
+ * @returns {Promise<object>} { success } or { success: false, error, message }
+ */
+async function verifyReauthentication(user, auth, currentPassword) {
+  if (user.password_hash) {
+    if (!currentPassword || !(await bcrypt.compare(currentPassword, user.password_hash))) {
+      return {
+        success: false,
+        error: 'Re-authentication required',
+        message: 'Please enter your current password'
+      };
+    }
+    return { success: true };
+  }
+
+  const sessionResult = auth && auth.sid
+    ? await pool.query('SELECT created_at FROM auth_sessions WHERE id = $1 AND user_id = $2', [auth.sid, user.id])
+    : { rows: [] };
+  const signedInAt = sessionResult.rows[0] && sessionResult.rows[0].created_at;
+
+  if (!signedInAt || Date.now() - new Date(signedInAt).getTime() > REAUTH_WINDOW_MINUTES * 60 * 1000) {
+    return {
+      success: false,
+      error: 'Re-authentication required',
+      message: 'Please sign in again before changing your login methods'
+    };
+  }
+
+  return { success: true };
+}
+
+/**
+ * Remove a login method, refusing to remove the user's last one
+ * @param {number} userId - User to unlink from
+ * @param {string} provider - 'email' or 'google'
+ * @returns {Promise<object>} { success } or { success: false, status, error, message }
+ */
+async function unlinkIdentity(userId, provider) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the user so two concurrent unlinks cannot both pass the last-method check
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const identities = await client.query(
+      'SELECT provider FROM user_identities WHERE user_id = $1',
+      [userId]
+    );
+    const providers = identities.rows.map(row => row.provider);
+
+    if (!providers.includes(provider)) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 404, error: 'Not linked', message: `No ${provider} login is linked to this account` };
+    }
+
+    if (providers.length <= 1) {
+      await client.query('ROLLBACK');
+      return { success: false, status: 409, error: 'Last login method', message: 'You cannot remove your only way to sign in' };
+    }
+
+    await client.query(
+      'DELETE FROM user_identities WHERE user_id = $1 AND provider = $2',
+      [userId, provider]
+    );
+
+    if (provider === 'google') {
+      await client.query(
+        `UPDATE users
+         SET google_id = NULL, google_access_token = NULL, google_refresh_token = NULL, updated_at = CURRENT_TIMESTAMP
+         WHERE id = $1`,
+        [userId]
+      );
+    } else {
+      await client.query(
+        'UPDATE users SET password_hash = NULL, updated_at = CURRENT_TIMESTAMP WHERE id = $1',
+        [userId]
+      );
+      // 2FA only protects password sign-in, so it goes with it
+      await disableTwoFactor(userId, client);
+    }
+
+    await client.query('COMMIT');
+    return { success: true };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  PROVIDERS,
+  listIdentities,
+  findUserByIdentity,
+  addIdentity,
+  touchIdentity,
+  verifyReauthentication,
+  unlinkIdentity
+};
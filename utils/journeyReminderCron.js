@@ -57,8 +57,9 @@ function startJourneyReminderCron() {
           last_completion_time,
           (last_completed_day + 1) as next_day
         FROM user_journey_progress
-        WHERE notification_settings->>'pushEnabled' = 'true'
-          AND notification_settings->>'journeyReminders' = 'true'
+        -- Settings the user never changed are not stored and default to on
+        WHERE COALESCE(notification_settings->>'pushEnabled', 'true') = 'true'
+          AND COALESCE(notification_settings->>'journeyReminders', 'true') = 'true'
       `;
 
       const result = await pool.query(query);
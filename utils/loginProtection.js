@@ -0,0 +1,335 @@
+const { pool } = require('../config/database');
+const { createActionToken, consumeActionToken } = require('./actionTokens');
+const { sendAccountLockedEmail } = require('./mailer');
+
+// Per-account: consecutive failures before a temporary lockout
+const LOGIN_MAX_FAILED_ATTEMPTS = parseInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 5;
+const LOGIN_LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15;
+
+// Per-IP: failures allowed in the sliding window before the IP is refused
+const LOGIN_IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const LOGIN_IP_WINDOW_MINUTES = parseInt(process.env.LOGIN_IP_WINDOW_MINUTES) || 15;
+
+const LOGIN_ATTEMPT_RETENTION_DAYS = parseInt(process.env.LOGIN_ATTEMPT_RETENTION_DAYS) || 90;
+
+// Only guesses count against an IP. Refusals (ip_blocked, throttled, locked) are
+// logged too, and counting them would let retries during a block extend it.
+const CREDENTIAL_FAILURE_REASONS = ['unknown_email', 'wrong_password', 'wrong_2fa_code'];
+
+// One IP failing against this many different emails looks like credential stuffing
+const STUFFING_DISTINCT_EMAILS = 5;
+const MAX_DELAY_SECONDS = 60;
+
+// Unlock links point at GET /api/auth/unlock
+const getUnlockUrl = () => {
+  return process.env.ACCOUNT_UNLOCK_URL ||
+    `${process.env.BACKEND_URL || 'http://localhost:3000'}/api/auth/unlock`;
+};
+
+/**
+ * Seconds a user must wait after their last failure before trying again.
+ * The first failure is free, then the wait doubles: 2s, 4s, 8s ... up to 60s.
+ * @param {number} failedCount - Consecutive failed attempts
+ * @returns {number} Delay in seconds
+ */
+function getProgressiveDelaySeconds(failedCount) {
+  if (!failedCount || failedCount < 2) {
+    return 0;
+  }
+  return Math.min(2 ** (failedCount - 1), MAX_DELAY_SECONDS);
+}
+
+/**
+ * Check recent failed guesses from an IP address
+ * @param {string} ipAddress - Client IP
+ * @returns {Promise<object>} { allowed, retryAfterSeconds, distinctEmails }
+ */
+async function checkIpThrottle(ipAddress) {
+  // Once the LOGIN_IP_MAX_FAILURES-th newest failure leaves the window, fewer than
+  // the limit remain, so that is when the IP may try again
+  const result = await pool.query(
+    `WITH failures AS (
+       SELECT email, created_at, ROW_NUMBER() OVER (ORDER BY created_at DESC) AS newest_rank
+       FROM login_attempts
+       WHERE ip_address = $1
+         AND success = FALSE
+         AND failure_reason = ANY($3)
+         AND created_at > CURRENT_TIMESTAMP - make_interval(mins => $2)
+     )
+     SELECT
+       COUNT(*) AS failures,
+       COUNT(DISTINCT email) AS distinct_emails,
+       EXTRACT(EPOCH FROM (
+         MAX(created_at) FILTER (WHERE newest_rank = $4) + make_interval(mins => $2) - CURRENT_TIMESTAMP
+       )) AS retry_after
+     FROM failures`,
+    [ipAddress, LOGIN_IP_WINDOW_MINUTES, CREDENTIAL_FAILURE_REASONS, LOGIN_IP_MAX_FAILURES]
+  );
+
+  const failures = parseInt(result.rows[0].failures);
+  const distinctEmails = parseInt(result.rows[0].distinct_emails);
+
+  if (failures >= LOGIN_IP_MAX_FAILURES) {
+    return {
+      allowed: false,
+      retryAfterSeconds: Math.max(1, Math.ceil(result.rows[0].retry_after)),
+      distinctEmails
+    };
+  }
+
+  return { allowed: true, distinctEmails };
+}
+
+/**
+ * Check whether an account is locked or still inside its progressive delay
+ * @param {object} user - User row with failed_login_count, last_failed_login_at and locked_until
+ * @returns {object} { allowed } or { allowed: false, reason: 'locked' | 'throttled', retryAfterSeconds }
+ */
+function checkAccountThrottle(user) {
+  const now = Date.now();
+
+  if (user.locked_until && new Date(user.locked_until).getTime() > now) {
+    return {
+      allowed: false,
+      reason: 'locked',
+      retryAfterSeconds: Math.ceil((new Date(user.locked_until).getTime() - now) / 1000)
+    };
+  }
+
+  const delaySeconds = getProgressiveDelaySeconds(user.failed_login_count);
+  if (delaySeconds > 0 && user.last_failed_login_at) {
+    const nextAllowedAt = new Date(user.last_failed_login_at).getTime() + delaySeconds * 1000;
+    if (nextAllowedAt > now) {
+      return {
+        allowed: false,
+        reason: 'throttled',
+        retryAfterSeconds: Math.ceil((nextAllowedAt - now) / 1000)
+      };
+    }
+  }
+
+  return { allowed: true };
+}
+
+/**
+ * Add an entry to the login audit log
+ * @param {object} attempt - Attempt details
+ * @param {string} attempt.email - Email that was tried
+ * @param {object} attempt.user - Matching user row (optional)
+ * @param {object} attempt.device - Device details from getDeviceContext
+ * @param {boolean} attempt.success - Whether sign-in succeeded
+ * @param {string} attempt.reason - Failure reason (optional)
+ * @param {boolean} attempt.suspicious - Whether the attempt matched an attack pattern
+ */
+async function recordLoginAttempt({ email, user = null, device = {}, success, reason = null, suspicious = false }) {
+  await pool.query(
+    `INSERT INTO login_attempts (user_id, email, ip_address, user_agent, success, failure_reason, suspicious)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [user ? user.id : null, email, device.ipAddress || null, device.userAgent || null, success, reason, suspicious]
+  );
+
+  if (suspicious) {
+    console.warn('🚨 Suspicious login attempt:', {
+      email,
+      userId: user ? user.id : null,
+      ipAddress: device.ipAddress,
+      reason,
+      timestamp: new Date().toISOString()
+    });
+  }
+}
+
+/**
+ * Whether failures from this IP look like credential stuffing
+ * @param {object} ipCheck - Result of checkIpThrottle
+ * @returns {boolean}
+ */
+function isStuffingPattern(ipCheck) {
+  return ipCheck.distinctEmails >= STUFFING_DISTINCT_EMAILS;
+}
+
+/**
+ * Check the account throttle and count the attempt as a failure in one step, before
+ * the password or 2FA code is verified. The user row is locked while this runs, so
+ * parallel requests each see the ones before them and cannot all slip under the
+ * limit. A correct password clears the count again with resetFailedLogins.
+ * @param {object} user - User row (needs id)
+ * @returns {Promise<object>} { allowed: true, failedCount, locked, previous } or the refusal from checkAccountThrottle
+ */
+async function claimLoginAttempt(user) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const current = await client.query(
+      'SELECT failed_login_count, last_failed_login_at, locked_until FROM users WHERE id = $1 FOR UPDATE',
+      [user.id]
+    );
+
+    const accountCheck = checkAccountThrottle(current.rows[0]);
+    if (!accountCheck.allowed) {
+      await client.query('ROLLBACK');
+      return accountCheck;
+    }
+
+    const now = new Date();
+    const lockUntil = new Date(now.getTime() + LOGIN_LOCKOUT_MINUTES * 60 * 1000);
+
+    const result = await client.query(
+      `UPDATE users
+       SET failed_login_count = COALESCE(failed_login_count, 0) + 1,
+           last_failed_login_at = $2,
+           locked_until = CASE WHEN COALESCE(failed_login_count, 0) + 1 >= $3 THEN $4 ELSE locked_until END
+       WHERE id = $1
+       RETURNING failed_login_count`,
+      [user.id, now, LOGIN_MAX_FAILED_ATTEMPTS, lockUntil]
+    );
+
+    await client.query('COMMIT');
+
+    const failedCount = result.rows[0].failed_login_count;
+    return {
+      allowed: true,
+      failedCount,
+      locked: failedCount >= LOGIN_MAX_FAILED_ATTEMPTS,
+      previous: current.rows[0]
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Give back an attempt claimLoginAttempt counted when the password was right but a
+ * second factor is still to come, so the account is as it was before. Attempts made
+ * in the meantime are kept.
+ * @param {object} user - User row (needs id)
+ * @param {object} attempt - Result of claimLoginAttempt
+ */
+async function releaseLoginAttempt(user, attempt) {
+  await pool.query(
+    `UPDATE users
+     SET failed_login_count = $3, last_failed_login_at = $4, locked_until = $5
+     WHERE id = $1 AND failed_login_count = $2`,
+    [
+      user.id,
+      attempt.failedCount,
+      attempt.previous.failed_login_count || 0,
+      attempt.previous.last_failed_login_at,
+      attempt.previous.locked_until
+    ]
+  );
+}
+
+/**
+ * Finish a wrong password or 2FA code. The failure was already counted by
+ * claimLoginAttempt; when it locked the account, an unlock link is emailed to the user.
+ * @param {object} user - User row (needs id, email and name)
+ * @param {object} attempt - Result of claimLoginAttempt
+ * @returns {Promise<object>} { failedCount, locked }
+ */
+async function registerFailedLogin(user, attempt) {
+  if (attempt.locked) {
+    await sendUnlockEmail(user);
+  }
+
+  return { failedCount: attempt.failedCount, locked: attempt.locked };
+}
+
+/**
+ * Clear failure tracking after a successful sign-in, password reset or unlock
+ * @param {number} userId - User to reset
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ */
+async function resetFailedLogins(userId, db = pool) {
+  await db.query(
+    `UPDATE users
+     SET failed_login_count = 0, last_failed_login_at = NULL, locked_until = NULL
+     WHERE id = $1`,
+    [userId]
+  );
+}
+
+/**
+ * Email an unlock link to a locked account
+ * @param {object} user - User row (needs id, email and name)
+ */
+async function sendUnlockEmail(user) {
+  const token = await createActionToken(user.id, 'account_unlock', LOGIN_LOCKOUT_MINUTES * 4);
+
+  const unlockUrl = new URL(getUnlockUrl());
+  unlockUrl.searchParams.set('token', token);
+
+  return await sendAccountLockedEmail(user.email, {
+    name: user.name,
+    unlockUrl: unlockUrl.toString(),
+    lockoutMinutes: LOGIN_LOCKOUT_MINUTES
+  });
+}
+
+/**
+ * Unlock an account from an emailed link
+ * @param {string} token - Raw token from the link
+ * @returns {Promise<number|null>} Unlocked user id, or null if the link is invalid or expired
+ */
+async function unlockAccount(token) {
+  const unlock = await consumeActionToken(token, 'account_unlock');
+
+  if (!unlock) {
+    return null;
+  }
+
+  await resetFailedLogins(unlock.userId);
+  return unlock.userId;
+}
+
+/**
+ * Recent sign-in attempts against a user's account
+ * @param {number} userId - Account owner
+ * @param {number} limit - Maximum entries to return (default 20)
+ * @returns {Promise<Array>} Attempt rows, newest first
+ */
+async function listLoginActivity(userId, limit = 20) {
+  const result = await pool.query(
+    `SELECT success, failure_reason, suspicious, ip_address, user_agent, created_at
+     FROM login_attempts
+     WHERE user_id = $1
+     ORDER BY created_at DESC
+     LIMIT $2`,
+    [userId, limit]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Delete audit entries older than LOGIN_ATTEMPT_RETENTION_DAYS (run by the weekly cleanup job)
+ * @returns {Promise<number>} Number of entries deleted
+ */
+async function purgeOldLoginAttempts() {
+  const result = await pool.query(
+    `DELETE FROM login_attempts
+     WHERE created_at < CURRENT_TIMESTAMP - make_interval(days => $1)`,
+    [LOGIN_ATTEMPT_RETENTION_DAYS]
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  checkIpThrottle,
+  checkAccountThrottle,
+  recordLoginAttempt,
+  isStuffingPattern,
+  claimLoginAttempt,
+  releaseLoginAttempt,
+  registerFailedLogin,
+  resetFailedLogins,
+  unlockAccount,
+  listLoginActivity,
+  purgeOldLoginAttempts
+};
@@ -0,0 +1,180 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+// Transport is chosen by MAIL_TRANSPORT: 'smtp' (default in production), 'file' or 'console'
+const MAIL_TRANSPORT = process.env.MAIL_TRANSPORT ||
+  (process.env.NODE_ENV === 'production' ? 'smtp' : 'console');
+const MAIL_FROM = process.env.MAIL_FROM || 'Faithful Companion <no-reply@faithfulcompanion.app>';
+const MAIL_OUTBOX_DIR = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox');
+
+let smtpTransporter = null;
+
+// Escape user-provided values (names) before placing them in HTML bodies
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Lazily create the SMTP transporter so local development never needs SMTP settings
+function getSmtpTransporter() {
+  if (!smtpTransporter) {
+    smtpTransporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined
+    });
+  }
+  return smtpTransporter;
+}
+
+const transports = {
+  smtp: async (message) => {
+    const info = await getSmtpTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  },
+
+  // Writes each message to MAIL_OUTBOX_DIR as JSON so links can be opened locally
+  file: async (message) => {
+    fs.mkdirSync(MAIL_OUTBOX_DIR, { recursive: true });
+    const fileName = `${Date.now()}-${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    fs.writeFileSync(path.join(MAIL_OUTBOX_DIR, fileName), JSON.stringify(message, null, 2));
+    return { messageId: fileName };
+  },
+
+  console: async (message) => {
+    console.log('📧 Email (console transport):', {
+      to: message.to,
+      subject: message.subject,
+      text: message.text
+    });
+    return { messageId: `console-${Date.now()}` };
+  }
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {object} mail - Email details
+ * @param {string} mail.to - Recipient address
+ * @param {string} mail.subject - Subject line
+ * @param {string} mail.text - Plain text body
+ * @param {string} mail.html - HTML body (optional)
+ * @returns {Promise<object>} { success, messageId } or { success: false, error }
+ */
+async function sendMail({ to, subject, text, html }) {
+  const transport = transports[MAIL_TRANSPORT];
+
+  if (!transport) {
+    console.error('❌ Unknown mail transport:', MAIL_TRANSPORT);
+    return { success: false, error: `Unknown mail transport: ${MAIL_TRANSPORT}` };
+  }
+
+  try {
+    const { messageId } = await transport({ from: MAIL_FROM, to, subject, text, html });
+    console.log('✅ Email sent:', { to, subject, transport: MAIL_TRANSPORT, messageId });
+    return { success: true, messageId };
+  } catch (error) {
+    console.error('❌ Failed to send email:', {
+      to,
+      subject,
+      transport: MAIL_TRANSPORT,
+      error: error.message
+    });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * Send a password reset link
+ * @param {string} to - Recipient address
+ * @param {object} details - Email details
+ * @param {string} details.name - Recipient name (optional)
+ * @param {string} details.resetUrl - Link that opens the reset form
+ * @param {number} details.expiresInMinutes - How long the link stays valid
+ */
+async function sendPasswordResetEmail(to, { name, resetUrl, expiresInMinutes }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const htmlGreeting = escapeHtml(greeting);
+
+  return await sendMail({
+    to,
+    subject: 'Reset your Faithful Companion password',
+    text: `${greeting}\n\nWe received a request to reset your password. Use the link below to choose a new one:\n\n${resetUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.`,
+    html: `<p>${htmlGreeting}</p><p>We received a request to reset your password. Use the link below to choose a new one:</p><p><a href="${resetUrl}">Reset my password</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask for a reset, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Send an email address verification link
+ * @param {string} to - Address being verified
+ * @param {object} details - Email details
+ * @param {string} details.name - Recipient name (optional)
+ * @param {string} details.verifyUrl - Link that confirms the address
+ * @param {number} details.expiresInMinutes - How long the link stays valid
+ */
+async function sendEmailVerificationEmail(to, { name, verifyUrl, expiresInMinutes }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const htmlGreeting = escapeHtml(greeting);
+  const expiresInHours = Math.round(expiresInMinutes / 60);
+
+  return await sendMail({
+    to,
+    subject: 'Confirm your email for Faithful Companion',
+    text: `${greeting}\n\nPlease confirm this email address by opening the link below:\n\n${verifyUrl}\n\nThis link expires in ${expiresInHours} hours. If you did not create an account or change your email, you can ignore this email.`,
+    html: `<p>${htmlGreeting}</p><p>Please confirm this email address by opening the link below:</p><p><a href="${verifyUrl}">Confirm my email</a></p><p>This link expires in ${expiresInHours} hours. If you did not create an account or change your email, you can ignore this email.</p>`
+  });
+}
+
+/**
+ * Tell a user their account was locked after repeated failed sign-ins
+ * @param {string} to - Recipient address
+ * @param {object} details - Email details
+ * @param {string} details.name - Recipient name (optional)
+ * @param {string} details.unlockUrl - Link that unlocks the account immediately
+ * @param {number} details.lockoutMinutes - How long the lock lasts if not unlocked
+ */
+async function sendAccountLockedEmail(to, { name, unlockUrl, lockoutMinutes }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const htmlGreeting = escapeHtml(greeting);
+
+  return await sendMail({
+    to,
+    subject: 'Your Faithful Companion account was locked',
+    text: `${greeting}\n\nWe locked your account for ${lockoutMinutes} minutes after several failed sign-in attempts. If this was you, you can unlock it now:\n\n${unlockUrl}\n\nIf it was not you, someone may be guessing your password. We recommend resetting it.`,
+    html: `<p>${htmlGreeting}</p><p>We locked your account for ${lockoutMinutes} minutes after several failed sign-in attempts. If this was you, you can unlock it now:</p><p><a href="${unlockUrl}">Unlock my account</a></p><p>If it was not you, someone may be guessing your password. We recommend resetting it.</p>`
+  });
+}
+
+/**
+ * Send a one-time sign-in link
+ * @param {string} to - Account email address
+ * @param {object} details - Email details
+ * @param {string} details.name - Recipient name (optional)
+ * @param {string} details.signInUrl - Link that signs the user in
+ * @param {number} details.expiresInMinutes - How long the link stays valid
+ */
+async function sendMagicLinkEmail(to, { name, signInUrl, expiresInMinutes }) {
+  const greeting = name ? `Hi ${name},` : 'Hi,';
+  const htmlGreeting = escapeHtml(greeting);
+
+  return await sendMail({
+    to,
+    subject: 'Your Faithful Companion sign-in link',
+    text: `${greeting}\n\nUse the link below to sign in to Faithful Companion. No password needed:\n\n${signInUrl}\n\nThis link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask to sign in, you can ignore this email.`,
+    html: `<p>${htmlGreeting}</p><p>Use the link below to sign in to Faithful Companion. No password needed:</p><p><a href="${signInUrl}">Sign me in</a></p><p>This link expires in ${expiresInMinutes} minutes and can only be used once. If you did not ask to sign in, you can ignore this email.</p>`
+  });
+}
+
+module.exports = {
+  sendMail,
+  sendPasswordResetEmail,
+  sendEmailVerificationEmail,
+  sendAccountLockedEmail,
+  sendMagicLinkEmail
+};
@@ -0,0 +1,112 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// MEDIA_STORAGE_DRIVER selects where uploaded media lives: local (default) or s3
+const DRIVER = process.env.MEDIA_STORAGE_DRIVER || 'local';
+const LOCAL_DIR = path.resolve(process.env.MEDIA_STORAGE_DIR || './uploads');
+
+const getBackendUrl = () => process.env.BACKEND_URL || 'http://localhost:3000';
+
+/**
+ * Local disk driver for development. Files are served by server.js under /media.
+ */
+function createLocalDriver() {
+  const resolveKey = (key) => {
+    const filePath = path.resolve(LOCAL_DIR, key);
+    if (!filePath.startsWith(LOCAL_DIR + path.sep)) {
+      throw new Error(`Invalid media key: ${key}`);
+    }
+    return filePath;
+  };
+
+  return {
+    name: 'local',
+
+    async putObject(key, body) {
+      const filePath = resolveKey(key);
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await fs.writeFile(filePath, body);
+    },
+
+    async deleteObject(key) {
+      await fs.rm(resolveKey(key), { force: true });
+    },
+
+    getPublicUrl(key) {
+      const baseUrl = process.env.MEDIA_PUBLIC_URL || `${getBackendUrl()}/media`;
+      return `${baseUrl}/${key}`;
+    }
+  };
+}
+
+/**
+ * S3-compatible driver (AWS S3, Cloudflare R2, MinIO, ...). Objects must be publicly
+ * readable through MEDIA_PUBLIC_URL (bucket website, CDN or public bucket URL).
+ */
+function createS3Driver() {
+  const { S3Client, PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+
+  const bucket = process.env.MEDIA_S3_BUCKET;
+  if (!bucket) {
+    throw new Error('MEDIA_S3_BUCKET is required when MEDIA_STORAGE_DRIVER=s3');
+  }
+
+  const client = new S3Client({
+    region: process.env.MEDIA_S3_REGION || 'us-east-1',
+    endpoint: process.env.MEDIA_S3_ENDPOINT || undefined,
+    forcePathStyle: process.env.MEDIA_S3_FORCE_PATH_STYLE === 'true',
+    credentials: process.env.MEDIA_S3_ACCESS_KEY_ID
+      ? {
+          accessKeyId: process.env.MEDIA_S3_ACCESS_KEY_ID,
+          secretAccessKey: process.env.MEDIA_S3_SECRET_ACCESS_KEY
+        }
+      : undefined
+  });
+
+  return {
+    name: 's3',
+
+    async putObject(key, body, contentType) {
+      await client.send(new PutObjectCommand({
+        Bucket: bucket,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+        CacheControl: 'public, max-age=31536000, immutable'
+      }));
+    },
+
+    async deleteObject(key) {
+      await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: key }));
+    },
+
+    getPublicUrl(key) {
+      const baseUrl = process.env.MEDIA_PUBLIC_URL || `https://${bucket}.s3.amazonaws.com`;
+      return `${baseUrl}/${key}`;
+    }
+  };
+}
+
+let driver = null;
+
+/**
+ * The configured storage driver (created on first use)
+ * @returns {{name: string, putObject: Function, deleteObject: Function, getPublicUrl: Function}}
+ */
+function getMediaStorage() {
+  if (!driver) {
+    if (DRIVER === 's3') {
+      driver = createS3Driver();
+    } else if (DRIVER === 'local') {
+      driver = createLocalDriver();
+    } else {
+      throw new Error(`Unknown MEDIA_STORAGE_DRIVER "${DRIVER}" (expected local or s3)`);
+    }
+  }
+  return driver;
+}
+
+module.exports = {
+  LOCAL_MEDIA_DIR: LOCAL_DIR,
+  getMediaStorage
+};
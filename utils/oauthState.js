@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { pool } = require('../config/database');
+
+const OAUTH_STATE_TTL_MINUTES = parseInt(process.env.OAUTH_STATE_TTL_MINUTES) || 10;
+const OAUTH_STATE_AUDIENCE = 'google-oauth-state';
+
+// 'lax' works when the frontend and backend share a site; set 'none' when the
+// frontend calls /url from another site (the cookie is then always Secure)
+const NONCE_COOKIE_SAMESITE = (process.env.OAUTH_NONCE_COOKIE_SAMESITE || 'lax').toLowerCase();
+const NONCE_COOKIE_PATH = '/api/auth';
+
+const hashNonce = (nonce) => crypto.createHash('sha256').update(nonce).digest('hex');
+
+// One cookie per flow, so starting a calendar connection does not break a sign-in
+// running in another tab
+const nonceCookieName = (flow) => `oauth_nonce_${flow}`;
+
+function nonceCookieOptions() {
+  const secure = NONCE_COOKIE_SAMESITE === 'none' || (process.env.BACKEND_URL || '').startsWith('https://');
+  return { httpOnly: true, secure, sameSite: NONCE_COOKIE_SAMESITE, path: NONCE_COOKIE_PATH };
+}
+
+/**
+ * Start a Google redirect flow: store a PKCE verifier and return the signed state
+ * and code challenge to put in the authorization URL. Web flows also get a nonce to
+ * set in the browser with setOAuthNonceCookie; only its hash is stored.
+ * @param {object} oauthClient - google-auth-library OAuth2Client used for the flow
+ * @param {object} details - Flow details
+ * @param {string} details.flow - 'signin' or 'calendar'
+ * @param {string} details.platform - 'web' or 'mobile'
+ * @param {number} details.userId - User connecting a calendar (optional)
+ * @returns {Promise<{state: string, codeChallenge: string, nonce: string|null}>}
+ */
+async function createOAuthState(oauthClient, { flow, platform = 'web', userId = null }) {
+  const id = crypto.randomUUID();
+  const { codeVerifier, codeChallenge } = await oauthClient.generateCodeVerifierAsync();
+  const expiresAt = new Date(Date.now() + OAUTH_STATE_TTL_MINUTES * 60 * 1000);
+  const nonce = platform === 'web' ? crypto.randomBytes(32).toString('base64url') : null;
+
+  await pool.query(
+    `INSERT INTO oauth_states (id, flow, platform, user_id, code_verifier, nonce_hash, expires_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+    [id, flow, platform, userId, codeVerifier, nonce && hashNonce(nonce), expiresAt]
+  );
+
+  const state = jwt.sign(
+    { flow },
+    process.env.JWT_SECRET,
+    { jwtid: id, expiresIn: OAUTH_STATE_TTL_MINUTES * 60, audience: OAUTH_STATE_AUDIENCE }
+  );
+
+  return { state, codeChallenge, nonce };
+}
+
+/**
+ * Set the nonce of a web flow as a short-lived HttpOnly cookie in the browser that
+ * asked for the authorization URL
+ * @param {object} res - Express response
+ * @param {string} flow - 'signin' or 'calendar'
+ * @param {string} nonce - Nonce returned by createOAuthState
+ */
+function setOAuthNonceCookie(res, flow, nonce) {
+  res.cookie(nonceCookieName(flow), nonce, {
+    ...nonceCookieOptions(),
+    maxAge: OAUTH_STATE_TTL_MINUTES * 60 * 1000
+  });
+}
+
+/**
+ * Read the nonce cookie a web callback received, and clear it
+ * @param {object} req - Express request
+ * @param {object} res - Express response
+ * @param {string} flow - 'signin' or 'calendar'
+ * @returns {string|null}
+ */
+function takeOAuthNonceCookie(req, res, flow) {
+  res.clearCookie(nonceCookieName(flow), nonceCookieOptions());
+
+  const name = nonceCookieName(flow);
+  for (const part of (req.headers.cookie || '').split(';')) {
+    const [key, ...value] = part.trim().split('=');
+    if (key === name) {
+      return decodeURIComponent(value.join('='));
+    }
+  }
+  return null;
+}
+
+/**
+ * Check the state a callback received and use it up. A web state is only accepted
+ * together with the nonce from the browser that started the flow, so a victim sent
+ * someone else's authorization link cannot complete it.
+ * @param {string} state - state query parameter from Google's redirect
+ * @param {string} flow - Flow the callback belongs to
+ * @param {string} nonce - Nonce cookie from takeOAuthNonceCookie (web flows)
+ * @returns {Promise<object|null>} { userId, platform, codeVerifier } or null if missing, forged, expired, reused, for another flow or from another browser
+ */
+async function consumeOAuthState(state, flow, nonce = null) {
+  if (!state) {
+    return null;
+  }
+
+  let decoded;
+  try {
+    decoded = jwt.verify(state, process.env.JWT_SECRET, { audience: OAUTH_STATE_AUDIENCE });
+  } catch (error) {
+    return null;
+  }
+
+  if (decoded.flow !== flow) {
+    return null;
+  }
+
+  const result = await pool.query(
+    `UPDATE oauth_states
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE id = $1 AND flow = $2 AND used_at IS NULL AND expires_at > CURRENT_TIMESTAMP
+     AND (platform = 'mobile' OR nonce_hash = $3)
+     RETURNING user_id, platform, code_verifier`,
+    [decoded.jti, flow, nonce ? hashNonce(nonce) : null]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const row = result.rows[0];
+  return { userId: row.user_id, platform: row.platform, codeVerifier: row.code_verifier };
+}
+
+/**
+ * Delete used and expired states (run by the weekly cleanup job)
+ * @returns {Promise<number>} Number of rows deleted
+ */
+async function purgeExpiredOAuthStates() {
+  const result = await pool.query(
+    'DELETE FROM oauth_states WHERE expires_at < CURRENT_TIMESTAMP OR used_at IS NOT NULL'
+  );
+
+  return result.rowCount;
+}
+
+module.exports = {
+  createOAuthState,
+  setOAuthNonceCookie,
+  takeOAuthNonceCookie,
+  consumeOAuthState,
+  purgeExpiredOAuthStates
+};
@@ -0,0 +1,184 @@
+const { pool } = require('../config/database');
+
+/**
+ * SQL listing (user_id, day) pairs for days users were active. A user counts as
+ * active on a day if they had an app session, logged an activity or their streak
+ * was last marked active that day. Platform numbers use UTC days.
+ * @param {string} fromDate - SQL date expression for the first day, e.g. '$1::date'
+ * @param {string} toDate - SQL date expression for the last day (inclusive)
+ * @returns {string}
+ */
+function activeDaysSql(fromDate, toDate) {
+  return `
+    SELECT user_id, session_start::date AS day FROM user_sessions
+    WHERE session_start >= ${fromDate} AND session_start < ${toDate} + 1
+    UNION
+    SELECT user_id, activity_timestamp::date FROM user_activities_log
+    WHERE activity_timestamp >= ${fromDate} AND activity_timestamp < ${toDate} + 1
+    UNION
+    SELECT user_id, last_active_date FROM user_streaks
+    WHERE last_active_date >= ${fromDate} AND last_active_date <= ${toDate}`;
+}
+
+const DEFAULT_RETENTION_DAYS = [1, 7, 30];
+
+const rate = (part, whole) => (whole > 0 ? Math.round((part / whole) * 1000) / 1000 : null);
+
+/**
+ * Daily, weekly and monthly active users for each day in a range. WAU and MAU are
+ * rolling 7- and 30-day windows ending on the day.
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<object[]>} [{ date, dau, wau, mau, stickiness }]
+ */
+async function getActiveUsers(from, to) {
+  const result = await pool.query(
+    `WITH activity AS (${activeDaysSql('($1::date - 29)', '$2::date')}),
+     days AS (SELECT generate_series($1::date, $2::date, INTERVAL '1 day')::date AS day)
+     SELECT to_char(d.day, 'YYYY-MM-DD') AS date,
+            COUNT(DISTINCT a.user_id) FILTER (WHERE a.day = d.day) AS dau,
+            COUNT(DISTINCT a.user_id) FILTER (WHERE a.day > d.day - 7) AS wau,
+            COUNT(DISTINCT a.user_id) AS mau
+     FROM days d
+     LEFT JOIN activity a ON a.day > d.day - 30 AND a.day <= d.day
+     GROUP BY d.day
+     ORDER BY d.day`,
+    [from, to]
+  );
+
+  return result.rows.map(row => {
+    const dau = parseInt(row.dau);
+    const mau = parseInt(row.mau);
+    return {
+      date: row.date,
+      dau,
+      wau: parseInt(row.wau),
+      mau,
+      stickiness: rate(dau, mau)
+    };
+  });
+}
+
+/**
+ * Read ?days=1,7,30 (days after signup to measure retention on)
+ * @param {string} value - Raw query value
+ * @returns {number[]|null} Sorted unique days, or null if invalid
+ */
+function parseRetentionDays(value) {
+  if (value === undefined) {
+    return DEFAULT_RETENTION_DAYS;
+  }
+
+  const days = String(value).split(',').map(day => Number(day.trim()));
+  if (days.length === 0 || days.length > 10 ||
+      days.some(day => !Number.isInteger(day) || day < 1 || day > 365)) {
+    return null;
+  }
+  return [...new Set(days)].sort((a, b) => a - b);
+}
+
+/**
+ * Weekly signup cohorts with N-day retention: the share of a cohort active exactly
+ * N days after signing up. Users whose day N has not finished yet are left out of
+ * that day's rate.
+ * @param {string} from - First signup day (YYYY-MM-DD)
+ * @param {string} to - Last signup day (YYYY-MM-DD)
+ * @param {number[]} days - Days after signup to measure
+ * @returns {Promise<object[]>} [{ cohortWeek, users, retention: { day7: { retained, eligible, rate } } }]
+ */
+async function getRetentionCohorts(from, to, days) {
+  const maxDays = Math.max(...days);
+  const result = await pool.query(
+    `WITH cohort_users AS (
+       SELECT id AS user_id, created_at::date AS signup_day,
+              date_trunc('week', created_at)::date AS cohort_week
+       FROM users
+       WHERE created_at >= $1::date AND created_at < $2::date + 1
+     ),
+     activity AS (
+       SELECT * FROM (${activeDaysSql('$1::date', '($2::date + $4::int)')}) active
+       WHERE user_id IN (SELECT user_id FROM cohort_users)
+     )
+     SELECT to_char(c.cohort_week, 'YYYY-MM-DD') AS cohort_week, n.days,
+            COUNT(*) AS users,
+            COUNT(*) FILTER (WHERE c.signup_day + n.days < (NOW() AT TIME ZONE 'UTC')::date) AS eligible,
+            COUNT(*) FILTER (WHERE c.signup_day + n.days < (NOW() AT TIME ZONE 'UTC')::date AND EXISTS (
+              SELECT 1 FROM activity a WHERE a.user_id = c.user_id AND a.day = c.signup_day + n.days
+            )) AS retained
+     FROM cohort_users c
+     CROSS JOIN unnest($3::int[]) AS n(days)
+     GROUP BY c.cohort_week, n.days
+     ORDER BY c.cohort_week, n.days`,
+    [from, to, days, maxDays]
+  );
+
+  const cohorts = new Map();
+  for (const row of result.rows) {
+    if (!cohorts.has(row.cohort_week)) {
+      cohorts.set(row.cohort_week, {
+        cohortWeek: row.cohort_week,
+        users: parseInt(row.users),
+        retention: {}
+      });
+    }
+    const eligible = parseInt(row.eligible);
+    const retained = parseInt(row.retained);
+    cohorts.get(row.cohort_week).retention[`day${row.days}`] = {
+      retained,
+      eligible,
+      rate: rate(retained, eligible)
+    };
+  }
+
+  return [...cohorts.values()];
+}
+
+/**
+ * Onboarding funnel for users who signed up in a range. Each step only counts users
+ * who also reached the steps before it.
+ * - signed_up
+ * - completed_profile: finished the onboarding questions
+ * - first_prayer: posted a prayer request or prayed a daily prayer
+ * - first_group: created or joined a study group
+ * @param {string} from - First signup day (YYYY-MM-DD)
+ * @param {string} to - Last signup day (YYYY-MM-DD)
+ * @returns {Promise<object[]>} [{ step, users, fromPrevious, fromStart }]
+ */
+async function getOnboardingFunnel(from, to) {
+  const result = await pool.query(
+    `SELECT COUNT(*) AS signed_up,
+            COUNT(*) FILTER (WHERE u.profile_completed) AS completed_profile,
+            COUNT(*) FILTER (WHERE u.profile_completed AND prayed) AS first_prayer,
+            COUNT(*) FILTER (WHERE u.profile_completed AND prayed AND grouped) AS first_group
+     FROM users u
+     CROSS JOIN LATERAL (
+       SELECT EXISTS (SELECT 1 FROM prayer_requests WHERE user_id = u.id)
+           OR EXISTS (SELECT 1 FROM user_prayer_history WHERE user_id = u.id) AS prayed,
+              EXISTS (SELECT 1 FROM study_group_members WHERE user_id = u.id)
+           OR EXISTS (SELECT 1 FROM study_groups WHERE creator_id = u.id) AS grouped
+     ) progress
+     WHERE u.created_at >= $1::date AND u.created_at < $2::date + 1`,
+    [from, to]
+  );
+
+  const counts = result.rows[0];
+  const steps = ['signed_up', 'completed_profile', 'first_prayer', 'first_group'];
+  const start = parseInt(counts.signed_up);
+
+  return steps.map((step, index) => {
+    const users = parseInt(counts[step]);
+    return {
+      step,
+      users,
+      fromPrevious: index === 0 ? null : rate(users, parseInt(counts[steps[index - 1]])),
+      fromStart: rate(users, start)
+    };
+  });
+}
+
+module.exports = {
+  parseRetentionDays,
+  getActiveUsers,
+  getRetentionCohorts,
+  getOnboardingFunnel
+};
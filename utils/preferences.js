@@ -0,0 +1,327 @@
+const { pool } = require('../config/database');
+const { VISIBILITY_LEVELS, DEFAULT_PROFILE_VISIBILITY } = require('./profileVisibility');
+const { DEFAULT_TIMEZONE, isValidTimezone } = require('./timezone');
+
+// Bump when the stored shape changes and add a step to PREFERENCE_MIGRATIONS
+const PREFERENCES_VERSION = 2;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function stringField(column, maxLength = null, check = null) {
+  return {
+    column,
+    default: null,
+    validate(value) {
+      if (typeof value !== 'string') {
+        return 'Must be a string';
+      }
+      if (maxLength && value.length > maxLength) {
+        return `Must be ${maxLength} characters or less`;
+      }
+      return check ? check(value.trim()) : null;
+    },
+    normalize: (value) => (value && value.trim().length > 0 ? value.trim() : null)
+  };
+}
+
+function objectField(column, keys) {
+  return {
+    column,
+    keys,
+    default: Object.fromEntries(Object.entries(keys).map(([key, spec]) => [key, spec.default])),
+    validate(value) {
+      if (!isPlainObject(value)) {
+        return 'Must be an object';
+      }
+      for (const [key, keyValue] of Object.entries(value)) {
+        if (!keys[key]) {
+          return `Unknown setting '${key}'. Valid settings are: ${Object.keys(keys).join(', ')}`;
+        }
+        const keyError = keys[key].validate(keyValue);
+        if (keyError) {
+          return `'${key}' ${keyError}`;
+        }
+      }
+      return null;
+    }
+  };
+}
+
+// IANA timezone name; the user's "today" starts at midnight there
+function timezoneField(column) {
+  return {
+    ...stringField(column, 64, (value) =>
+      isValidTimezone(value) ? null : 'Must be an IANA timezone name, e.g. America/Chicago'
+    ),
+    default: DEFAULT_TIMEZONE,
+    normalize: (value) => value.trim()
+  };
+}
+
+const booleanKey = (defaultValue) => ({
+  default: defaultValue,
+  validate: (value) => (typeof value === 'boolean' ? null : 'must be a boolean value')
+});
+
+const visibilityKey = (defaultValue) => ({
+  default: defaultValue,
+  validate: (value) => (VISIBILITY_LEVELS.includes(value) ? null : `must be one of: ${VISIBILITY_LEVELS.join(', ')}`)
+});
+
+/**
+ * Every user preference: request field name -> users column, validation and default.
+ * Object preferences are stored as JSONB and updated key by key.
+ */
+const PREFERENCE_FIELDS = {
+  denomination: stringField('denomination', 100),
+  bibleVersion: stringField('bible_version', 50),
+  ageGroup: stringField('age_group', 20),
+  referralSource: stringField('referral_source', 100),
+  bibleAnswers: stringField('bible_answers'),
+  bibleSpecific: stringField('bible_specific'),
+  voiceId: stringField('voice_id', 200),
+  voiceName: stringField('voice_name', 100),
+  timezone: timezoneField('timezone'),
+  pushToken: stringField('push_token', 255, (value) =>
+    value.length === 0 || value.startsWith('ExponentPushToken[')
+      ? null
+      : 'Invalid push token format. Must be an Expo push token.'
+  ),
+  notificationSettings: objectField('notification_settings', {
+    pushEnabled: booleanKey(true),
+    journeyReminders: booleanKey(true),
+    prayerUpdates: booleanKey(true),
+    followRequests: booleanKey(true)
+  }),
+  profileVisibility: objectField('profile_visibility', Object.fromEntries(
+    Object.entries(DEFAULT_PROFILE_VISIBILITY).map(([key, level]) => [key, visibilityKey(level)])
+  ))
+};
+
+const PREFERENCE_COLUMNS = Object.values(PREFERENCE_FIELDS).map(field => field.column);
+
+// Keep only known keys with valid values, filling the rest from the defaults
+function normalizeObject(field, stored) {
+  const source = isPlainObject(stored) ? stored : {};
+  return Object.fromEntries(Object.entries(field.keys).map(([key, spec]) => [
+    key,
+    source[key] !== undefined && !spec.validate(source[key]) ? source[key] : spec.default
+  ]));
+}
+
+// Keep only known keys with valid values, without filling in defaults
+function cleanObject(field, stored) {
+  const source = isPlainObject(stored) ? stored : {};
+  return Object.fromEntries(Object.entries(source).filter(([key, value]) =>
+    field.keys[key] && !field.keys[key].validate(value)
+  ));
+}
+
+/**
+ * Upgrades from each stored version to the next. Each step receives and returns
+ * preferences in request-field form.
+ */
+const PREFERENCE_MIGRATIONS = {
+  // v1: notification_settings was free-form JSON written by older app builds, which
+  // sometimes sent booleans as strings ("true"/"false")
+  1: (preferences) => {
+    const settings = isPlainObject(preferences.notificationSettings) ? preferences.notificationSettings : {};
+    return {
+      ...preferences,
+      notificationSettings: Object.fromEntries(Object.entries(settings).map(([key, value]) => [
+        key,
+        value === 'true' ? true : value === 'false' ? false : value
+      ]))
+    };
+  }
+};
+
+// Run the upgrade steps from the row's version, leaving out unknown or invalid keys
+// but not filling in defaults: this is what gets written back to the row
+function upgradeStoredPreferences(row) {
+  let preferences = Object.fromEntries(
+    Object.entries(PREFERENCE_FIELDS).map(([name, field]) => [name, row[field.column]])
+  );
+
+  for (let version = row.preferences_version || 1; version < PREFERENCES_VERSION; version++) {
+    preferences = PREFERENCE_MIGRATIONS[version](preferences);
+  }
+
+  for (const [name, field] of Object.entries(PREFERENCE_FIELDS)) {
+    if (field.keys && preferences[name] !== null && preferences[name] !== undefined) {
+      preferences[name] = cleanObject(field, preferences[name]);
+    }
+  }
+
+  return preferences;
+}
+
+// Fill in defaults for everything the user has not set
+function withDefaults(stored) {
+  return Object.fromEntries(Object.entries(PREFERENCE_FIELDS).map(([name, field]) => [
+    name,
+    field.keys ? normalizeObject(field, stored[name]) : (stored[name] ?? field.default)
+  ]));
+}
+
+// Fields whose stored value the upgrade changed (none if the row is already current)
+function upgradedFields(row, stored) {
+  if ((row.preferences_version || 1) >= PREFERENCES_VERSION) {
+    return [];
+  }
+  return Object.keys(PREFERENCE_FIELDS).filter(name =>
+    JSON.stringify(stored[name] ?? null) !== JSON.stringify(row[PREFERENCE_FIELDS[name].column] ?? null)
+  );
+}
+
+/**
+ * Turn a users row into current-version preferences
+ * @param {object} row - users row with the preference columns and preferences_version
+ * @returns {object} Preferences with every field present
+ */
+function migratePreferences(row) {
+  return withDefaults(upgradeStoredPreferences(row));
+}
+
+/**
+ * Validate a partial preferences update
+ * @param {object} patch - Request body
+ * @param {object} options - { ignoreUnknown } skips fields that are not preferences
+ * @returns {object|null} Errors keyed by field, or null if valid
+ */
+function validatePreferences(patch, { ignoreUnknown = false } = {}) {
+  if (!isPlainObject(patch)) {
+    return { _: 'Preferences must be an object' };
+  }
+
+  const errors = {};
+  for (const [name, value] of Object.entries(patch)) {
+    const field = PREFERENCE_FIELDS[name];
+    if (!field) {
+      if (!ignoreUnknown) {
+        errors[name] = 'Unknown preference';
+      }
+    } else if (value !== null && value !== undefined) {
+      const error = field.validate(value);
+      if (error) {
+        errors[name] = error;
+      }
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+}
+
+async function loadPreferencesRow(userId, db) {
+  const result = await db.query(
+    `SELECT ${PREFERENCE_COLUMNS.join(', ')}, preferences_version FROM users WHERE id = $1`,
+    [userId]
+  );
+  return result.rows[0] || null;
+}
+
+/**
+ * A user's preferences, upgrading the stored shape if it is from an older version
+ * @param {number} userId - User
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ * @returns {Promise<object|null>} { version, preferences } or null if the user does not exist
+ */
+async function getPreferences(userId, db = pool) {
+  const row = await loadPreferencesRow(userId, db);
+
+  if (!row) {
+    return null;
+  }
+
+  const stored = upgradeStoredPreferences(row);
+
+  // Written back so later readers (and SQL that reads the columns directly) see the new
+  // shape. Only columns the upgrade changed are written, so concurrent edits are kept,
+  // and defaults are not stored, so later changes to them still reach this user.
+  if ((row.preferences_version || 1) < PREFERENCES_VERSION) {
+    await savePreferences(userId, stored, upgradedFields(row, stored), db, false);
+  }
+
+  return { version: PREFERENCES_VERSION, preferences: withDefaults(stored) };
+}
+
+// Write the named fields and stamp the row with the current version
+async function savePreferences(userId, preferences, names, db, touch = true) {
+  const assignments = names.map((name, index) => `${PREFERENCE_FIELDS[name].column} = $${index + 1}`);
+  const values = names.map(name => {
+    const value = preferences[name];
+    return PREFERENCE_FIELDS[name].keys ? JSON.stringify(value) : value;
+  });
+
+  assignments.push(`preferences_version = ${PREFERENCES_VERSION}`);
+  if (touch) {
+    assignments.push('updated_at = CURRENT_TIMESTAMP');
+  }
+
+  await db.query(
+    `UPDATE users SET ${assignments.join(', ')} WHERE id = $${names.length + 1}`,
+    [...values, userId]
+  );
+}
+
+/**
+ * Apply a partial update. Fields left out keep their value, null resets a field to
+ * its default, and object fields are merged key by key. Object fields store only the
+ * keys the user has set; the rest keep following the defaults.
+ * @param {number} userId - User
+ * @param {object} patch - Already validated with validatePreferences
+ * @returns {Promise<object|null>} { version, preferences } or null if the user does not exist
+ */
+async function updatePreferences(userId, patch) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT id FROM users WHERE id = $1 FOR UPDATE', [userId]);
+
+    const row = await loadPreferencesRow(userId, client);
+    if (!row) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const stored = upgradeStoredPreferences(row);
+    const changed = upgradedFields(row, stored);
+
+    for (const [name, value] of Object.entries(patch)) {
+      const field = PREFERENCE_FIELDS[name];
+      if (!field || value === undefined) {
+        continue;
+      }
+      if (!changed.includes(name)) {
+        changed.push(name);
+      }
+      if (value === null) {
+        stored[name] = field.keys ? {} : field.default;
+      } else if (field.keys) {
+        stored[name] = { ...stored[name], ...value };
+      } else {
+        stored[name] = field.normalize(value);
+      }
+    }
+
+    await savePreferences(userId, stored, changed, client);
+    await client.query('COMMIT');
+
+    return { version: PREFERENCES_VERSION, preferences: withDefaults(stored) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  PREFERENCES_VERSION,
+  PREFERENCE_FIELDS,
+  migratePreferences,
+  validatePreferences,
+  getPreferences,
+  updatePreferences
+};
@@ -0,0 +1,160 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { pool } = require('../config/database');
+const { getMediaStorage } = require('./mediaStorage');
+
+const MAX_UPLOAD_BYTES = (parseFloat(process.env.MEDIA_MAX_UPLOAD_MB) || 5) * 1024 * 1024;
+
+// Square variants generated for every upload; custom_picture points at the medium one
+const PICTURE_SIZES = {
+  small: 64,
+  medium: 256,
+  large: 512
+};
+
+// Magic numbers of the formats we accept; the client's declared type is never trusted
+const IMAGE_SIGNATURES = [
+  { type: 'image/jpeg', matches: (buf) => buf[0] === 0xff && buf[1] === 0xd8 && buf[2] === 0xff },
+  { type: 'image/png', matches: (buf) => buf.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])) },
+  { type: 'image/gif', matches: (buf) => buf.subarray(0, 4).toString('ascii') === 'GIF8' },
+  { type: 'image/webp', matches: (buf) => buf.subarray(0, 4).toString('ascii') === 'RIFF' && buf.subarray(8, 12).toString('ascii') === 'WEBP' }
+];
+
+/**
+ * Detect an image type from its first bytes
+ * @param {Buffer} buffer - File contents
+ * @returns {string|null} MIME type, or null if not a supported image
+ */
+function sniffImageType(buffer) {
+  if (!buffer || buffer.length < 12) {
+    return null;
+  }
+  const signature = IMAGE_SIGNATURES.find(candidate => candidate.matches(buffer));
+  return signature ? signature.type : null;
+}
+
+/**
+ * Decode a data:image/...;base64 URL
+ * @param {string} dataUrl - Data URL sent by the app
+ * @returns {Buffer|null} Decoded bytes, or null if it is not a base64 data URL
+ */
+function decodeDataUrl(dataUrl) {
+  const match = /^data:[^;,]*;base64,(.*)$/s.exec(dataUrl || '');
+  return match ? Buffer.from(match[1], 'base64') : null;
+}
+
+/**
+ * Public URLs of every variant of a stored picture
+ * @param {string} key - Storage key prefix (users.custom_picture_key)
+ * @returns {object|null} { small, medium, large }
+ */
+function getProfilePictureUrls(key) {
+  if (!key) {
+    return null;
+  }
+  const storage = getMediaStorage();
+  return Object.fromEntries(
+    Object.keys(PICTURE_SIZES).map(size => [size, storage.getPublicUrl(`${key}/${size}.webp`)])
+  );
+}
+
+/**
+ * Validate, resize and store an uploaded profile picture
+ * @param {number} userId - Owner
+ * @param {Buffer} buffer - Uploaded image bytes
+ * @returns {Promise<object>} { success: true, key, urls } or { success: false, error }
+ */
+async function storeProfilePicture(userId, buffer) {
+  if (!buffer || buffer.length === 0) {
+    return { success: false, error: 'Picture must be a base64 encoded image' };
+  }
+
+  if (buffer.length > MAX_UPLOAD_BYTES) {
+    return {
+      success: false,
+      error: `Image size must be less than ${Math.round(MAX_UPLOAD_BYTES / (1024 * 1024))}MB`
+    };
+  }
+
+  const contentType = sniffImageType(buffer);
+  if (!contentType) {
+    return { success: false, error: 'Unsupported image type. Use JPEG, PNG, GIF or WebP.' };
+  }
+
+  const key = `profile-pictures/${userId}/${crypto.randomUUID()}`;
+  const storage = getMediaStorage();
+
+  let variants;
+  try {
+    variants = await Promise.all(Object.entries(PICTURE_SIZES).map(async ([size, pixels]) => ({
+      size,
+      // rotate() applies the EXIF orientation; re-encoding also strips metadata such as GPS
+      body: await sharp(buffer).rotate().resize(pixels, pixels, { fit: 'cover' }).webp({ quality: 85 }).toBuffer()
+    })));
+  } catch (error) {
+    return { success: false, error: 'The image could not be read' };
+  }
+
+  for (const variant of variants) {
+    await storage.putObject(`${key}/${variant.size}.webp`, variant.body, 'image/webp');
+  }
+
+  return { success: true, key, contentType, urls: getProfilePictureUrls(key) };
+}
+
+/**
+ * Remove every variant of a stored picture. Failures are logged, not thrown,
+ * so a storage hiccup never blocks the profile update that replaced it.
+ * @param {string} key - Storage key prefix (users.custom_picture_key)
+ */
+async function deleteProfilePicture(key) {
+  if (!key) {
+    return;
+  }
+  const storage = getMediaStorage();
+  await Promise.all(Object.keys(PICTURE_SIZES).map(size =>
+    storage.deleteObject(`${key}/${size}.webp`).catch(error => {
+      console.warn('⚠️ Could not delete stored picture:', { key, size, error: error.message });
+    })
+  ));
+}
+
+/**
+ * Point a user's custom picture at a new value and clean up the objects it replaced
+ * @param {number} userId - User to update
+ * @param {string|null} picture - Picture URL, or null to fall back to the Google picture
+ * @param {string|null} key - Storage key prefix when the picture lives in media storage
+ * @returns {Promise<object|null>} Updated user columns, or null if the user does not exist
+ */
+async function setCustomPicture(userId, picture, key = null) {
+  const result = await pool.query(
+    `UPDATE users u
+     SET custom_picture = $2, custom_picture_key = $3, updated_at = CURRENT_TIMESTAMP
+     FROM (SELECT id, custom_picture_key FROM users WHERE id = $1 FOR UPDATE) previous
+     WHERE u.id = previous.id
+     RETURNING u.id, u.email, u.name, u.custom_picture, u.custom_picture_key, u.google_picture, u.picture,
+               previous.custom_picture_key AS previous_key`,
+    [userId, picture, key]
+  );
+
+  if (result.rows.length === 0) {
+    return null;
+  }
+
+  const { previous_key: previousKey, ...user } = result.rows[0];
+  if (previousKey && previousKey !== key) {
+    await deleteProfilePicture(previousKey);
+  }
+  return user;
+}
+
+module.exports = {
+  MAX_UPLOAD_BYTES,
+  PICTURE_SIZES,
+  sniffImageType,
+  decodeDataUrl,
+  getProfilePictureUrls,
+  storeProfilePicture,
+  deleteProfilePicture,
+  setCustomPicture
+};
@@ -0,0 +1,113 @@
+const { pool } = require('../config/database');
+const { getProfilePictureUrls } = require('./profilePictures');
+const { isBlockedBetween } = require('./userBlocks');
+
+const VISIBILITY_LEVELS = ['public', 'group_members', 'private'];
+
+// Used for any field the user has not set; personal details start out limited to fellow group members
+const DEFAULT_PROFILE_VISIBILITY = {
+  name: 'public',
+  picture: 'public',
+  denomination: 'group_members',
+  streak: 'group_members',
+  groups: 'group_members'
+};
+
+const PROFILE_FIELDS = Object.keys(DEFAULT_PROFILE_VISIBILITY);
+
+/**
+ * Stored settings filled in with the defaults
+ * @param {object|null} stored - users.profile_visibility
+ * @returns {object} Visibility level for every profile field
+ */
+function resolveProfileVisibility(stored) {
+  return { ...DEFAULT_PROFILE_VISIBILITY, ...(stored || {}) };
+}
+
+/**
+ * Build the profile another member sees, leaving out fields they are not allowed to view
+ * @param {number} viewerId - Signed-in user asking
+ * @param {number} userId - Profile owner
+ * @returns {Promise<object|null>} Profile, or null if the user does not exist, is deleted or is blocked
+ */
+async function getPublicProfile(viewerId, userId) {
+  const result = await pool.query(
+    `SELECT id, name, custom_picture, custom_picture_key, google_picture, picture,
+            denomination, profile_visibility
+     FROM users
+     WHERE id = $1 AND deleted_at IS NULL`,
+    [userId]
+  );
+
+  // Blocked users look like they do not exist to each other
+  if (result.rows.length === 0 || await isBlockedBetween(viewerId, userId)) {
+    return null;
+  }
+
+  const user = result.rows[0];
+  const visibility = resolveProfileVisibility(user.profile_visibility);
+  const isSelf = viewerId === user.id;
+
+  // Active groups both people belong to; also decides what group_members fields show
+  const commonGroups = await pool.query(
+    `SELECT sg.id, sg.title
+     FROM study_groups sg
+     INNER JOIN study_group_members viewer ON viewer.group_id = sg.id
+       AND viewer.user_id = $1 AND viewer.is_active = true
+     INNER JOIN study_group_members member ON member.group_id = sg.id
+       AND member.user_id = $2 AND member.is_active = true
+     WHERE sg.is_active = true
+     ORDER BY sg.title`,
+    [viewerId, user.id]
+  );
+  const sharesGroup = commonGroups.rows.length > 0;
+
+  const canView = (field) => {
+    const level = visibility[field];
+    return isSelf || level === 'public' || (level === 'group_members' && sharesGroup);
+  };
+
+  const profile = { id: user.id };
+
+  if (canView('name')) {
+    profile.name = user.name;
+  }
+
+  if (canView('picture')) {
+    profile.picture = user.custom_picture || user.google_picture || user.picture;
+    profile.pictures = getProfilePictureUrls(user.custom_picture_key);
+  }
+
+  if (canView('denomination')) {
+    profile.denomination = user.denomination;
+  }
+
+  if (canView('streak')) {
+    const streak = await pool.query(
+      'SELECT current_streak, longest_streak FROM user_streaks WHERE user_id = $1',
+      [user.id]
+    );
+    profile.streak = {
+      currentStreak: streak.rows[0]?.current_streak || 0,
+      longestStreak: streak.rows[0]?.longest_streak || 0
+    };
+  }
+
+  if (canView('groups')) {
+    profile.groupsInCommon = commonGroups.rows;
+  }
+
+  if (isSelf) {
+    profile.visibility = visibility;
+  }
+
+  return profile;
+}
+
+module.exports = {
+  VISIBILITY_LEVELS,
+  DEFAULT_PROFILE_VISIBILITY,
+  PROFILE_FIELDS,
+  resolveProfileVisibility,
+  getPublicProfile
+};
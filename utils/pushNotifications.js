@@ -119,6 +119,30 @@ async function sendJourneyReminderNotification(pushToken, nextDay) {
   return await sendPushNotification(pushToken, notification);
 }
 
+/**
+ * Send a notification about a new follow request
+ * @param {string} pushToken - Recipient's push token
+ * @param {object} details - Notification details
+ * @param {string} details.followerName - Name of the person asking to follow
+ * @param {number} details.followerId - ID of the person asking to follow
+ */
+async function sendFollowRequestNotification(pushToken, details) {
+  const { followerName, followerId } = details;
+
+  const notification = {
+    title: '👋 New follow request',
+    body: `${followerName || 'Someone'} wants to follow you`,
+    data: {
+      type: 'follow_request',
+      followerId
+    },
+    badge: 1,
+    sound: 'default'
+  };
+
+  return await sendPushNotification(pushToken, notification);
+}
+
 /**
  * Send a custom push notification
  * @param {string} pushToken - User's push token
@@ -145,6 +169,7 @@ module.exports = {
   sendPushNotification,
   sendPrayerResponseNotification,
   sendJourneyReminderNotification,
+  sendFollowRequestNotification,
   sendCustomNotification
 };
 
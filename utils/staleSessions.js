@@ -0,0 +1,92 @@
+const { pool } = require('../config/database');
+const { MAX_SESSION_SECONDS, refreshAverageSessionDuration } = require('./usageSync');
+
+// Open sessions with no heartbeat for this long are closed by the job
+const SESSION_IDLE_MINUTES = parseInt(process.env.USAGE_SESSION_IDLE_MINUTES) || 30;
+
+/**
+ * Moment before which an open session counts as abandoned
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Date}
+ */
+function getIdleCutoff(now = new Date()) {
+  return new Date(now.getTime() - SESSION_IDLE_MINUTES * 60 * 1000);
+}
+
+/**
+ * Close a user's abandoned sessions and recompute their average session duration.
+ * A session is taken to have ended at its last heartbeat (or its start, if it never
+ * sent one). Clearing rolled_up_at puts the new durations into the usage rollups.
+ * @param {number} userId - User
+ * @param {Date} cutoff - Sessions idle since before this are closed
+ * @returns {Promise<number>} Sessions closed
+ */
+async function closeUserStaleSessions(userId, cutoff) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // session_end IS NULL is checked again under the row lock, so a session the
+    // app ends at the same time keeps the duration the app sent
+    const closed = await client.query(
+      `UPDATE user_sessions
+       SET session_end = COALESCE(last_heartbeat_at, session_start),
+           duration_seconds = LEAST(
+             GREATEST(EXTRACT(EPOCH FROM (COALESCE(last_heartbeat_at, session_start) - session_start)), 0)::int,
+             $3
+           ),
+           closed_reason = 'timeout',
+           rolled_up_at = NULL
+       WHERE user_id = $1 AND session_end IS NULL
+       AND COALESCE(last_heartbeat_at, session_start) < $2
+       RETURNING id`,
+      [userId, cutoff, MAX_SESSION_SECONDS]
+    );
+
+    if (closed.rows.length > 0) {
+      await refreshAverageSessionDuration(client, userId);
+    }
+
+    await client.query('COMMIT');
+    return closed.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Close sessions that have had no heartbeat for USAGE_SESSION_IDLE_MINUTES (run by
+ * the stale session job)
+ * @param {number} limit - Most users handled in one call
+ * @returns {Promise<object>} { users, sessions }
+ */
+async function closeStaleSessions(limit = 500) {
+  const cutoff = getIdleCutoff();
+  const stale = await pool.query(
+    `SELECT DISTINCT user_id FROM user_sessions
+     WHERE session_end IS NULL AND COALESCE(last_heartbeat_at, session_start) < $1
+     LIMIT $2`,
+    [cutoff, limit]
+  );
+
+  let sessions = 0;
+  for (const { user_id: userId } of stale.rows) {
+    try {
+      sessions += await closeUserStaleSessions(userId, cutoff);
+    } catch (error) {
+      console.error('⚠️ Failed to close stale sessions for user:', userId, error.message);
+    }
+  }
+
+  return { users: stale.rows.length, sessions };
+}
+
+module.exports = {
+  SESSION_IDLE_MINUTES,
+  getIdleCutoff,
+  closeStaleSessions
+};
@@ -0,0 +1,84 @@
+const { pool } = require('../config/database');
+
+/**
+ * Hand a group to another member. The new owner becomes the group admin and the
+ * previous owner stays on as a regular member. The Google Calendar event belongs
+ * to the previous owner's calendar, so it is detached (meet_id cleared) while the
+ * Meet link itself keeps working for members.
+ * @param {number} groupId - Group to transfer
+ * @param {number} fromUserId - Current owner
+ * @param {number} toUserId - New owner (must be an active member)
+ * @param {string} reason - 'manual' or 'account_deletion'
+ * @param {object} db - pg transaction client (callers wrap this in a transaction)
+ */
+async function transferGroupOwnership(groupId, fromUserId, toUserId, reason, db) {
+  await db.query(
+    'UPDATE study_groups SET creator_id = $1, meet_id = NULL, updated_at = NOW() WHERE id = $2',
+    [toUserId, groupId]
+  );
+
+  await db.query(
+    `UPDATE study_group_members
+     SET role = CASE WHEN user_id = $2 THEN 'admin' ELSE 'member' END
+     WHERE group_id = $1 AND user_id IN ($2, $3)`,
+    [groupId, toUserId, fromUserId]
+  );
+
+  await db.query(
+    `INSERT INTO study_group_ownership_transfers (group_id, from_user_id, to_user_id, reason)
+     VALUES ($1, $2, $3, $4)`,
+    [groupId, fromUserId, toUserId, reason]
+  );
+}
+
+/**
+ * Pick who takes over a group: other admins first, then the longest-standing member
+ * @param {number} groupId - Group being handed over
+ * @param {number} ownerId - Current owner, never chosen
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ * @returns {Promise<number|null>} User id, or null if nobody else is in the group
+ */
+async function findSuccessor(groupId, ownerId, db = pool) {
+  const result = await db.query(
+    `SELECT sgm.user_id
+     FROM study_group_members sgm
+     INNER JOIN users u ON sgm.user_id = u.id
+     WHERE sgm.group_id = $1 AND sgm.user_id != $2 AND sgm.is_active = true AND u.deleted_at IS NULL
+     ORDER BY (sgm.role = 'admin') DESC, sgm.joined_at ASC
+     LIMIT 1`,
+    [groupId, ownerId]
+  );
+
+  return result.rows.length > 0 ? result.rows[0].user_id : null;
+}
+
+/**
+ * Hand every active group a user owns to a successor (used when the account is deleted).
+ * Groups nobody else belongs to are left as they are and go away with the account.
+ * @param {number} userId - Owner whose account is being deleted
+ * @param {object} db - pg transaction client
+ * @returns {Promise<{transferred: number, orphaned: number}>}
+ */
+async function transferOwnedGroups(userId, db) {
+  const groups = await db.query(
+    'SELECT id FROM study_groups WHERE creator_id = $1 AND is_active = true FOR UPDATE',
+    [userId]
+  );
+
+  let transferred = 0;
+  for (const group of groups.rows) {
+    const successorId = await findSuccessor(group.id, userId, db);
+    if (successorId) {
+      await transferGroupOwnership(group.id, userId, successorId, 'account_deletion', db);
+      transferred++;
+    }
+  }
+
+  return { transferred, orphaned: groups.rows.length - transferred };
+}
+
+module.exports = {
+  transferGroupOwnership,
+  findSuccessor,
+  transferOwnedGroups
+};
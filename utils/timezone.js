@@ -0,0 +1,225 @@
+const { pool } = require('../config/database');
+
+// Users who never reported a timezone roll over at midnight UTC, as before
+const DEFAULT_TIMEZONE = 'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+// Intl formatters are slow to build, so keep one per timezone
+function getFormatter(timezone) {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit'
+    }));
+  }
+  return formatters.get(timezone);
+}
+
+function getLocalParts(timezone, date) {
+  const parts = {};
+  for (const { type, value } of getFormatter(timezone).formatToParts(date)) {
+    parts[type] = value;
+  }
+  return parts;
+}
+
+/**
+ * Whether a string is an IANA timezone name this server knows, e.g. 'America/Chicago'
+ * @param {string} timezone - Timezone name
+ * @returns {boolean}
+ */
+function isValidTimezone(timezone) {
+  if (typeof timezone !== 'string' || timezone.length === 0 || timezone.length > 64) {
+    return false;
+  }
+
+  try {
+    getFormatter(timezone);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Offset from UTC in a timezone at a given moment (changes across DST)
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} date - Moment to check (defaults to now)
+ * @returns {number} Minutes ahead of UTC, e.g. 330 for Asia/Kolkata
+ */
+function getTimezoneOffset(timezone, date = new Date()) {
+  const parts = getLocalParts(timezone, date);
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return Math.round((localAsUtc - Math.floor(date.getTime() / 1000) * 1000) / 60000);
+}
+
+/**
+ * The calendar date in a timezone
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} date - Moment to convert (defaults to now)
+ * @returns {string} YYYY-MM-DD
+ */
+function getLocalDate(timezone, date = new Date()) {
+  const parts = getLocalParts(timezone, date);
+  return `${parts.year}-${parts.month}-${parts.day}`;
+}
+
+/**
+ * The hour of the day in a timezone
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} date - Moment to convert (defaults to now)
+ * @returns {number} 0-23
+ */
+function getLocalHour(timezone, date = new Date()) {
+  return Number(getLocalParts(timezone, date).hour);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} dateString - YYYY-MM-DD
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} YYYY-MM-DD
+ */
+function addDays(dateString, days) {
+  return new Date(Date.parse(dateString) + days * DAY_MS).toISOString().split('T')[0];
+}
+
+/**
+ * Whole days from one date to another
+ * @param {string} from - YYYY-MM-DD
+ * @param {string} to - YYYY-MM-DD
+ * @returns {number}
+ */
+function daysBetween(from, to) {
+  return Math.round((Date.parse(to) - Date.parse(from)) / DAY_MS);
+}
+
+/**
+ * A DATE column value as YYYY-MM-DD. node-postgres returns DATE columns as Date
+ * objects at server-local midnight, so the local parts are the stored date.
+ * @param {Date|string|null} value - DATE column value
+ * @returns {string|null}
+ */
+function toDateString(value) {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return value.split('T')[0];
+  }
+  const month = String(value.getMonth() + 1).padStart(2, '0');
+  const day = String(value.getDate()).padStart(2, '0');
+  return `${value.getFullYear()}-${month}-${day}`;
+}
+
+// The UTC moment a local date starts. Midnight is looked up with the offset in
+// force around it, so days that are 23 or 25 hours long across DST come out right.
+function getLocalMidnight(timezone, dateString) {
+  const midnightAsUtc = Date.parse(dateString);
+  let start = midnightAsUtc - getTimezoneOffset(timezone, new Date(midnightAsUtc)) * 60000;
+  const correctedOffset = getTimezoneOffset(timezone, new Date(start));
+  start = midnightAsUtc - correctedOffset * 60000;
+  return new Date(start);
+}
+
+/**
+ * Start and end of a local date
+ * @param {string} timezone - IANA timezone name
+ * @param {string} dateString - YYYY-MM-DD
+ * @returns {object} { date: YYYY-MM-DD, start: Date, end: Date } with end exclusive
+ */
+function getDateBounds(timezone, dateString) {
+  return {
+    date: dateString,
+    start: getLocalMidnight(timezone, dateString),
+    end: getLocalMidnight(timezone, addDays(dateString, 1))
+  };
+}
+
+/**
+ * Start and end of the local day containing a moment
+ * @param {string} timezone - IANA timezone name
+ * @param {Date} date - Moment inside the day (defaults to now)
+ * @returns {object} { date: YYYY-MM-DD, start: Date, end: Date } with end exclusive
+ */
+function getLocalDayBounds(timezone, date = new Date()) {
+  return getDateBounds(timezone, getLocalDate(timezone, date));
+}
+
+/**
+ * A user's timezone
+ * @param {number} userId - User
+ * @returns {Promise<string>} IANA timezone name (DEFAULT_TIMEZONE if unknown)
+ */
+async function getUserTimezone(userId) {
+  const result = await pool.query('SELECT timezone FROM users WHERE id = $1', [userId]);
+  const timezone = result.rows[0]?.timezone;
+  return isValidTimezone(timezone) ? timezone : DEFAULT_TIMEZONE;
+}
+
+/**
+ * Store the timezone a device reported, if it is valid and has changed
+ * @param {number} userId - User
+ * @param {string} timezone - IANA timezone name reported by the app
+ * @returns {Promise<boolean>} True if the stored timezone changed
+ */
+async function updateUserTimezone(userId, timezone) {
+  if (!isValidTimezone(timezone)) {
+    return false;
+  }
+
+  const result = await pool.query(
+    'UPDATE users SET timezone = $1 WHERE id = $2 AND timezone IS DISTINCT FROM $1',
+    [timezone, userId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Timezones in use grouped by their current UTC offset. Every timezone in a bucket
+ * is on the same local date right now, so daily jobs can handle a bucket at once.
+ * @param {string[]} timezones - IANA timezone names
+ * @param {Date} date - Moment to bucket for (defaults to now)
+ * @returns {object[]} [{ offset, timezones, today }] sorted by offset
+ */
+function bucketTimezonesByOffset(timezones, date = new Date()) {
+  const buckets = new Map();
+
+  for (const timezone of timezones) {
+    if (!isValidTimezone(timezone)) {
+      continue;
+    }
+    const offset = getTimezoneOffset(timezone, date);
+    if (!buckets.has(offset)) {
+      buckets.set(offset, { offset, timezones: [], today: getLocalDate(timezone, date) });
+    }
+    buckets.get(offset).timezones.push(timezone);
+  }
+
+  return [...buckets.values()].sort((a, b) => a.offset - b.offset);
+}
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  isValidTimezone,
+  getTimezoneOffset,
+  getLocalDate,
+  getLocalHour,
+  addDays,
+  daysBetween,
+  toDateString,
+  getDateBounds,
+  getLocalDayBounds,
+  getUserTimezone,
+  updateUserTimezone,
+  bucketTimezonesByOffset
+};
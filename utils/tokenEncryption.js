@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+
+// Encrypted values look like enc1.<keyId>.<wrappedDataKey>.<iv>.<tag>.<ciphertext> (base64url parts)
+const FORMAT_PREFIX = 'enc1';
+const ALGORITHM = 'aes-256-gcm';
+
+let keyring = null;
+
+/**
+ * Load key-encryption keys from the environment.
+ * GOOGLE_TOKEN_ENCRYPTION_KEYS is a comma-separated list of keyId:base64Key (32-byte keys),
+ * GOOGLE_TOKEN_ENCRYPTION_KEY_ID picks the key used for new values. Old keys stay in the
+ * list until run-google-token-encryption-migration.js has re-encrypted every row.
+ * @returns {{activeKeyId: string, keys: Map<string, Buffer>}}
+ */
+function getKeyring() {
+  if (keyring) {
+    return keyring;
+  }
+
+  const keys = new Map();
+  (process.env.GOOGLE_TOKEN_ENCRYPTION_KEYS || '')
+    .split(',')
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const [keyId, encodedKey] = entry.split(':');
+      const key = Buffer.from(encodedKey || '', 'base64');
+      if (!keyId || key.length !== 32) {
+        throw new Error(`Invalid GOOGLE_TOKEN_ENCRYPTION_KEYS entry for key "${keyId}": expected keyId:<32-byte base64 key>`);
+      }
+      keys.set(keyId, key);
+    });
+
+  const activeKeyId = process.env.GOOGLE_TOKEN_ENCRYPTION_KEY_ID || [...keys.keys()].pop();
+
+  if (!activeKeyId || !keys.has(activeKeyId)) {
+    throw new Error('Google token encryption is not configured: set GOOGLE_TOKEN_ENCRYPTION_KEYS and GOOGLE_TOKEN_ENCRYPTION_KEY_ID');
+  }
+
+  keyring = { activeKeyId, keys };
+  return keyring;
+}
+
+// AES-256-GCM returning [iv, tag, ciphertext]
+function seal(key, plaintext) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext];
+}
+
+function open(key, iv, tag, ciphertext) {
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+/**
+ * Whether a stored value is already in the encrypted format
+ * @param {string} value - Column value
+ * @returns {boolean}
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${FORMAT_PREFIX}.`);
+}
+
+/**
+ * Encrypt a token for storage. Each value gets its own random data key, which is
+ * itself encrypted with the active key-encryption key (envelope encryption).
+ * @param {string|null} plaintext - Token to encrypt
+ * @returns {string|null} Encrypted value, or null when there is no token
+ */
+function encryptToken(plaintext) {
+  if (plaintext === null || plaintext === undefined) {
+    return null;
+  }
+
+  const { activeKeyId, keys } = getKeyring();
+  const dataKey = crypto.randomBytes(32);
+
+  const wrappedKey = Buffer.concat(seal(keys.get(activeKeyId), dataKey));
+  const [iv, tag, ciphertext] = seal(dataKey, Buffer.from(String(plaintext), 'utf8'));
+
+  return [FORMAT_PREFIX, activeKeyId, wrappedKey, iv, tag, ciphertext]
+    .map(part => (Buffer.isBuffer(part) ? part.toString('base64url') : part))
+    .join('.');
+}
+
+/**
+ * Decrypt a stored token. Plain text values written before encryption was enabled
+ * are returned unchanged so they keep working until the migration re-encrypts them.
+ * @param {string|null} value - Column value
+ * @returns {string|null} Plain token
+ */
+function decryptToken(value) {
+  if (!isEncrypted(value)) {
+    return value || null;
+  }
+
+  const [, keyId, wrappedKey, iv, tag, ciphertext] = value.split('.');
+  const { keys } = getKeyring();
+  const key = keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Google token encryption key "${keyId}" is not configured`);
+  }
+
+  const wrapped = Buffer.from(wrappedKey, 'base64url');
+  const dataKey = open(key, wrapped.subarray(0, 12), wrapped.subarray(12, 28), wrapped.subarray(28));
+
+  return open(
+    dataKey,
+    Buffer.from(iv, 'base64url'),
+    Buffer.from(tag, 'base64url'),
+    Buffer.from(ciphertext, 'base64url')
+  ).toString('utf8');
+}
+
+/**
+ * Whether a stored value is plain text or encrypted with a key other than the active one
+ * @param {string|null} value - Column value
+ * @returns {boolean}
+ */
+function needsReencryption(value) {
+  if (!value) {
+    return false;
+  }
+  return !isEncrypted(value) || value.split('.')[1] !== getKeyring().activeKeyId;
+}
+
+module.exports = {
+  isEncrypted,
+  encryptToken,
+  decryptToken,
+  needsReencryption
+};
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const { authenticator } = require('otplib');
+const QRCode = require('qrcode');
+const { pool } = require('../config/database');
+const { hashToken } = require('./authTokens');
+
+const TOTP_ISSUER = process.env.TOTP_ISSUER || 'Faithful Companion';
+const TOTP_STEP_SECONDS = 30;
+const MFA_CHALLENGE_EXPIRES_IN = '5m';
+const MFA_CHALLENGE_AUDIENCE = 'mfa-challenge';
+const RECOVERY_CODE_COUNT = 10;
+
+// Accept the previous and next 30-second step to tolerate phone clock drift
+authenticator.options = { window: 1 };
+
+/**
+ * Create a new TOTP secret for enrollment
+ * @param {object} user - User row (needs email)
+ * @returns {Promise<object>} { secret, otpauthUrl, qrCode } where qrCode is a PNG data URL
+ */
+async function generateTotpSetup(user) {
+  const secret = authenticator.generateSecret();
+  const otpauthUrl = authenticator.keyuri(user.email, TOTP_ISSUER, secret);
+  const qrCode = await QRCode.toDataURL(otpauthUrl);
+
+  return { secret, otpauthUrl, qrCode };
+}
+
+/**
+ * Check a 6-digit code against a secret
+ * @param {string} secret - Base32 TOTP secret
+ * @param {string} code - Code entered by the user
+ * @returns {number|null} Time step the code belongs to, or null if it does not match
+ */
+function matchTotpStep(secret, code) {
+  const normalized = String(code || '').replace(/\s/g, '');
+
+  if (!secret || !/^\d{6}$/.test(normalized)) {
+    return null;
+  }
+
+  const delta = authenticator.checkDelta(normalized, secret);
+  if (delta === null) {
+    return null;
+  }
+
+  return Math.floor(Date.now() / 1000 / TOTP_STEP_SECONDS) + delta;
+}
+
+/**
+ * Verify a code for a user's active secret, rejecting codes that were already used
+ * @param {object} user - User row (needs id and totp_secret)
+ * @param {string} code - Code entered by the user
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ * @returns {Promise<boolean>} Whether the code was accepted
+ */
+async function verifyTotpCode(user, code, db = pool) {
+  const step = matchTotpStep(user.totp_secret, code);
+  if (step === null) {
+    return false;
+  }
+
+  // Recording the step in the same statement that checks it stops a code being used twice
+  const result = await db.query(
+    `UPDATE users
+     SET totp_last_used_step = $2
+     WHERE id = $1 AND (totp_last_used_step IS NULL OR totp_last_used_step < $2)
+     RETURNING id`,
+    [user.id, step]
+  );
+
+  return result.rows.length > 0;
+}
+
+// Recovery codes are compared case-insensitively and without the dash
+const normalizeRecoveryCode = (code) => String(code || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+
+/**
+ * Replace a user's recovery codes with a fresh set
+ * @param {number} userId - Code owner
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ * @returns {Promise<string[]>} Raw codes, shown to the user once
+ */
+async function generateRecoveryCodes(userId, db = pool) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+
+  for (const code of codes) {
+    await db.query(
+      'INSERT INTO user_recovery_codes (user_id, code_hash) VALUES ($1, $2)',
+      [userId, hashToken(normalizeRecoveryCode(code))]
+    );
+  }
+
+  return codes;
+}
+
+/**
+ * Use up a recovery code
+ * @param {number} userId - Code owner
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<boolean>} Whether an unused code matched
+ */
+async function consumeRecoveryCode(userId, code) {
+  const result = await pool.query(
+    `UPDATE user_recovery_codes
+     SET used_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL
+     RETURNING id`,
+    [userId, hashToken(normalizeRecoveryCode(code))]
+  );
+
+  return result.rows.length > 0;
+}
+
+/**
+ * Count unused recovery codes
+ * @param {number} userId - Code owner
+ * @returns {Promise<number>}
+ */
+async function countRecoveryCodes(userId) {
+  const result = await pool.query(
+    'SELECT COUNT(*) AS remaining FROM user_recovery_codes WHERE user_id = $1 AND used_at IS NULL',
+    [userId]
+  );
+
+  return parseInt(result.rows[0].remaining);
+}
+
+/**
+ * Verify the second factor with either an authenticator code or a recovery code
+ * @param {object} user - User row with 2FA enabled
+ * @param {object} input - What the user entered
+ * @param {string} input.code - Authenticator code (optional)
+ * @param {string} input.recoveryCode - Recovery code (optional)
+ * @returns {Promise<string|null>} 'totp' or 'recovery_code' on success, null on failure
+ */
+async function verifySecondFactor(user, { code, recoveryCode }) {
+  if (code && await verifyTotpCode(user, code)) {
+    return 'totp';
+  }
+
+  if (recoveryCode && await consumeRecoveryCode(user.id, recoveryCode)) {
+    return 'recovery_code';
+  }
+
+  return null;
+}
+
+/**
+ * Turn off 2FA and delete the user's recovery codes
+ * @param {number} userId - User to update
+ * @param {object} db - pg pool or transaction client (defaults to the shared pool)
+ */
+async function disableTwoFactor(userId, db = pool) {
+  await db.query(
+    `UPDATE users
+     SET totp_enabled = FALSE, totp_secret = NULL, totp_pending_secret = NULL,
+         totp_enabled_at = NULL, totp_last_used_step = NULL, updated_at = CURRENT_TIMESTAMP
+     WHERE id = $1`,
+    [userId]
+  );
+  await db.query('DELETE FROM user_recovery_codes WHERE user_id = $1', [userId]);
+}
+
+/**
+ * Issue the short-lived token returned by a password login that still needs a code.
+ * It carries no userId claim, so authenticateToken never accepts it as an access token.
+ * @param {object} user - User who passed the password step
+ * @returns {{challengeToken: string, expiresIn: number}}
+ */
+function createMfaChallenge(user) {
+  const challengeToken = jwt.sign(
+    { sub: String(user.id) },
+    process.env.JWT_SECRET,
+    { expiresIn: MFA_CHALLENGE_EXPIRES_IN, audience: MFA_CHALLENGE_AUDIENCE }
+  );
+  const decoded = jwt.decode(challengeToken);
+
+  return { challengeToken, expiresIn: decoded.exp - decoded.iat };
+}
+
+/**
+ * Read a challenge token
+ * @param {string} challengeToken - Token from the login response
+ * @returns {number|null} User id, or null if the token is invalid or expired
+ */
+function verifyMfaChallenge(challengeToken) {
+  try {
+    const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET, { audience: MFA_CHALLENGE_AUDIENCE });
+    return parseInt(decoded.sub);
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  generateTotpSetup,
+  matchTotpStep,
+  verifyTotpCode,
+  generateRecoveryCodes,
+  countRecoveryCodes,
+  verifySecondFactor,
+  disableTwoFactor,
+  createMfaChallenge,
+  verifyMfaChallenge
+};
@@ -0,0 +1,295 @@
+const { pool } = require('../config/database');
+const {
+  getLocalDate,
+  getLocalHour,
+  addDays,
+  daysBetween,
+  toDateString,
+  getDateBounds,
+  getUserTimezone
+} = require('./timezone');
+
+// Longest range a single series request can cover
+const MAX_RANGE_DAYS = 731;
+const DEFAULT_RANGE_DAYS = 30;
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Weeks start on Monday, like the weekly streak
+function getWeekStart(dateString) {
+  const weekday = new Date(Date.parse(dateString)).getUTCDay();
+  return addDays(dateString, -((weekday + 6) % 7));
+}
+
+function getMonthStart(dateString) {
+  return `${dateString.slice(0, 7)}-01`;
+}
+
+function getNextMonthStart(monthStart) {
+  const date = new Date(Date.parse(monthStart));
+  date.setUTCMonth(date.getUTCMonth() + 1);
+  return date.toISOString().split('T')[0];
+}
+
+const toMinutes = (seconds) => Math.round((Number(seconds) || 0) / 60);
+
+// Rebuild one local day from the sessions that started in it
+async function rebuildDailyRollup(client, userId, timezone, day) {
+  const { start, end } = getDateBounds(timezone, day);
+  const sessions = await client.query(
+    `SELECT session_start, COALESCE(duration_seconds, 0) AS duration_seconds
+     FROM user_sessions
+     WHERE user_id = $1 AND session_start >= $2 AND session_start < $3`,
+    [userId, start, end]
+  );
+
+  if (sessions.rows.length === 0) {
+    await client.query('DELETE FROM usage_daily_rollups WHERE user_id = $1 AND day = $2', [userId, day]);
+    return;
+  }
+
+  const hourlySeconds = new Array(24).fill(0);
+  const hourlySessions = new Array(24).fill(0);
+  let totalSeconds = 0;
+  for (const session of sessions.rows) {
+    const hour = getLocalHour(timezone, new Date(session.session_start));
+    hourlySeconds[hour] += session.duration_seconds;
+    hourlySessions[hour] += 1;
+    totalSeconds += session.duration_seconds;
+  }
+
+  await client.query(
+    `INSERT INTO usage_daily_rollups
+     (user_id, day, total_seconds, session_count, hourly_seconds, hourly_sessions, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, CURRENT_TIMESTAMP)
+     ON CONFLICT (user_id, day) DO UPDATE SET
+       total_seconds = EXCLUDED.total_seconds,
+       session_count = EXCLUDED.session_count,
+       hourly_seconds = EXCLUDED.hourly_seconds,
+       hourly_sessions = EXCLUDED.hourly_sessions,
+       updated_at = CURRENT_TIMESTAMP`,
+    [userId, day, totalSeconds, sessions.rows.length, hourlySeconds, hourlySessions]
+  );
+}
+
+// Rebuild a week or month from the daily rollups inside it
+async function rebuildPeriodRollup(client, table, column, userId, periodStart, periodEnd) {
+  await client.query(`DELETE FROM ${table} WHERE user_id = $1 AND ${column} = $2`, [userId, periodStart]);
+  await client.query(
+    `INSERT INTO ${table} (user_id, ${column}, total_seconds, session_count, active_days, updated_at)
+     SELECT $1, $2, SUM(total_seconds), SUM(session_count), COUNT(*), CURRENT_TIMESTAMP
+     FROM usage_daily_rollups
+     WHERE user_id = $1 AND day >= $2 AND day < $3
+     HAVING COUNT(*) > 0`,
+    [userId, periodStart, periodEnd]
+  );
+}
+
+/**
+ * Roll up a user's new or changed sessions. The days, weeks and months they fall
+ * in are rebuilt from scratch, so running this twice gives the same result.
+ * @param {number} userId - User
+ * @returns {Promise<number>} Sessions rolled up
+ */
+async function rollupUserSessions(userId) {
+  const timezone = await getUserTimezone(userId);
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Claiming the sessions in the same transaction means a failed rollup leaves
+    // them pending, and a session changed after this point is picked up next time
+    const claimed = await client.query(
+      `UPDATE user_sessions SET rolled_up_at = CURRENT_TIMESTAMP
+       WHERE user_id = $1 AND rolled_up_at IS NULL
+       RETURNING session_start`,
+      [userId]
+    );
+
+    const days = [...new Set(claimed.rows.map(row => getLocalDate(timezone, new Date(row.session_start))))];
+
+    for (const day of days) {
+      await rebuildDailyRollup(client, userId, timezone, day);
+    }
+    for (const week of new Set(days.map(getWeekStart))) {
+      await rebuildPeriodRollup(client, 'usage_weekly_rollups', 'week_start', userId, week, addDays(week, 7));
+    }
+    for (const month of new Set(days.map(getMonthStart))) {
+      await rebuildPeriodRollup(client, 'usage_monthly_rollups', 'month_start', userId, month, getNextMonthStart(month));
+    }
+
+    await client.query('COMMIT');
+    return claimed.rows.length;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Roll up pending sessions for every user (run by the usage rollup job)
+ * @param {number} limit - Most users handled in one call
+ * @returns {Promise<object>} { users, sessions }
+ */
+async function rollupPendingSessions(limit = 500) {
+  const pending = await pool.query(
+    'SELECT DISTINCT user_id FROM user_sessions WHERE rolled_up_at IS NULL LIMIT $1',
+    [limit]
+  );
+
+  let sessions = 0;
+  for (const { user_id: userId } of pending.rows) {
+    try {
+      sessions += await rollupUserSessions(userId);
+    } catch (error) {
+      console.error('⚠️ Failed to roll up usage for user:', userId, error.message);
+    }
+  }
+
+  return { users: pending.rows.length, sessions };
+}
+
+/**
+ * Read ?from=YYYY-MM-DD&to=YYYY-MM-DD (local dates, both included). Defaults to the
+ * last defaultDays days up to today.
+ * @param {object} query - req.query
+ * @param {string} timezone - Timezone "today" is taken in
+ * @param {number} defaultDays - Length of the default range
+ * @returns {object} { from, to } or { error }
+ */
+function parseDateRange(query, timezone, defaultDays = DEFAULT_RANGE_DAYS) {
+  const to = query.to || getLocalDate(timezone);
+  const from = query.from || addDays(to, -(defaultDays - 1));
+
+  for (const value of [from, to]) {
+    if (typeof value !== 'string' || !DATE_PATTERN.test(value) || addDays(value, 0) !== value) {
+      return { error: 'from and to must be dates in YYYY-MM-DD format' };
+    }
+  }
+
+  const days = daysBetween(from, to) + 1;
+  if (days < 1) {
+    return { error: 'from must not be after to' };
+  }
+  if (days > MAX_RANGE_DAYS) {
+    return { error: `Date range cannot be longer than ${MAX_RANGE_DAYS} days` };
+  }
+
+  return { from, to };
+}
+
+/**
+ * Minutes and sessions per day, with days without usage filled in as zero
+ * @param {number} userId - User
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<object[]>} [{ date, minutes, sessions }]
+ */
+async function getDailySeries(userId, from, to) {
+  const result = await pool.query(
+    `SELECT day, total_seconds, session_count FROM usage_daily_rollups
+     WHERE user_id = $1 AND day >= $2 AND day <= $3`,
+    [userId, from, to]
+  );
+  const byDay = new Map(result.rows.map(row => [toDateString(row.day), row]));
+
+  const series = [];
+  for (let day = from; day <= to; day = addDays(day, 1)) {
+    const row = byDay.get(day);
+    series.push({
+      date: day,
+      minutes: toMinutes(row?.total_seconds),
+      sessions: row?.session_count || 0
+    });
+  }
+  return series;
+}
+
+// Weekly or monthly series between the periods containing from and to
+async function getPeriodSeries(table, column, userId, firstPeriod, lastPeriod, nextPeriod) {
+  const result = await pool.query(
+    `SELECT ${column} AS period_start, total_seconds, session_count, active_days FROM ${table}
+     WHERE user_id = $1 AND ${column} >= $2 AND ${column} <= $3`,
+    [userId, firstPeriod, lastPeriod]
+  );
+  const byPeriod = new Map(result.rows.map(row => [toDateString(row.period_start), row]));
+
+  const series = [];
+  for (let period = firstPeriod; period <= lastPeriod; period = nextPeriod(period)) {
+    const row = byPeriod.get(period);
+    series.push({
+      start: period,
+      minutes: toMinutes(row?.total_seconds),
+      sessions: row?.session_count || 0,
+      activeDays: row?.active_days || 0
+    });
+  }
+  return series;
+}
+
+/**
+ * Minutes, sessions and active days per week (weeks start on Monday)
+ * @param {number} userId - User
+ * @param {string} from - A day in the first week (YYYY-MM-DD)
+ * @param {string} to - A day in the last week (YYYY-MM-DD)
+ * @returns {Promise<object[]>} [{ start, minutes, sessions, activeDays }]
+ */
+function getWeeklySeries(userId, from, to) {
+  return getPeriodSeries('usage_weekly_rollups', 'week_start', userId,
+    getWeekStart(from), getWeekStart(to), (week) => addDays(week, 7));
+}
+
+/**
+ * Minutes, sessions and active days per calendar month
+ * @param {number} userId - User
+ * @param {string} from - A day in the first month (YYYY-MM-DD)
+ * @param {string} to - A day in the last month (YYYY-MM-DD)
+ * @returns {Promise<object[]>} [{ start, minutes, sessions, activeDays }]
+ */
+function getMonthlySeries(userId, from, to) {
+  return getPeriodSeries('usage_monthly_rollups', 'month_start', userId,
+    getMonthStart(from), getMonthStart(to), getNextMonthStart);
+}
+
+/**
+ * When in the day the user spends time in the app, by local hour sessions started in
+ * @param {number} userId - User
+ * @param {string} from - First day (YYYY-MM-DD)
+ * @param {string} to - Last day (YYYY-MM-DD)
+ * @returns {Promise<object[]>} 24 entries [{ hour, minutes, sessions }]
+ */
+async function getTimeOfDayHistogram(userId, from, to) {
+  const result = await pool.query(
+    `SELECT hourly_seconds, hourly_sessions FROM usage_daily_rollups
+     WHERE user_id = $1 AND day >= $2 AND day <= $3`,
+    [userId, from, to]
+  );
+
+  const seconds = new Array(24).fill(0);
+  const sessions = new Array(24).fill(0);
+  for (const row of result.rows) {
+    for (let hour = 0; hour < 24; hour++) {
+      seconds[hour] += row.hourly_seconds[hour] || 0;
+      sessions[hour] += row.hourly_sessions[hour] || 0;
+    }
+  }
+
+  return seconds.map((total, hour) => ({
+    hour,
+    minutes: toMinutes(total),
+    sessions: sessions[hour]
+  }));
+}
+
+module.exports = {
+  rollupUserSessions,
+  rollupPendingSessions,
+  parseDateRange,
+  getDailySeries,
+  getWeeklySeries,
+  getMonthlySeries,
+  getTimeOfDayHistogram
+};
@@ -0,0 +1,305 @@
+const { pool } = require('../config/database');
+const { getLocalDate, getUserTimezone } = require('./timezone');
+
+const MAX_SESSION_SECONDS = (parseInt(process.env.USAGE_MAX_SESSION_HOURS) || 6) * 60 * 60;
+const MAX_SESSION_AGE_DAYS = parseInt(process.env.USAGE_SYNC_MAX_AGE_DAYS) || 30;
+const MAX_BATCH_SIZE = parseInt(process.env.USAGE_SYNC_MAX_BATCH) || 100;
+
+// Device clocks drift; starts a little in the future are accepted as now
+const CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+// Matches user_usage_stats.recent_sessions, trimmed by the weekly cleanup job
+const RECENT_SESSIONS_KEPT = 10;
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+function parseTime(value) {
+  if (typeof value !== 'string' && typeof value !== 'number') {
+    return null;
+  }
+  const time = new Date(value);
+  return isNaN(time.getTime()) ? null : time;
+}
+
+/**
+ * Check one uploaded session and work out the duration to record. Durations are
+ * capped at MAX_SESSION_SECONDS and at the time between start and end (or now),
+ * and ends in the future are pulled back to now.
+ * @param {object} record - { clientSessionId, sessionStart, sessionEnd?, durationSeconds? }
+ * @param {Date} now - Time the batch was received
+ * @returns {object} { error } or { clientSessionId, start, end, durationSeconds, clamped }
+ */
+function normalizeSessionRecord(record, now = new Date()) {
+  if (record === null || typeof record !== 'object' || Array.isArray(record)) {
+    return { error: 'Session must be an object' };
+  }
+
+  const { clientSessionId, sessionStart, sessionEnd, durationSeconds } = record;
+
+  if (typeof clientSessionId !== 'string' || !UUID_PATTERN.test(clientSessionId)) {
+    return { error: 'clientSessionId must be a UUID' };
+  }
+
+  const start = parseTime(sessionStart);
+  if (!start) {
+    return { error: 'sessionStart must be a valid date' };
+  }
+  if (start.getTime() > now.getTime() + CLOCK_SKEW_MS) {
+    return { error: 'sessionStart is in the future' };
+  }
+  if (start.getTime() < now.getTime() - MAX_SESSION_AGE_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `Sessions older than ${MAX_SESSION_AGE_DAYS} days are not accepted` };
+  }
+
+  let end = null;
+  if (sessionEnd !== undefined && sessionEnd !== null) {
+    end = parseTime(sessionEnd);
+    if (!end) {
+      return { error: 'sessionEnd must be a valid date' };
+    }
+    if (end.getTime() < start.getTime()) {
+      return { error: 'sessionEnd is before sessionStart' };
+    }
+  }
+
+  if (durationSeconds !== undefined && durationSeconds !== null &&
+      (typeof durationSeconds !== 'number' || !Number.isFinite(durationSeconds) || durationSeconds < 0)) {
+    return { error: 'durationSeconds must be a number of seconds (0 or more)' };
+  }
+  if (end === null && (durationSeconds === undefined || durationSeconds === null)) {
+    return { error: 'sessionEnd or durationSeconds is required' };
+  }
+
+  let clamped = false;
+  const latestEnd = new Date(Math.max(start.getTime(), now.getTime()));
+  if (end && end > latestEnd) {
+    end = latestEnd;
+    clamped = true;
+  }
+
+  // Without an end, the session can have lasted at most until now
+  const elapsedSeconds = Math.floor(((end || latestEnd) - start) / 1000);
+  let seconds = durationSeconds !== undefined && durationSeconds !== null
+    ? Math.round(durationSeconds)
+    : elapsedSeconds;
+
+  const limit = Math.min(MAX_SESSION_SECONDS, elapsedSeconds);
+  if (seconds > limit) {
+    seconds = limit;
+    clamped = true;
+  }
+
+  return {
+    clientSessionId: clientSessionId.toLowerCase(),
+    start,
+    end: end || new Date(start.getTime() + seconds * 1000),
+    durationSeconds: seconds,
+    clamped
+  };
+}
+
+// Create the user's stats row if needed and lock it for the rest of the transaction
+async function lockUsageStats(client, userId) {
+  await client.query(
+    'INSERT INTO user_usage_stats (user_id) VALUES ($1) ON CONFLICT (user_id) DO NOTHING',
+    [userId]
+  );
+  const result = await client.query(
+    'SELECT * FROM user_usage_stats WHERE user_id = $1 FOR UPDATE',
+    [userId]
+  );
+  return result.rows[0];
+}
+
+// Mean length of the user's finished sessions. Sessions closed by the stale sessions
+// migration ('abandoned') never had a real end and are left out.
+function averageSessionSql(userIdParam) {
+  return `COALESCE((
+    SELECT ROUND(AVG(duration_seconds))::int FROM user_sessions
+    WHERE user_id = ${userIdParam} AND session_end IS NOT NULL
+    AND closed_reason IS DISTINCT FROM 'abandoned'
+  ), 0)`;
+}
+
+/**
+ * Recompute a user's average_session_duration from their sessions after one was
+ * ended, closed or corrected. The totals are left alone: online sessions are
+ * counted by POST /api/users/app-session. Runs inside the caller's transaction.
+ * @param {object} client - Pool client with an open transaction
+ * @param {number} userId - User
+ * @returns {Promise<object>} Updated stats row
+ */
+async function refreshAverageSessionDuration(client, userId) {
+  await lockUsageStats(client, userId);
+  const result = await client.query(
+    `UPDATE user_usage_stats
+     SET average_session_duration = ${averageSessionSql('$1')},
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $1
+     RETURNING *`,
+    [userId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Add sessions recorded offline to a user's usage totals and recompute the average
+ * session duration. Offline sessions are only ever uploaded in a batch, never
+ * reported to POST /api/users/app-session, so they are not counted twice. Runs
+ * inside the caller's transaction and locks the stats row.
+ * @param {object} client - Pool client with an open transaction
+ * @param {number} userId - User the sessions belong to
+ * @param {object[]} sessions - [{ id, start: Date, end: Date, durationSeconds }]
+ * @param {string} timezone - User's timezone, for today_time_spent
+ * @param {Date} now - Current time (defaults to now)
+ * @returns {Promise<object|null>} Updated stats row, or null if there was nothing to add
+ */
+async function addSessionsToStats(client, userId, sessions, timezone, now = new Date()) {
+  if (sessions.length === 0) {
+    return null;
+  }
+
+  const stats = await lockUsageStats(client, userId);
+  const today = getLocalDate(timezone, now);
+
+  const addedSeconds = sessions.reduce((sum, session) => sum + session.durationSeconds, 0);
+  const addedToday = sessions
+    .filter(session => getLocalDate(timezone, session.start) === today)
+    .reduce((sum, session) => sum + session.durationSeconds, 0);
+
+  // today_time_spent only carries over if the app was last opened today (local time)
+  const lastOpenedAt = stats.last_opened_at ? new Date(stats.last_opened_at) : null;
+  const openedToday = lastOpenedAt && getLocalDate(timezone, lastOpenedAt) === today;
+  const latestStart = new Date(Math.max(...sessions.map(session => session.start.getTime())));
+
+  const totalSessions = (stats.total_sessions || 0) + sessions.length;
+  const totalTimeSpent = (stats.total_time_spent || 0) + addedSeconds;
+
+  const recentSessions = [
+    ...(Array.isArray(stats.recent_sessions) ? stats.recent_sessions : []),
+    ...sessions.map(session => ({
+      id: session.id,
+      startTime: session.start.getTime(),
+      endTime: session.end.getTime(),
+      duration: session.durationSeconds
+    }))
+  ]
+    .sort((a, b) => (Number(a.startTime) || 0) - (Number(b.startTime) || 0))
+    .slice(-RECENT_SESSIONS_KEPT);
+
+  const result = await client.query(
+    `UPDATE user_usage_stats
+     SET total_sessions = $1,
+         total_time_spent = $2,
+         today_time_spent = $3,
+         average_session_duration = ${averageSessionSql('$6')},
+         last_opened_at = $4,
+         recent_sessions = $5,
+         updated_at = CURRENT_TIMESTAMP
+     WHERE user_id = $6
+     RETURNING *`,
+    [
+      totalSessions,
+      totalTimeSpent,
+      (openedToday ? stats.today_time_spent || 0 : 0) + addedToday,
+      lastOpenedAt && lastOpenedAt > latestStart ? lastOpenedAt : latestStart,
+      JSON.stringify(recentSessions),
+      userId
+    ]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Record sessions the app collected while offline. Sessions already uploaded
+ * (same clientSessionId) are reported as duplicates and not counted again; invalid
+ * ones are rejected without failing the rest of the batch. New sessions and the
+ * usage totals are written in one transaction.
+ * @param {number} userId - User the sessions belong to
+ * @param {object[]} records - Uploaded session records
+ * @returns {Promise<object>} { results, accepted, duplicates, rejected, stats }
+ */
+async function syncUsageSessions(userId, records) {
+  const now = new Date();
+  const timezone = await getUserTimezone(userId);
+
+  const results = [];
+  const sessions = [];
+  for (const record of records) {
+    const session = normalizeSessionRecord(record, now);
+    if (session.error) {
+      results.push({
+        clientSessionId: typeof record?.clientSessionId === 'string' ? record.clientSessionId : null,
+        status: 'rejected',
+        error: session.error
+      });
+    } else {
+      results.push({ clientSessionId: session.clientSessionId, status: null });
+      sessions.push(session);
+    }
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    // Lock the user's stats row first so concurrent batches add up correctly
+    await lockUsageStats(client, userId);
+
+    const inserted = [];
+    for (const session of sessions) {
+      const result = await client.query(
+        `INSERT INTO user_sessions (user_id, client_session_id, session_start, session_end, duration_seconds)
+         VALUES ($1, $2, $3, $4, $5)
+         ON CONFLICT (user_id, client_session_id) DO NOTHING
+         RETURNING id`,
+        [userId, session.clientSessionId, session.start, session.end, session.durationSeconds]
+      );
+
+      const entry = results.find(item => item.status === null && item.clientSessionId === session.clientSessionId);
+      if (result.rows.length > 0) {
+        inserted.push({ ...session, id: session.clientSessionId });
+        Object.assign(entry, {
+          status: 'accepted',
+          sessionId: result.rows[0].id,
+          durationSeconds: session.durationSeconds,
+          clamped: session.clamped
+        });
+      } else {
+        entry.status = 'duplicate';
+      }
+    }
+
+    await addSessionsToStats(client, userId, inserted, timezone, now);
+
+    const updatedStats = await client.query(
+      'SELECT total_sessions, total_time_spent, today_time_spent, last_opened_at FROM user_usage_stats WHERE user_id = $1',
+      [userId]
+    );
+
+    await client.query('COMMIT');
+
+    const count = (status) => results.filter(item => item.status === status).length;
+    return {
+      results,
+      accepted: count('accepted'),
+      duplicates: count('duplicate'),
+      rejected: count('rejected'),
+      stats: updatedStats.rows[0]
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  MAX_SESSION_SECONDS,
+  MAX_BATCH_SIZE,
+  normalizeSessionRecord,
+  refreshAverageSessionDuration,
+  syncUsageSessions
+};
@@ -0,0 +1,159 @@
+const { pool } = require('../config/database');
+
+// block: neither user can interact with or see the other in community features.
+// mute: the user who muted stops seeing and being notified about the other; the
+// muted user notices nothing and can still interact.
+const BLOCK_TYPES = ['block', 'mute'];
+
+/**
+ * SQL condition hiding users the viewer has blocked or muted, and users who blocked the viewer
+ * @param {string} column - Column holding the other user's id, e.g. 'pr.user_id'
+ * @param {string} viewerParam - Placeholder holding the viewer's id, e.g. '$3'
+ * @returns {string}
+ */
+function hiddenUsersCondition(column, viewerParam) {
+  return `NOT EXISTS (
+    SELECT 1 FROM user_blocks ub
+    WHERE (ub.user_id = ${viewerParam} AND ub.blocked_user_id = ${column})
+       OR (ub.user_id = ${column} AND ub.blocked_user_id = ${viewerParam} AND ub.type = 'block')
+  )`;
+}
+
+/**
+ * Block or mute a user. Blocking also ends any follow between the two and drops
+ * the blocked user's pending requests to join the blocker's study groups.
+ * @param {number} userId - User doing the blocking
+ * @param {number} blockedUserId - User being blocked or muted
+ * @param {string} type - 'block' or 'mute' (replaces any existing entry)
+ * @returns {Promise<object|null>} The entry, or null if the other user does not exist
+ */
+async function blockUser(userId, blockedUserId, type) {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const target = await client.query(
+      'SELECT id FROM users WHERE id = $1 AND deleted_at IS NULL',
+      [blockedUserId]
+    );
+
+    if (target.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const result = await client.query(
+      `INSERT INTO user_blocks (user_id, blocked_user_id, type)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (user_id, blocked_user_id)
+       DO UPDATE SET type = EXCLUDED.type, created_at = CURRENT_TIMESTAMP
+       RETURNING blocked_user_id, type, created_at`,
+      [userId, blockedUserId, type]
+    );
+
+    if (type === 'block') {
+      await client.query(
+        `DELETE FROM user_follows
+         WHERE (follower_id = $1 AND following_id = $2) OR (follower_id = $2 AND following_id = $1)`,
+        [userId, blockedUserId]
+      );
+
+      await client.query(
+        `DELETE FROM study_group_join_requests
+         WHERE user_id = $2 AND status = 'pending'
+           AND group_id IN (SELECT id FROM study_groups WHERE creator_id = $1)`,
+        [userId, blockedUserId]
+      );
+    }
+
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove a block or mute
+ * @param {number} userId - User who blocked
+ * @param {number} blockedUserId - User who was blocked or muted
+ * @returns {Promise<boolean>} False if there was no entry
+ */
+async function unblockUser(userId, blockedUserId) {
+  const result = await pool.query(
+    'DELETE FROM user_blocks WHERE user_id = $1 AND blocked_user_id = $2',
+    [userId, blockedUserId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * A user's block and mute list
+ * @param {number} userId - Owner of the list
+ * @param {string} [type] - Only 'block' or only 'mute' entries
+ * @returns {Promise<object[]>}
+ */
+async function listBlockedUsers(userId, type = null) {
+  const result = await pool.query(
+    `SELECT ub.blocked_user_id, ub.type, ub.created_at, u.name,
+            COALESCE(u.custom_picture, u.google_picture, u.picture) AS picture
+     FROM user_blocks ub
+     INNER JOIN users u ON u.id = ub.blocked_user_id
+     WHERE ub.user_id = $1 AND ($2::varchar IS NULL OR ub.type = $2)
+     ORDER BY ub.created_at DESC`,
+    [userId, type]
+  );
+
+  return result.rows.map(row => ({
+    userId: row.blocked_user_id,
+    name: row.name,
+    picture: row.picture,
+    type: row.type,
+    createdAt: row.created_at
+  }));
+}
+
+/**
+ * Whether either user has blocked the other (mutes do not count)
+ * @param {number} userId - One user
+ * @param {number} otherUserId - The other user
+ * @returns {Promise<boolean>}
+ */
+async function isBlockedBetween(userId, otherUserId) {
+  const result = await pool.query(
+    `SELECT 1 FROM user_blocks
+     WHERE type = 'block'
+       AND ((user_id = $1 AND blocked_user_id = $2) OR (user_id = $2 AND blocked_user_id = $1))
+     LIMIT 1`,
+    [userId, otherUserId]
+  );
+  return result.rows.length > 0;
+}
+
+/**
+ * Whether a recipient has blocked or muted the user who triggered a notification
+ * @param {number} recipientId - User who would be notified
+ * @param {number} actorId - User whose action caused the notification
+ * @returns {Promise<boolean>}
+ */
+async function isSilencedBy(recipientId, actorId) {
+  const result = await pool.query(
+    'SELECT 1 FROM user_blocks WHERE user_id = $1 AND blocked_user_id = $2',
+    [recipientId, actorId]
+  );
+  return result.rows.length > 0;
+}
+
+module.exports = {
+  BLOCK_TYPES,
+  hiddenUsersCondition,
+  blockUser,
+  unblockUser,
+  listBlockedUsers,
+  isBlockedBetween,
+  isSilencedBy
+};